@@ -0,0 +1,216 @@
+import { DabirEditor } from '../core/editor.js';
+import { AdmonitionPlugin } from '../plugins/admonitionPlugin.js';
+import { DirectionPlugin } from '../plugins/directionPlugin.js';
+import { ListPlugin } from '../plugins/listPlugin.js';
+import { PoemPlugin } from '../plugins/poemPlugin.js';
+import { ShortcutPlugin } from '../plugins/shortcutPlugin.js';
+import { TablePlugin } from '../plugins/tablePlugin.js';
+
+/**
+ * Built-in plugins by the names used in the `plugins` attribute.
+ * @type {Object<string, typeof import('../plugins/plugin.js').default>}
+ */
+export const BUILT_IN_PLUGINS = {
+    admonition: AdmonitionPlugin,
+    direction: DirectionPlugin,
+    list: ListPlugin,
+    poem: PoemPlugin,
+    shortcut: ShortcutPlugin,
+    table: TablePlugin
+};
+
+/**
+ * Styles of the host element; the editor's own styles come from the stylesheet.
+ * @type {string}
+ */
+const HOST_STYLES = ':host { display: block; } :host([hidden]) { display: none; }';
+
+// Lets the module be imported where custom elements do not exist (e.g. Node.js).
+const BaseElement = typeof HTMLElement === 'undefined' ? class {} : HTMLElement;
+
+/**
+ * The `<dabir-editor>` custom element. The editor lives in a shadow root with its own copy of the stylesheet.
+ *
+ * Attributes: `placeholder`, `storage-key` (enables local storage under that key), `value` (initial markdown,
+ * unless content is already stored under `storage-key`), `storage-adapter` (`local`, `session`, `indexeddb` or
+ * `memory`), `readonly`, `plugins` (space- or comma-separated names of built-in plugins; all of them by default)
+ * and `stylesheet` (URL of the editor styles).
+ *
+ * Events: `dabir-ready` and `dabir-change` (`detail` is the editor's `change` payload). Both bubble out of
+ * shadow roots.
+ */
+export class DabirEditorElement extends BaseElement {
+    /**
+     * URL of the stylesheet loaded into every shadow root, unless the `stylesheet` attribute overrides it.
+     * @type {string}
+     */
+    static stylesheet = new URL('../../assets/css/styles.css', import.meta.url).href;
+
+    static get observedAttributes() {
+        return ['placeholder', 'readonly', 'value'];
+    }
+
+    constructor() {
+        super();
+        /**
+         * The editor instance; null while the element is not connected.
+         * @type {DabirEditor|null}
+         */
+        this.editor = null;
+        /**
+         * Plugin entries that replace the `plugins` attribute. Set before the element is connected.
+         * @type {Array<import('../plugins/plugin.js').PluginEntry>|null}
+         */
+        this.plugins = null;
+        /**
+         * Further editor options, merged under the ones derived from attributes. Set before the element is connected.
+         * @type {import('../core/editor.js').DabirOptions}
+         */
+        this.options = {};
+        /**
+         * Markdown kept while the element is disconnected.
+         * @private
+         * @type {string|null}
+         */
+        this.pendingValue = null;
+        this.attachShadow({ mode: 'open' });
+    }
+
+    /**
+     * The document as markdown.
+     * @type {string}
+     */
+    get value() {
+        if (this.editor) return this.editor.getMarkdown();
+        return this.pendingValue !== null ? this.pendingValue : (this.getAttribute('value') || '');
+    }
+
+    set value(markdown) {
+        const value = markdown == null ? '' : String(markdown);
+        if (this.editor) {
+            if (value !== this.editor.getMarkdown()) this.editor.setContent(value);
+        } else {
+            this.pendingValue = value;
+        }
+    }
+
+    /**
+     * Reflects the `readonly` attribute.
+     * @type {boolean}
+     */
+    get readOnly() {
+        return this.hasAttribute('readonly');
+    }
+
+    set readOnly(readOnly) {
+        this.toggleAttribute('readonly', !!readOnly);
+    }
+
+    /**
+     * Focuses the editor.
+     */
+    focus() {
+        if (this.editor) this.editor.focus();
+    }
+
+    connectedCallback() {
+        if (this.editor) return;
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = this.getAttribute('stylesheet') || DabirEditorElement.stylesheet;
+        const style = document.createElement('style');
+        style.textContent = HOST_STYLES;
+        const element = document.createElement('div');
+        element.setAttribute('part', 'editor');
+        this.shadowRoot.replaceChildren(link, style, element);
+
+        const storageKey = this.getAttribute('storage-key');
+        const adapter = this.getAttribute('storage-adapter') ?? (this.options.storage && this.options.storage.adapter);
+        const storage = storageKey ? { ...this.options.storage, enabled: true, key: storageKey, adapter } : { enabled: false };
+        const { plugins, unknown } = this._resolvePlugins();
+        const options = { ...this.options };
+        if (this.hasAttribute('placeholder')) options.placeholder = this.getAttribute('placeholder');
+        this.editor = new DabirEditor(element, {
+            ...options,
+            storage,
+            readOnly: this.readOnly,
+            plugins
+        });
+        unknown.forEach(name => this.editor.logger.warn(`Unknown plugin "${name}" in the "plugins" attribute.`));
+
+        const editor = this.editor;
+        const pending = this.pendingValue;
+        const value = this.getAttribute('value');
+        this.pendingValue = null;
+        // Content kept across a reconnect wins; the `value` attribute only fills an empty storage.
+        const applyInitial = () => {
+            const initial = pending !== null ? pending : (value !== null && editor.isEmpty() ? value : null);
+            if (initial === null) return Promise.resolve();
+            return editor.setContent(initial).then(() => { if (!editor.isDestroyed) editor.history.reset(); });
+        };
+        const loaded = storageKey
+            ? editor.loaded.then(() => { if (this.editor === editor) return applyInitial(); })
+            : applyInitial();
+
+        editor.on('change', payload => this._dispatch('dabir-change', payload));
+        loaded.then(() => {
+            if (this.editor === editor) this._dispatch('dabir-ready', { editor });
+        });
+    }
+
+    disconnectedCallback() {
+        if (!this.editor) return;
+        // The content survives moving the element to another place in the document.
+        this.pendingValue = this.editor.getMarkdown();
+        this.editor.destroy();
+        this.editor = null;
+        this.shadowRoot.replaceChildren();
+    }
+
+    /**
+     * @param {string} name
+     * @param {string|null} oldValue
+     * @param {string|null} newValue
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (!this.editor || oldValue === newValue) return;
+        if (name === 'readonly') {
+            this.editor.setReadOnly(newValue !== null);
+        } else if (name === 'placeholder') {
+            this.editor.options.placeholder = newValue || '';
+            this.editor.element.setAttribute('data-placeholder', newValue || '');
+        } else if (name === 'value') {
+            this.value = newValue;
+        }
+    }
+
+    /**
+     * @returns {{plugins: Array<import('../plugins/plugin.js').PluginEntry>, unknown: string[]}}
+     * @private
+     */
+    _resolvePlugins() {
+        if (Array.isArray(this.plugins)) return { plugins: this.plugins, unknown: [] };
+        const attribute = this.getAttribute('plugins');
+        if (attribute === null) return { plugins: Object.values(BUILT_IN_PLUGINS), unknown: [] };
+
+        const names = attribute.split(/[\s,]+/).map(name => name.trim().toLowerCase()).filter(Boolean);
+        return {
+            plugins: names.filter(name => BUILT_IN_PLUGINS[name]).map(name => BUILT_IN_PLUGINS[name]),
+            unknown: names.filter(name => !BUILT_IN_PLUGINS[name])
+        };
+    }
+
+    /**
+     * @param {string} type
+     * @param {object} detail
+     * @private
+     */
+    _dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+}
+
+if (typeof customElements !== 'undefined' && !customElements.get('dabir-editor')) {
+    customElements.define('dabir-editor', DabirEditorElement);
+}
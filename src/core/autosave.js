@@ -0,0 +1,223 @@
+import { isQuotaError } from './storage.js';
+
+/**
+ * وضعیت ذخیره سند: `saved` (همه تغییرات ذخیره شده)، `dirty` (تغییرات ذخیره‌نشده)، `saving` (در حال ذخیره) و
+ * `error` (آخرین ذخیره ناموفق بوده است).
+ * @typedef {'saved'|'dirty'|'saving'|'error'} SaveStatus
+ */
+
+/**
+ * داده رویداد `saveStatus`.
+ * @typedef {object} SaveStatusEvent
+ * @property {SaveStatus} status
+ * @property {Error|null} error - خطای مخزن، فقط برای وضعیت `error`.
+ * @property {string|null} message - پیام قابل نمایش به کاربر، فقط برای وضعیت `error`.
+ */
+
+/**
+ * موقعیت ذخیره‌شده یک سند.
+ * @typedef {object} StoredPosition
+ * @property {number} [start] - ابتدای انتخاب در مارک‌داون سند.
+ * @property {number} [end] - انتهای انتخاب در مارک‌داون سند.
+ * @property {number} scroll - میزان پیمایش عمودی.
+ */
+
+/**
+ * پیام‌های خطای ذخیره برای نمایش به کاربر.
+ * @type {{quota: string, failed: string}}
+ */
+const MESSAGES = {
+    quota: 'فضای ذخیره‌سازی مرورگر پر است و آخرین تغییرات ذخیره نشد. برای آزاد کردن فضا، اسناد یا نسخه‌های قدیمی را حذف کنید.',
+    failed: 'ذخیره آخرین تغییرات ناموفق بود.'
+};
+
+/**
+ * نزدیک‌ترین المان قابل پیمایش والد، یا پیمایش خود صفحه.
+ * @param {HTMLElement} element
+ * @returns {Element}
+ */
+function scrollContainer(element) {
+    for (let node = element; node && node !== document.body; node = node.parentElement) {
+        const { overflowY } = getComputedStyle(node);
+        if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+    }
+    return document.scrollingElement || document.documentElement;
+}
+
+/**
+ * ذخیره خودکار قابل اطمینان: وضعیت ذخیره را با رویداد `saveStatus` گزارش می‌کند، تغییرات در انتظار را هنگام
+ * پنهان شدن یا بستن صفحه فوراً ذخیره می‌کند و موقعیت مکان‌نما و پیمایش هر سند را برای باز شدن دوباره آن نگه می‌دارد.
+ * @class Autosave
+ */
+export default class Autosave {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * @private
+         * @type {SaveStatus}
+         */
+        this.currentStatus = 'saved';
+        /**
+         * تعداد ذخیره‌های در جریان.
+         * @private
+         * @type {number}
+         */
+        this.pending = 0;
+        /**
+         * آخرین محدوده انتخاب داخل ویرایشگر؛ پس از خروج فوکوس از ویرایشگر نیز موقعیت را نگه می‌دارد.
+         * @private
+         * @type {Range|null}
+         */
+        this.lastRange = null;
+
+        this.boundFlush = () => { this.flush(); };
+        this.boundOnVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        };
+
+        /**
+         * @private
+         * @type {Array<() => void>}
+         */
+        this.disposers = [];
+        if (!editor.options.storage.enabled) return;
+
+        document.addEventListener('visibilitychange', this.boundOnVisibilityChange);
+        window.addEventListener('pagehide', this.boundFlush);
+        window.addEventListener('beforeunload', this.boundFlush);
+        this.disposers.push(
+            editor.events.on('input', () => this._setStatus('dirty')),
+            editor.events.on('selectionChange', ({ range }) => { this.lastRange = range ? range.cloneRange() : null; }),
+            editor.events.on('load', () => { this.restorePosition({ keepSelection: true }); })
+        );
+    }
+
+    /**
+     * وضعیت فعلی ذخیره.
+     * @type {SaveStatus}
+     */
+    get status() {
+        return this.currentStatus;
+    }
+
+    /**
+     * یک ذخیره در جریان را دنبال کرده و وضعیت را بر اساس نتیجه آن به‌روز می‌کند. `editor.saveContent()` این متد
+     * را برای هر ذخیره فراخوانی می‌کند.
+     * @param {Promise<boolean>} saved - نتیجه `Storage.save`.
+     * @returns {Promise<boolean>} همان نتیجه.
+     */
+    track(saved) {
+        if (!this.editor || !this.editor.options.storage.enabled) return saved;
+        this.pending++;
+        this._setStatus('saving');
+        return saved.then(result => {
+            this.pending--;
+            if (!this.editor) return result;
+            if (!result) this._setStatus('error', this.editor.storage.lastError);
+            // Typing during the save keeps the status dirty until the next save.
+            else if (this.pending === 0 && this.currentStatus === 'saving') this._setStatus('saved');
+            return result;
+        });
+    }
+
+    /**
+     * تغییرات ذخیره‌نشده (از جمله ذخیره تأخیری تایپ) و موقعیت مکان‌نما را فوراً ذخیره می‌کند.
+     * @returns {Promise<boolean>} آیا محتوا و موقعیت ذخیره شدند؟
+     */
+    flush() {
+        const { editor } = this;
+        if (!editor || editor.isDestroyed || !editor.options.storage.enabled) return Promise.resolve(false);
+        if (editor.inputHandler) editor.inputHandler.debouncedSave.cancel();
+        const content = this.currentStatus === 'dirty' ? editor.saveContent() : Promise.resolve(true);
+        return Promise.all([content, this.savePosition()]).then(([saved, position]) => saved && position);
+    }
+
+    /**
+     * موقعیت انتخاب و پیمایش سند باز را در کلید `<key>:position` ذخیره می‌کند.
+     * @returns {Promise<boolean>} false اگر بازگردانی موقعیت (`storage.restorePosition`) غیرفعال باشد.
+     */
+    savePosition() {
+        const { editor } = this;
+        if (!editor || editor.isDestroyed || !editor.options.storage.restorePosition) return Promise.resolve(false);
+        const position = { ...this._offsets(), scroll: Math.round(scrollContainer(editor.element).scrollTop) };
+        return editor.storage.save(JSON.stringify(position), `${editor.storage.key}:position`);
+    }
+
+    /**
+     * موقعیت ذخیره‌شده سند باز را بازمی‌گرداند. اگر کاربر در یک فیلد متنی دیگر صفحه مشغول نوشتن باشد، انتخاب
+     * تغییر نمی‌کند و فقط پیمایش بازگردانده می‌شود.
+     * @param {object} [options={}]
+     * @param {boolean} [options.keepSelection=false] - انتخابی که کاربر در این فاصله داخل ویرایشگر قرار داده حفظ شود.
+     * @returns {Promise<boolean>} آیا موقعیتی بازگردانده شد؟
+     */
+    async restorePosition({ keepSelection = false } = {}) {
+        const { editor } = this;
+        if (!editor || editor.isDestroyed || !editor.options.storage.restorePosition) return false;
+        const key = editor.storage.key;
+        const stored = await editor.storage.load(`${key}:position`);
+        // Another document may have been opened while the position was loading.
+        if (!stored || !this.editor || editor.isDestroyed || editor.storage.key !== key) return false;
+
+        let position;
+        try {
+            position = JSON.parse(stored);
+        } catch (error) {
+            editor.logger.warn(`Ignoring the invalid stored position of "${key}".`, error);
+            return false;
+        }
+        const active = editor.element.getRootNode().activeElement || document.activeElement;
+        const typingElsewhere = !!active && !editor.element.contains(active)
+            && (active.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName));
+        const keep = typingElsewhere || editor.sourceMode.textarea || (keepSelection && editor.selection.editorRange);
+        if (typeof position.start === 'number' && !keep) {
+            editor.selection.setDocumentOffsets(position.start, position.end);
+        }
+        if (typeof position.scroll === 'number') scrollContainer(editor.element).scrollTop = position.scroll;
+        return true;
+    }
+
+    /**
+     * @returns {{start: number, end: number}|null}
+     * @private
+     */
+    _offsets() {
+        const { selection, sourceMode, element } = this.editor;
+        const textarea = sourceMode.textarea;
+        if (textarea) return { start: textarea.selectionStart, end: textarea.selectionEnd };
+        const range = selection.editorRange
+            || (this.lastRange && element.contains(this.lastRange.commonAncestorContainer) ? this.lastRange : null);
+        return range ? selection.getDocumentOffsets(range) : null;
+    }
+
+    /**
+     * @param {SaveStatus} status
+     * @param {Error|null} [error=null]
+     * @private
+     */
+    _setStatus(status, error = null) {
+        if (status === this.currentStatus && status !== 'error') return;
+        this.currentStatus = status;
+        const message = status === 'error' ? (isQuotaError(error) ? MESSAGES.quota : MESSAGES.failed) : null;
+        this.editor.events.emit('saveStatus', { status, error: status === 'error' ? error : null, message });
+    }
+
+    /**
+     * شنونده‌های صفحه را حذف می‌کند. `editor.destroy()` پیش از آن تغییرات ذخیره‌نشده را با `flush()` ذخیره می‌کند.
+     */
+    destroy() {
+        document.removeEventListener('visibilitychange', this.boundOnVisibilityChange);
+        window.removeEventListener('pagehide', this.boundFlush);
+        window.removeEventListener('beforeunload', this.boundFlush);
+        this.disposers.forEach(dispose => dispose());
+        this.disposers = [];
+        this.lastRange = null;
+        this.editor = null;
+    }
+}
@@ -0,0 +1,409 @@
+import { sanitize } from '../utils/sanitizer.js';
+import { withLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} Block
+ * @property {string} id - شناسه پایدار بلوک (همان مقدار `data-block-id`).
+ * @property {string} type - نوع بلوک (مانند 'paragraph', 'heading', 'list', 'table').
+ * @property {number} index - جایگاه بلوک در سند.
+ * @property {HTMLElement} element - المان DOM بلوک.
+ */
+
+/**
+ * @typedef {object} BlockPosition
+ * @property {string} [before] - درج/انتقال پیش از بلوکی با این شناسه.
+ * @property {string} [after] - درج/انتقال پس از بلوکی با این شناسه.
+ * @property {number} [index] - درج/انتقال در این جایگاه.
+ */
+
+const ID_ATTRIBUTE = 'data-block-id';
+
+/**
+ * یک شناسه تصادفی و کوتاه برای بلوک تولید می‌کند.
+ * @returns {string}
+ */
+function createId() {
+    return `b-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * مدل ساختاریافته سند: فهرستی مرتب از بلوک‌های نوع‌دار با شناسه‌های پایدار.
+ * هر فرزند مستقیم المان ویرایشگر یک بلوک است و شناسه آن در `data-block-id` نگه داشته می‌شود،
+ * بنابراین شناسه‌ها پس از ذخیره، بارگذاری و رندر دوباره نیز ثابت می‌مانند.
+ * @class Blocks
+ */
+export default class Blocks {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * فهرست مرتب شناسه‌ها.
+         * @private
+         * @type {string[]}
+         */
+        this.order = [];
+        /**
+         * @private
+         * @type {Map<string, HTMLElement>}
+         */
+        this.elements = new Map();
+
+        /**
+         * @private
+         * @type {MutationObserver}
+         */
+        this.observer = new MutationObserver(() => this.sync());
+        this.observer.observe(editor.element, { childList: true });
+
+        /**
+         * بلوک‌های تغییرکرده از آخرین رویداد `input` و `change`.
+         * @private
+         * @type {Map<'input'|'change', Set<HTMLElement>>}
+         */
+        this.changed = new Map([['input', new Set()], ['change', new Set()]]);
+
+        /**
+         * @private
+         * @type {MutationObserver}
+         */
+        this.changeObserver = new MutationObserver(records => this._collectChanges(records));
+        this.changeObserver.observe(editor.element, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+
+    /**
+     * مدل را با فرزندان فعلی المان ویرایشگر هماهنگ می‌کند.
+     * به بلوک‌های جدید (یا بلوک‌هایی که شناسه تکراری دارند) شناسه تازه داده می‌شود.
+     */
+    sync() {
+        if (!this.editor || !this.editor.element) return;
+        this.observer.takeRecords();
+
+        const previous = new Set(this.order);
+        const order = [];
+        const elements = new Map();
+
+        for (const element of this.editor.element.children) {
+            let id = element.getAttribute(ID_ATTRIBUTE);
+            // The browser clones attributes when it splits a block on Enter.
+            if (!id || elements.has(id)) {
+                do {
+                    id = createId();
+                } while (elements.has(id) || previous.has(id));
+                element.setAttribute(ID_ATTRIBUTE, id);
+            }
+            order.push(id);
+            elements.set(id, element);
+        }
+
+        const added = order.filter(id => !previous.has(id));
+        const removed = this.order.filter(id => !elements.has(id));
+
+        this.order = order;
+        this.elements = elements;
+
+        if (added.length > 0 || removed.length > 0) {
+            this.editor.events.emit('blocksChange', { added, removed });
+        }
+    }
+
+    /**
+     * تغییرات ثبت‌نشده DOM را فوراً در مدل اعمال می‌کند.
+     */
+    flush() {
+        if (!this.observer) return;
+        if (this.observer.takeRecords().length > 0 || this.order.length !== this.editor.element.children.length) {
+            this.sync();
+        }
+    }
+
+    /**
+     * شناسه‌های ذخیره‌شده یک سند را به ترتیب به بلوک‌ها بازمی‌گرداند. اگر تعداد آن‌ها با تعداد بلوک‌ها برابر
+     * نباشد (مثلاً سند بیرون از ویرایشگر تغییر کرده باشد)، شناسه‌های فعلی حفظ می‌شوند.
+     * @param {string[]} ids - شناسه بلوک‌ها به ترتیب سند؛ رشته خالی جایگاه یک شناسه نامعتبر است.
+     * @returns {boolean} آیا شناسه‌ها بازگردانده شدند؟
+     */
+    restoreIds(ids) {
+        this.flush();
+        if (!Array.isArray(ids) || ids.length === 0 || ids.length !== this.order.length) return false;
+        const elements = this.order.map(id => this.elements.get(id));
+        elements.forEach((element, index) => {
+            if (ids[index]) element.setAttribute(ID_ATTRIBUTE, ids[index]);
+        });
+        this.sync();
+        return true;
+    }
+
+    /**
+     * @param {string} id - شناسه بلوک.
+     * @returns {Block|null}
+     */
+    get(id) {
+        this.flush();
+        return this._describe(id);
+    }
+
+    /**
+     * بلوکی که یک گره DOM داخل آن قرار دارد را برمی‌گرداند.
+     * @param {Node} node
+     * @returns {Block|null}
+     */
+    getByNode(node) {
+        this.flush();
+        const root = this.editor.element;
+        if (!node || node === root || !root.contains(node)) return null;
+        let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        while (current && current.parentElement !== root) {
+            current = current.parentElement;
+        }
+        return current ? this._describe(current.getAttribute(ID_ATTRIBUTE)) : null;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {Block|null}
+     */
+    at(index) {
+        this.flush();
+        return this._describe(this.order[index]);
+    }
+
+    /**
+     * @returns {Block[]} تمام بلوک‌ها به ترتیب سند.
+     */
+    all() {
+        this.flush();
+        return this.order.map(id => this._describe(id));
+    }
+
+    /**
+     * بلوک‌های یک نوع مشخص را برمی‌گرداند.
+     * @param {string} type - نوع بلوک (مانند 'heading').
+     * @returns {Block[]}
+     */
+    find(type) {
+        return this.all().filter(block => block.type === type);
+    }
+
+    /**
+     * @returns {number} تعداد بلوک‌ها.
+     */
+    get length() {
+        this.flush();
+        return this.order.length;
+    }
+
+    /**
+     * محتوای جدیدی را به صورت یک یا چند بلوک درج می‌کند.
+     * @param {string} content - محتوای بلوک(ها).
+     * @param {BlockPosition} [position={}] - محل درج. پیش‌فرض انتهای سند است.
+     * @param {'markdown'|'html'} [format='markdown'] - فرمت محتوا.
+     * @returns {string[]} شناسه بلوک‌های درج‌شده.
+     */
+    insert(content, position = {}, format = 'markdown') {
+        if (this.editor.isDestroyed) return [];
+        const event = this.editor.events.emitCancelable('beforeChange', { operation: 'insertBlocks', content, position, format });
+        if (event.defaultPrevented) return [];
+        ({ content, position, format } = event);
+        try {
+            const html = format === 'markdown' ? this.editor.parser.parse(content) : content;
+            const template = document.createElement('template');
+            template.innerHTML = withLogger(this.editor.logger, () => sanitize(html));
+            const newElements = Array.from(template.content.children);
+            if (newElements.length === 0) return [];
+
+            this.flush();
+            const reference = this._resolveReference(position);
+            this.editor.history.transact(() => {
+                newElements.forEach(element => this.editor.element.insertBefore(element, reference));
+            }, 'blocks');
+
+            this.sync();
+            this._commit();
+            return newElements.map(element => element.getAttribute(ID_ATTRIBUTE));
+        } catch (error) {
+            this.editor.logger.error('CONTENT_FAILED', 'Blocks.insert failed.', { error, module: 'blocks', input: content });
+            return [];
+        }
+    }
+
+    /**
+     * یک بلوک را به محل دیگری منتقل می‌کند.
+     * @param {string} id - شناسه بلوک.
+     * @param {BlockPosition} position - محل جدید.
+     * @returns {boolean} آیا انتقال انجام شد؟
+     */
+    move(id, position) {
+        const block = this.get(id);
+        if (!block) return false;
+        if (this.editor.events.emitCancelable('beforeChange', { operation: 'moveBlock', id, position }).defaultPrevented) return false;
+
+        const reference = this._resolveReference(position, block.element);
+        if (reference === block.element) return true;
+
+        this.editor.history.transact(() => {
+            this.editor.element.insertBefore(block.element, reference);
+        }, 'blocks');
+        this.sync();
+        this._commit();
+        return true;
+    }
+
+    /**
+     * یک بلوک را حذف می‌کند. سند هیچ‌گاه بدون بلوک باقی نمی‌ماند.
+     * @param {string} id - شناسه بلوک.
+     * @returns {boolean} آیا حذف انجام شد؟
+     */
+    remove(id) {
+        const block = this.get(id);
+        if (!block) return false;
+        if (this.editor.events.emitCancelable('beforeChange', { operation: 'removeBlock', id }).defaultPrevented) return false;
+
+        this.editor.history.transact(() => {
+            block.element.remove();
+            if (this.editor.element.children.length === 0) {
+                this.editor.element.innerHTML = '<div><br></div>';
+            }
+        }, 'blocks');
+        this.sync();
+        this._commit();
+        return true;
+    }
+
+    /**
+     * @param {BlockPosition} position
+     * @param {HTMLElement} [moving] - بلوکی که جابجا می‌شود (در محاسبه اندیس نادیده گرفته می‌شود).
+     * @returns {Node|null} گره‌ای که درج باید پیش از آن انجام شود.
+     * @private
+     */
+    _resolveReference(position = {}, moving = null) {
+        if (position.before) {
+            const target = this.elements.get(position.before);
+            if (target) return target;
+        }
+        if (position.after) {
+            const target = this.elements.get(position.after);
+            if (target) return target.nextSibling;
+        }
+        if (typeof position.index === 'number') {
+            const siblings = Array.from(this.editor.element.children).filter(el => el !== moving);
+            return siblings[Math.max(0, position.index)] || null;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    _commit() {
+        this.editor.saveContent();
+        this.editor.emitInput();
+    }
+
+    /**
+     * شناسه بلوک‌هایی را که از آخرین فراخوانی برای همین کانال تغییر کرده یا اضافه شده‌اند برمی‌گرداند.
+     * `input` و `change` کانال‌های جداگانه دارند، چون `change` با تأخیر منتشر می‌شود.
+     * @param {'input'|'change'} channel
+     * @returns {string[]}
+     */
+    takeChanged(channel) {
+        const elements = this.changed.get(channel);
+        if (!elements || !this.changeObserver) return [];
+        this._collectChanges(this.changeObserver.takeRecords());
+        this.flush();
+
+        const ids = this.order.filter(id => elements.has(this.elements.get(id)));
+        elements.clear();
+        return ids;
+    }
+
+    /**
+     * @param {MutationRecord[]} records
+     * @private
+     */
+    _collectChanges(records) {
+        const root = this.editor.element;
+        const touched = [];
+        records.forEach(record => {
+            if (record.target === root) {
+                record.addedNodes.forEach(node => touched.push(node));
+                return;
+            }
+            let block = record.target;
+            while (block && block.parentNode !== root) {
+                block = block.parentNode;
+            }
+            if (block) touched.push(block);
+        });
+        this.changed.forEach(elements => touched.forEach(block => elements.add(block)));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Block|null}
+     * @private
+     */
+    _describe(id) {
+        const element = id ? this.elements.get(id) : null;
+        if (!element) return null;
+        return {
+            id,
+            type: this.getType(element),
+            index: this.order.indexOf(id),
+            element
+        };
+    }
+
+    /**
+     * نوع یک المان بلوک را تشخیص می‌دهد. پلاگین‌ها می‌توانند با هوک `blockType` نوع‌های خود را معرفی کنند.
+     * @param {HTMLElement} element
+     * @returns {string}
+     */
+    getType(element) {
+        for (const [pluginName, plugin] of this.editor.plugins || []) {
+            try {
+                if (plugin && typeof plugin.blockType === 'function') {
+                    const type = plugin.blockType(element);
+                    if (type) return type;
+                }
+            } catch (error) {
+                this.editor.logger.error('PLUGIN_FAILED', 'Plugin crashed during block type detection.', {
+                    error, module: 'blocks', plugin: pluginName, input: element
+                });
+            }
+        }
+
+        switch (element.tagName) {
+            case 'H1': case 'H2': case 'H3': case 'H4': return 'heading';
+            case 'UL': return element.classList.contains('checklist') ? 'checklist' : 'list';
+            case 'OL': return 'list';
+            case 'BLOCKQUOTE': return 'blockquote';
+            case 'FIGURE': return 'image';
+            case 'HR': return 'hr';
+            case 'TABLE': return 'table';
+            case 'DIV': case 'P':
+                if (element.classList.contains('dabir-placeholder')) return 'placeholder';
+                return element.classList.contains('code-block-wrapper') ? 'code' : 'paragraph';
+            default: return 'unknown';
+        }
+    }
+
+    /**
+     * ناظر DOM را متوقف کرده و منابع را آزاد می‌کند.
+     */
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+        if (this.changeObserver) this.changeObserver.disconnect();
+        this.observer = null;
+        this.changeObserver = null;
+        this.changed.forEach(elements => elements.clear());
+        this.order = [];
+        this.elements.clear();
+        this.editor = null;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * @typedef {object} CommandDefinition
+ * @property {(args: any, editor: import('./editor.js').DabirEditor) => any} execute - اجرای دستور.
+ * @property {(editor: import('./editor.js').DabirEditor) => boolean} [canExecute] - آیا دستور در وضعیت فعلی قابل اجراست؟
+ * @property {(editor: import('./editor.js').DabirEditor) => boolean} [isActive] - آیا قالب دستور در محل مکان‌نما فعال است؟
+ */
+
+/**
+ * @typedef {object} CommandState
+ * @property {boolean} active - آیا دستور در محل مکان‌نما فعال است؟
+ * @property {boolean} enabled - آیا دستور قابل اجراست؟
+ */
+
+/**
+ * رجیستری عمومی دستورات ویرایشگر.
+ * میانبرهای کیبورد و دکمه‌های نوار ابزار از طریق این کلاس یک پیاده‌سازی مشترک را اجرا می‌کنند.
+ * @class Commands
+ */
+export default class Commands {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * @private
+         * @type {Map<string, CommandDefinition>}
+         */
+        this.commands = new Map();
+        /**
+         * نام پلاگینی که هر دستور را ثبت کرده است، برای گزارش خطا.
+         * @private
+         * @type {Map<string, string>}
+         */
+        this.owners = new Map();
+        /**
+         * آخرین وضعیت منتشرشده، برای جلوگیری از انتشار رویدادهای تکراری.
+         * @private
+         * @type {string}
+         */
+        this.lastStateKey = '';
+
+        this.boundRefresh = this.refresh.bind(this);
+        editor.events.on('selectionChange', this.boundRefresh);
+        editor.events.on('input', this.boundRefresh);
+    }
+
+    /**
+     * یک دستور جدید ثبت می‌کند. ثبت دوباره یک نام، دستور قبلی را جایگزین می‌کند.
+     * @param {string} name - نام یکتای دستور (مانند 'bold').
+     * @param {Function|CommandDefinition} command - تابع اجرا یا تعریف کامل دستور.
+     * @param {string|null} [plugin=null] - نام پلاگین ثبت‌کننده، برای گزارش خطا.
+     * @returns {() => void} تابعی که این دستور را حذف می‌کند (اگر در این فاصله جایگزین نشده باشد).
+     */
+    register(name, command, plugin = null) {
+        if (typeof name !== 'string' || name.trim() === '') {
+            this.editor.logger.warn('Command name must be a non-empty string.');
+            return () => {};
+        }
+        const definition = typeof command === 'function' ? { execute: command } : command;
+        if (!definition || typeof definition.execute !== 'function') {
+            this.editor.logger.warn(`Command "${name}" must provide an "execute" function.`);
+            return () => {};
+        }
+        this.commands.set(name, definition);
+        if (plugin) this.owners.set(name, plugin);
+        else this.owners.delete(name);
+        return () => {
+            if (this.commands && this.commands.get(name) === definition) this.unregister(name);
+        };
+    }
+
+    /**
+     * یک دستور را حذف می‌کند.
+     * @param {string} name - نام دستور.
+     */
+    unregister(name) {
+        this.commands.delete(name);
+        this.owners.delete(name);
+    }
+
+    /**
+     * @param {string} name - نام دستور.
+     * @returns {boolean} آیا دستوری با این نام ثبت شده است؟
+     */
+    has(name) {
+        return this.commands.has(name);
+    }
+
+    /**
+     * @returns {string[]} نام تمام دستورات ثبت‌شده.
+     */
+    list() {
+        return Array.from(this.commands.keys());
+    }
+
+    /**
+     * یک دستور را به عنوان یک گام واحد در تاریخچه اجرا می‌کند.
+     * @param {string} name - نام دستور.
+     * @param {*} [args] - آرگومان‌های اختیاری دستور.
+     * @returns {*} مقدار بازگشتی دستور، یا false اگر اجرا نشد.
+     */
+    execute(name, args) {
+        if (!this.editor || this.editor.isDestroyed) return false;
+        const command = this.commands.get(name);
+        if (!command) {
+            this.editor.logger.warn(`Unknown command "${name}".`);
+            return false;
+        }
+        if (!this.canExecute(name)) return false;
+        if (this.editor.events.emitCancelable('beforeChange', { operation: name, args }).defaultPrevented) return false;
+
+        try {
+            const result = this.editor.history.transact(() => command.execute(args, this.editor), name);
+            this.refresh();
+            return result;
+        } catch (error) {
+            this._reportError(`Command "${name}" crashed.`, error, name, args);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} name - نام دستور.
+     * @returns {boolean} آیا دستور در وضعیت فعلی قابل اجراست؟ در حالت فقط‌خواندنی همیشه false است.
+     */
+    canExecute(name) {
+        if (!this.editor || this.editor.isDestroyed || this.editor.isReadOnly) return false;
+        const command = this.commands.get(name);
+        if (!command) return false;
+        if (typeof command.canExecute !== 'function') return true;
+        try {
+            return !!command.canExecute(this.editor);
+        } catch (error) {
+            this._reportError(`canExecute of command "${name}" crashed.`, error, name);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} name - نام دستور.
+     * @returns {boolean} آیا قالب دستور در محل مکان‌نما فعال است؟ (مثلاً مکان‌نما داخل عنوان است)
+     */
+    isActive(name) {
+        if (!this.editor || this.editor.isDestroyed) return false;
+        const command = this.commands.get(name);
+        if (!command || typeof command.isActive !== 'function') return false;
+        try {
+            return !!command.isActive(this.editor);
+        } catch (error) {
+            this._reportError(`isActive of command "${name}" crashed.`, error, name);
+            return false;
+        }
+    }
+
+    /**
+     * وضعیت تمام دستورات را برمی‌گرداند.
+     * @returns {Object<string, CommandState>}
+     */
+    getState() {
+        const state = {};
+        this.commands.forEach((command, name) => {
+            state[name] = { active: this.isActive(name), enabled: this.canExecute(name) };
+        });
+        return state;
+    }
+
+    /**
+     * وضعیت دستورات را دوباره محاسبه کرده و در صورت تغییر، رویداد `commandStateChange` را منتشر می‌کند.
+     */
+    refresh() {
+        if (!this.editor || this.editor.isDestroyed || this.commands.size === 0) return;
+        const state = this.getState();
+        const key = JSON.stringify(state);
+        if (key === this.lastStateKey) return;
+        this.lastStateKey = key;
+        this.editor.events.emit('commandStateChange', state);
+    }
+
+    /**
+     * تمام دستورات را پاک کرده و منابع را آزاد می‌کند.
+     */
+    destroy() {
+        this.commands.clear();
+        this.owners.clear();
+        this.editor = null;
+        this.boundRefresh = null;
+    }
+
+    /**
+     * @param {string} message
+     * @param {*} error
+     * @param {string} name - نام دستور.
+     * @param {*} [args]
+     * @private
+     */
+    _reportError(message, error, name, args) {
+        this.editor.logger.error('COMMAND_FAILED', message, {
+            error, module: 'commands', plugin: this.owners.get(name) || null, input: { name, args }
+        });
+    }
+}
@@ -0,0 +1,463 @@
+import { encodeDocument, decodeDocument } from './storage.js';
+import { sanitize } from '../utils/sanitizer.js';
+import { withLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} DocumentInfo
+ * @property {string} id - شناسه یکتای سند.
+ * @property {string} title - عنوان سند: نامی که با `rename` داده شده، یا متن اولین تیتر سند.
+ * @property {number} created - زمان ساخت (میلی‌ثانیه از epoch).
+ * @property {number} updated - زمان آخرین ذخیره.
+ * @property {number} words - تعداد کلمات.
+ * @property {number|null} deleted - زمان انتقال به سطل زباله؛ null برای اسناد فعال.
+ */
+
+/**
+ * @typedef {DocumentInfo & {key: string, named: boolean}} DocumentEntry
+ * @private
+ */
+
+/**
+ * عنوان اسنادی که تیتر ندارند.
+ * @type {string}
+ */
+export const UNTITLED = 'بدون عنوان';
+
+/**
+ * نسخه قالب فهرست اسناد.
+ * @type {number}
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * مدیریت چند سند (یادداشت) روی یک ویرایشگر. هر سند با کلید جداگانه در همان مخزن ذخیره‌سازی ویرایشگر ذخیره
+ * می‌شود و فهرست اسناد (با عنوان، زمان‌ها و تعداد کلمات) در کلید `<storage.key>:documents` نگه داشته می‌شود.
+ * سند موجود در `storage.key` اولین سند فهرست است. اسناد حذف‌شده تا `purge` یا `emptyTrash` در سطل زباله می‌مانند.
+ * تمام متدها غیرهمزمان‌اند و به ترتیب فراخوانی اجرا می‌شوند.
+ * @class Documents
+ */
+export default class Documents {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * کلید اصلی ذخیره‌سازی ویرایشگر؛ کلید اولین سند و پیشوند کلید بقیه اسناد.
+         * @private
+         * @type {string}
+         */
+        this.baseKey = editor.options.storage.key;
+        /**
+         * @private
+         * @type {{version: number, active: string, documents: DocumentEntry[]}|null}
+         */
+        this.index = null;
+        /**
+         * آیا فهرست اسناد در مخزن ذخیره شده است؟ تا اولین عملیات روی اسناد، ویرایشگرهای تک‌سندی کلید اضافه‌ای نمی‌سازند.
+         * @private
+         * @type {boolean}
+         */
+        this.persisted = false;
+        /**
+         * صف عملیات، تا عملیات همزمان (مثلاً دو `open` پشت‌سرهم) روی هم اثر نگذارند.
+         * @private
+         * @type {Promise<any>}
+         */
+        this.queue = Promise.resolve();
+
+        /**
+         * @private
+         * @type {Array<() => void>}
+         */
+        this.disposers = [editor.events.on('change', ({ markdown }) => this._onChange(markdown))];
+
+        // The document that was open last time is restored once the editor has loaded.
+        if (editor.options.storage.enabled) this._enqueue(() => this._restoreActive());
+    }
+
+    /**
+     * سند باز در ویرایشگر؛ پیش از بارگذاری فهرست اسناد null.
+     * @returns {DocumentInfo|null}
+     */
+    get current() {
+        const entry = this.index && this._find(this.index.active);
+        return entry ? toInfo(entry) : null;
+    }
+
+    /**
+     * فهرست اسناد، به ترتیب آخرین تغییر.
+     * @param {{trashed?: boolean}} [options] - `trashed: true` اسناد سطل زباله را برمی‌گرداند.
+     * @returns {Promise<DocumentInfo[]>}
+     */
+    list({ trashed = false } = {}) {
+        return this._enqueue(() => this.index.documents
+            .filter(entry => (entry.deleted !== null) === trashed)
+            .sort((a, b) => b.updated - a.updated)
+            .map(toInfo));
+    }
+
+    /**
+     * یک سند جدید ساخته و آن را باز می‌کند.
+     * @param {string} [markdown=''] - محتوای اولیه.
+     * @returns {Promise<DocumentInfo|null>} سند جدید، یا null در صورت خطا یا لغو باز شدن آن (سند ساخته‌شده باقی می‌ماند).
+     */
+    create(markdown = '') {
+        return this._enqueue(async () => {
+            const entry = await this._add(String(markdown));
+            if (!entry) return null;
+            return await this._switch(entry) ? toInfo(entry) : null;
+        });
+    }
+
+    /**
+     * سند دیگری را در ویرایشگر باز می‌کند. تغییرات سند فعلی پیش از آن ذخیره می‌شوند.
+     * @param {string} id
+     * @returns {Promise<DocumentInfo|null>} سند باز شده، یا null اگر سند وجود نداشته، در سطل زباله باشد یا
+     *   جایگزینی محتوا (مثلاً توسط `beforeChange`) لغو شود.
+     */
+    open(id) {
+        return this._enqueue(async () => {
+            const entry = this._find(id);
+            if (!entry || entry.deleted !== null) {
+                this.editor.logger.warn(`Document "${id}" does not exist or is in the trash.`);
+                return null;
+            }
+            return await this._switch(entry) ? toInfo(entry) : null;
+        });
+    }
+
+    /**
+     * نام یک سند را تغییر می‌دهد. با عنوان خالی، عنوان دوباره از اولین تیتر سند گرفته می‌شود.
+     * @param {string} id
+     * @param {string} title
+     * @returns {Promise<DocumentInfo|null>}
+     */
+    rename(id, title) {
+        return this._enqueue(async () => {
+            const entry = this._find(id);
+            if (!entry) return null;
+            const name = String(title || '').trim();
+            entry.named = name !== '';
+            if (entry.named) {
+                entry.title = name;
+            } else {
+                const markdown = id === this.index.active ? this.editor.getMarkdown() : await this._read(entry);
+                entry.title = titleOf(markdown || '');
+            }
+            await this._saveIndex();
+            return toInfo(entry);
+        });
+    }
+
+    /**
+     * یک رونوشت از سند می‌سازد؛ رونوشت باز نمی‌شود.
+     * @param {string} id
+     * @returns {Promise<DocumentInfo|null>}
+     */
+    duplicate(id) {
+        return this._enqueue(async () => {
+            const source = this._find(id);
+            if (!source) return null;
+            if (id === this.index.active) await this.editor.saveContent();
+            const markdown = await this._read(source);
+            const entry = await this._add(markdown || '');
+            if (!entry) return null;
+            entry.named = true;
+            entry.title = `${source.title} (رونوشت)`;
+            await this._saveIndex();
+            return toInfo(entry);
+        });
+    }
+
+    /**
+     * سند را به سطل زباله منتقل می‌کند. اگر سند باز باشد، آخرین سند تغییرکرده (یا یک سند جدید) باز می‌شود.
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    delete(id) {
+        return this._enqueue(async () => {
+            const entry = this._find(id);
+            if (!entry || entry.deleted !== null) return false;
+            if (id === this.index.active) {
+                await this.editor.saveContent();
+                const next = this.index.documents
+                    .filter(other => other !== entry && other.deleted === null)
+                    .sort((a, b) => b.updated - a.updated)[0] || await this._add('');
+                if (!next || !await this._switch(next, false)) return false;
+            }
+            entry.deleted = Date.now();
+            await this._saveIndex();
+            return true;
+        });
+    }
+
+    /**
+     * سندی را از سطل زباله بازمی‌گرداند.
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    restore(id) {
+        return this._enqueue(async () => {
+            const entry = this._find(id);
+            if (!entry || entry.deleted === null) return false;
+            entry.deleted = null;
+            await this._saveIndex();
+            return true;
+        });
+    }
+
+    /**
+     * سندی از سطل زباله را برای همیشه حذف می‌کند.
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    purge(id) {
+        return this._enqueue(async () => {
+            const entry = this._find(id);
+            if (!entry || entry.deleted === null) return false;
+            await this._remove(entry);
+            await this._saveIndex();
+            return true;
+        });
+    }
+
+    /**
+     * تمام اسناد سطل زباله را برای همیشه حذف می‌کند.
+     * @returns {Promise<number>} تعداد اسناد حذف‌شده.
+     */
+    emptyTrash() {
+        return this._enqueue(async () => {
+            const trashed = this.index.documents.filter(entry => entry.deleted !== null);
+            for (const entry of trashed) await this._remove(entry);
+            if (trashed.length > 0) await this._saveIndex();
+            return trashed.length;
+        });
+    }
+
+    /**
+     * یک عملیات را پس از عملیات قبلی و بارگذاری فهرست اسناد اجرا می‌کند. خطاها گزارش شده و نتیجه null می‌شود.
+     * @template T
+     * @param {() => T|Promise<T>} operation
+     * @returns {Promise<T|null>}
+     * @private
+     */
+    _enqueue(operation) {
+        const run = async () => {
+            if (!this.editor || this.editor.isDestroyed) return null;
+            if (!this.editor.options.storage.enabled) {
+                this.editor.logger.warn('The document manager requires "storage.enabled".');
+                return null;
+            }
+            if (!this.index) await this._loadIndex();
+            return operation();
+        };
+        const result = this.queue.then(run).catch(error => {
+            if (this.editor) this.editor.logger.error('DOCUMENTS_FAILED', 'Document operation failed.', { error, module: 'documents' });
+            return null;
+        });
+        this.queue = result;
+        return result;
+    }
+
+    /**
+     * فهرست اسناد را می‌خواند؛ اگر فهرستی ذخیره نشده باشد، سند موجود در `storage.key` اولین سند آن است.
+     * @private
+     */
+    async _loadIndex() {
+        await this.editor.loaded;
+        const stored = await this.editor.storage.load(`${this.baseKey}:documents`);
+        if (stored) {
+            const index = JSON.parse(stored);
+            if (index && Array.isArray(index.documents) && index.documents.length > 0) {
+                this.index = index;
+                this.persisted = true;
+                return;
+            }
+        }
+
+        const markdown = this.editor.getMarkdown();
+        const now = Date.now();
+        this.index = {
+            version: INDEX_VERSION,
+            active: 'main',
+            documents: [{ id: 'main', key: this.baseKey, named: false, title: titleOf(markdown), created: now, updated: now, words: countWords(markdown), deleted: null }]
+        };
+    }
+
+    /**
+     * سندی را که آخرین بار باز بوده، باز می‌کند.
+     * @private
+     */
+    async _restoreActive() {
+        const entry = this._find(this.index.active);
+        if (!entry || entry.deleted !== null || entry.key === this.editor.storage.key) return;
+        // A bound form field's value is not replaced; neither is the shown document when the other could not be opened.
+        if (this.editor.formField || !await this._switch(entry, false)) {
+            const shown = this.index.documents.find(other => other.key === this.editor.storage.key);
+            if (shown) this.index.active = shown.id;
+        }
+    }
+
+    /**
+     * @param {string} markdown
+     * @returns {Promise<DocumentEntry|null>}
+     * @private
+     */
+    async _add(markdown) {
+        const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const now = Date.now();
+        const entry = { id, key: `${this.baseKey}:doc:${id}`, named: false, title: titleOf(markdown), created: now, updated: now, words: countWords(markdown), deleted: null };
+        if (!await this.editor.storage.save(encodeDocument(markdown), entry.key)) return null;
+        this.index.documents.push(entry);
+        await this._saveIndex();
+        return entry;
+    }
+
+    /**
+     * سند فعلی را ذخیره کرده و سند دیگری را در ویرایشگر بارگذاری می‌کند.
+     * @param {DocumentEntry} entry
+     * @param {boolean} [saveCurrent=true]
+     * @returns {Promise<boolean>} false اگر محتوای سند اعمال نشود (مثلاً با لغو `beforeChange`)؛ سند قبلی باز می‌ماند.
+     * @private
+     */
+    async _switch(entry, saveCurrent = true) {
+        const { editor } = this;
+        const previous = this._find(this.index.active);
+        // Typing not yet saved belongs to the current document.
+        if (editor.inputHandler) editor.inputHandler.debouncedSave.cancel();
+        if (saveCurrent && previous && previous.deleted === null) {
+            await Promise.all([editor.saveContent(), editor.autosave.savePosition()]);
+        }
+
+        const stored = await this._readDocument(entry);
+        if (editor.isDestroyed) return false;
+        // The key changes first, so that edits saved while a large document is still loading go to that document.
+        const previousKey = editor.storage.key;
+        editor.storage.key = entry.key;
+        if (!await editor.setContent(stored ? stored.markdown : '')) {
+            // The previous document's content is still in the editor and must not be saved under the new key.
+            if (!editor.isDestroyed) editor.storage.key = previousKey;
+            return false;
+        }
+        if (editor.isDestroyed) return false;
+        if (stored) editor.blocks.restoreIds(stored.ids);
+        this.index.active = entry.id;
+        editor.history.reset();
+        await editor.autosave.restorePosition();
+        if (editor.isDestroyed) return false;
+        await this._saveIndex();
+        editor.events.emit('documentChange', { document: toInfo(entry), previous: previous ? toInfo(previous) : null });
+        return true;
+    }
+
+    /**
+     * @param {DocumentEntry} entry
+     * @returns {Promise<string|null>} مارک‌داون سند.
+     * @private
+     */
+    async _read(entry) {
+        const stored = await this._readDocument(entry);
+        return stored ? stored.markdown : null;
+    }
+
+    /**
+     * @param {DocumentEntry} entry
+     * @returns {Promise<{markdown: string, ids: string[]}|null>} مارک‌داون سند و شناسه‌های ذخیره‌شده بلوک‌های آن.
+     * @private
+     */
+    async _readDocument(entry) {
+        const stored = await this.editor.storage.load(entry.key);
+        if (!stored) return null;
+        const { version, content, ids } = decodeDocument(stored);
+        if (version !== 0) return { markdown: content, ids };
+        // HTML saved before the markdown format is converted on the fly; it is saved as markdown when edited.
+        const element = document.createElement('div');
+        element.innerHTML = withLogger(this.editor.logger, () => sanitize(content));
+        return { markdown: this.editor.htmlParser.parse(element), ids: [] };
+    }
+
+    /**
+     * @param {DocumentEntry} entry
+     * @private
+     */
+    async _remove(entry) {
+        await this.editor.storage.remove(entry.key);
+        await this.editor.storage.remove(`${entry.key}:versions`);
+        await this.editor.storage.remove(`${entry.key}:position`);
+        this.index.documents = this.index.documents.filter(other => other !== entry);
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    _saveIndex() {
+        this.persisted = true;
+        return this.editor.storage.save(JSON.stringify(this.index), `${this.baseKey}:documents`);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {DocumentEntry|undefined}
+     * @private
+     */
+    _find(id) {
+        return this.index.documents.find(entry => entry.id === id);
+    }
+
+    /**
+     * اطلاعات سند باز را پس از هر ذخیره به‌روز می‌کند.
+     * @param {string} markdown
+     * @private
+     */
+    _onChange(markdown) {
+        if (!this.index) return;
+        const entry = this._find(this.index.active);
+        if (!entry || entry.key !== this.editor.storage.key) return;
+        if (!entry.named) entry.title = titleOf(markdown);
+        entry.updated = Date.now();
+        entry.words = countWords(markdown);
+        if (this.persisted) this._saveIndex();
+    }
+
+    /**
+     * شنونده‌ها را حذف می‌کند.
+     */
+    destroy() {
+        this.disposers.forEach(dispose => dispose());
+        this.disposers = [];
+        this.editor = null;
+    }
+}
+
+/**
+ * @param {DocumentEntry} entry
+ * @returns {DocumentInfo}
+ */
+function toInfo({ id, title, created, updated, words, deleted }) {
+    return { id, title, created, updated, words, deleted };
+}
+
+/**
+ * @param {string} markdown
+ * @returns {string} متن اولین تیتر بدون علائم قالب‌بندی.
+ */
+export function titleOf(markdown) {
+    const match = /^ {0,3}#{1,6}[ \t]+(.+?)[ \t#]*$/m.exec(markdown);
+    const title = match ? match[1].replace(/[*_~`]|\[([^\]]*)\]\([^)]*\)/g, '$1').trim() : '';
+    return title || UNTITLED;
+}
+
+/**
+ * @param {string} markdown
+ * @returns {number} تعداد کلمات متن، بدون علائم مارک‌داون.
+ */
+export function countWords(markdown) {
+    const text = markdown.replace(/```[^\n]*|[#>*_~`|[\]()!-]+/g, ' ');
+    return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
@@ -1,47 +1,101 @@
 import EventEmitter from './eventEmitter.js';
-import Storage from './storage.js';
+import Storage, { STORAGE_FORMAT_VERSION, encodeDocument, decodeDocument } from './storage.js';
+import { resolveStorageAdapter } from './storageAdapters.js';
 import Selection from './selection.js';
+import History from './history.js';
+import Commands from './commands.js';
+import Blocks from './blocks.js';
+import MarkdownCache from './markdownCache.js';
+import Virtualizer from './virtualizer.js';
+import PluginContext from './pluginContext.js';
+import InputRules from './inputRules.js';
+import SourceMode from './sourceMode.js';
+import FormField from './formField.js';
+import Documents from './documents.js';
+import Versions from './versions.js';
+import Autosave from './autosave.js';
+import { editorRegistry } from './editorRegistry.js';
+import { normalizePluginEntry, clearPluginState } from '../plugins/plugin.js';
 import { MarkdownParser } from '../parsers/markdownParser.js';
 import { HtmlParser } from '../parsers/htmlParser.js';
+import { InlineRules } from '../parsers/inlineRules.js';
 import { KeyboardHandler } from '../handlers/keyboardHandler.js';
 import { MouseHandler } from '../handlers/mouseHandler.js';
 import { ClipboardHandler } from '../handlers/clipboardHandler.js';
 import { InputHandler } from '../handlers/inputHandler.js';
 import { Renderer } from '../renderers/renderer.js';
 import { sanitize } from '../utils/sanitizer.js';
+import { morphHTML } from '../utils/diff.js';
+import { moveCursorToEnd } from '../utils/dom.js';
+import { insertFragment } from '../renderers/transforms.js';
+import { Logger, LOG_LEVELS, withLogger } from '../utils/logger.js';
 
 /**
  * @typedef {object} DabirOptions
  * @property {string} [placeholder='اینجا بنویسید...'] - متنی که در هنگام خالی بودن ویرایشگر نمایش داده می‌شود.
  * @property {object} [storage] - تنظیمات مربوط به ذخیره‌سازی محلی.
  * @property {boolean} [storage.enabled=true] - فعال یا غیرفعال کردن ذخیره‌سازی خودکار.
- * @property {string} [storage.key='dabir-content'] - کلید منحصر به فرد برای ذخیره‌سازی در localStorage.
- * @property {Array<import('../plugins/plugin.js').Plugin>} [plugins=[]] - آرایه‌ای از کلاس‌های پلاگین برای فعال‌سازی.
+ * @property {string} [storage.key='dabir-content'] - کلید منحصر به فرد سند در مخزن ذخیره‌سازی.
+ * @property {'local'|'session'|'indexeddb'|'memory'|import('./storageAdapters.js').StorageAdapter} [storage.adapter='local'] -
+ *   مخزن ذخیره‌سازی: نام یکی از مخزن‌های داخلی یا یک مخزن سفارشی با متدهای `load`، `save`، `remove` و `list`.
+ * @property {boolean} [storage.restorePosition=true] - ذخیره موقعیت مکان‌نما و پیمایش هر سند و بازگرداندن آن هنگام باز شدن دوباره سند.
+ * @property {Array<import('../plugins/plugin.js').PluginEntry>} [plugins=[]] - آرایه‌ای از کلاس‌های پلاگین برای فعال‌سازی،
+ *   یا زوج‌های `[Plugin, options]` برای پاس دادن گزینه به پلاگین.
+ * @property {import('./history.js').HistoryOptions} [history] - تنظیمات تاریخچه واگرد و ازنو.
+ * @property {import('./virtualizer.js').LargeDocumentOptions|boolean} [largeDocument] - تنظیمات رندر مجازی اسناد بزرگ (`false` برای غیرفعال کردن).
+ * @property {import('./versions.js').VersionOptions|boolean} [versions] - تنظیمات نسخه‌های ذخیره‌شده سند (`false` برای غیرفعال کردن نسخه‌های خودکار).
+ * @property {boolean|ReadOnlyOptions} [readOnly=false] - حالت فقط‌خواندنی (نمایشگر)؛ قابل تغییر با `setReadOnly()`.
+ * @property {string|HTMLTextAreaElement|HTMLInputElement|import('./formField.js').FormFieldOptions} [formField] - فیلد فرمی که
+ *   ویرایشگر با مقدار آن مقداردهی شده و مارک‌داون سند را در آن نگه می‌دارد.
+ * @property {import('../utils/logger.js').LogLevel} [logLevel='warn'] - بیشترین سطح پیام‌هایی که در کنسول نوشته می‌شوند.
+ * @property {(error: Error, context: import('../utils/logger.js').ErrorContext) => void} [onError] - برای هر خطای
+ *   گزارش‌شده توسط ویرایشگر یا پلاگین‌ها فراخوانی می‌شود (مستقل از `logLevel`).
  */
 
+/**
+ * @typedef {object} ReadOnlyOptions
+ * @property {boolean} [enabled=false] - آیا ویرایشگر در ابتدا فقط‌خواندنی است.
+ * @property {boolean} [checklists=false] - آیا تیک زدن چک‌لیست‌ها در حالت فقط‌خواندنی مجاز است.
+ */
+
+/**
+ * شمارنده شناسه المان‌هایی که `fromTextarea` می‌سازد.
+ * @type {number}
+ */
+let generatedIds = 0;
+
 /**
  * کلاس اصلی ویرایشگر دبیر.
  * @class DabirEditor
  */
 export class DabirEditor {
+    /**
+     * فهرست مشترک ویرایشگرهای صفحه و ویرایشگر فعال (برای نوار ابزار مشترک).
+     * @static
+     * @type {import('./editorRegistry.js').default}
+     */
+    static registry = editorRegistry;
+
     /**
      * یک نمونه جدید از ویرایشگر دبیر ایجاد می‌کند.
-     * @param {string} selector - سلکتور CSS برای المان ویرایشگر.
+     * @param {string|HTMLElement} selector - سلکتور CSS برای المان ویرایشگر، یا خود المان
+     *   (مثلاً المانی داخل یک Shadow Root که با سلکتور سند قابل یافتن نیست).
      * @param {DabirOptions} [options={}] - گزینه‌های پیکربندی برای ویرایشگر.
      */
     constructor(selector, options = {}) {
         // --- Validation Layer ---
         
         // 1. Validate Selector
-        if (typeof selector !== 'string' || selector.trim() === '') {
-            throw new Error('Dabir.js Error: Invalid selector. It must be a non-empty string.');
+        const isElement = typeof HTMLElement !== 'undefined' && selector instanceof HTMLElement;
+        if (!isElement && (typeof selector !== 'string' || selector.trim() === '')) {
+            throw new Error('Dabir.js Error: Invalid selector. It must be a non-empty string or an HTMLElement.');
         }
 
         /**
          * المان اصلی ویرایشگر.
          * @type {HTMLElement}
          */
-        this.element = document.querySelector(selector);
+        this.element = isElement ? selector : document.querySelector(selector);
         if (!this.element) {
             throw new Error(`Dabir.js Error: Element with selector "${selector}" not found.`);
         }
@@ -49,8 +103,15 @@ export class DabirEditor {
         // 2. Prepare Defaults
         const defaults = {
             placeholder: 'اینجا بنویسید...',
-            storage: { enabled: true, key: 'dabir-content' },
-            plugins: []
+            storage: { enabled: true, key: 'dabir-content', adapter: 'local', restorePosition: true },
+            history: { limit: 100, groupDelay: 1000 },
+            largeDocument: { enabled: true, threshold: 1000, chunkSize: 250, initialBlocks: 50, margin: '1500px' },
+            versions: { enabled: true, interval: 300000, limit: 50, maxAge: 2592000000 },
+            plugins: [],
+            readOnly: { enabled: false, checklists: false },
+            formField: null,
+            logLevel: 'warn',
+            onError: null
         };
 
         // 3. Validate & Sanitize Options
@@ -59,32 +120,164 @@ export class DabirEditor {
         
         const finalOptions = { ...defaults, ...safeOptions };
 
+        // Validate Logging first, so that the remaining warnings respect the level
+        const validLogLevel = LOG_LEVELS.includes(finalOptions.logLevel);
+        /**
+         * گزارش‌گر مشترک خطاها و هشدارهای ویرایشگر، ماژول‌ها و پلاگین‌ها.
+         * @type {Logger}
+         */
+        this.logger = new Logger({
+            level: validLogLevel ? finalOptions.logLevel : defaults.logLevel,
+            onError: (error, context) => this._reportError(error, context)
+        });
+        if (!validLogLevel) {
+            this.logger.warn(`"logLevel" option must be one of ${LOG_LEVELS.join(', ')}. Using default.`);
+            finalOptions.logLevel = defaults.logLevel;
+        }
+        if (finalOptions.onError !== null && typeof finalOptions.onError !== 'function') {
+            this.logger.warn('"onError" option must be a function. Ignoring it.');
+            finalOptions.onError = null;
+        }
+
         // Validate Placeholder
         if (typeof finalOptions.placeholder !== 'string') {
-            console.warn('Dabir.js Warning: "placeholder" option must be a string. Using default.');
+            this.logger.warn('"placeholder" option must be a string. Using default.');
             finalOptions.placeholder = defaults.placeholder;
         }
 
         // Validate Plugins
         if (!Array.isArray(finalOptions.plugins)) {
-            console.warn('Dabir.js Warning: "plugins" option must be an array. Using default (empty array).');
+            this.logger.warn('"plugins" option must be an array. Using default (empty array).');
             finalOptions.plugins = [];
         }
+        finalOptions.plugins = finalOptions.plugins.map(normalizePluginEntry);
 
         // Validate Storage
         const userStorage = safeOptions.storage;
         // If storage is explicitly provided but invalid
         if (userStorage !== undefined && (typeof userStorage !== 'object' || userStorage === null)) {
-             console.warn('Dabir.js Warning: "storage" option must be an object. Using default.');
+             this.logger.warn('"storage" option must be an object. Using default.');
              finalOptions.storage = defaults.storage;
         } else {
             // Merge nested storage options
             finalOptions.storage = { ...defaults.storage, ...(userStorage || {}) };
             
             if (typeof finalOptions.storage.key !== 'string' || finalOptions.storage.key.trim() === '') {
-                console.warn('Dabir.js Warning: Storage "key" must be a non-empty string. Using default key.');
+                this.logger.warn('Storage "key" must be a non-empty string. Using default key.');
                 finalOptions.storage.key = defaults.storage.key;
             }
+            // Resolved once, so that every module of this editor shares the same adapter instance.
+            const adapter = resolveStorageAdapter(finalOptions.storage.adapter ?? defaults.storage.adapter);
+            if (!adapter) {
+                this.logger.warn('Storage "adapter" must be one of local, session, indexeddb, memory or an object with load, save, remove and list methods. Using default.');
+            }
+            finalOptions.storage.adapter = adapter || resolveStorageAdapter(defaults.storage.adapter);
+            if (typeof finalOptions.storage.restorePosition !== 'boolean') {
+                this.logger.warn('Storage "restorePosition" must be a boolean. Using default.');
+                finalOptions.storage.restorePosition = defaults.storage.restorePosition;
+            }
+        }
+
+        // Validate History
+        const userHistory = safeOptions.history;
+        if (userHistory !== undefined && (typeof userHistory !== 'object' || userHistory === null)) {
+            this.logger.warn('"history" option must be an object. Using default.');
+            finalOptions.history = defaults.history;
+        } else {
+            finalOptions.history = { ...defaults.history, ...(userHistory || {}) };
+
+            ['limit', 'groupDelay'].forEach(key => {
+                const value = finalOptions.history[key];
+                if (typeof value !== 'number' || !(value > 0)) {
+                    this.logger.warn(`History "${key}" must be a positive number. Using default.`);
+                    finalOptions.history[key] = defaults.history[key];
+                }
+            });
+        }
+
+        // Validate Large Document Mode
+        const userLargeDocument = safeOptions.largeDocument;
+        if (typeof userLargeDocument === 'boolean') {
+            finalOptions.largeDocument = { ...defaults.largeDocument, enabled: userLargeDocument };
+        } else if (userLargeDocument !== undefined && (typeof userLargeDocument !== 'object' || userLargeDocument === null)) {
+            this.logger.warn('"largeDocument" option must be an object or a boolean. Using default.');
+            finalOptions.largeDocument = defaults.largeDocument;
+        } else {
+            finalOptions.largeDocument = { ...defaults.largeDocument, ...(userLargeDocument || {}) };
+
+            ['threshold', 'chunkSize', 'initialBlocks'].forEach(key => {
+                const value = finalOptions.largeDocument[key];
+                if (typeof value !== 'number' || !(value > 0)) {
+                    this.logger.warn(`Large document "${key}" must be a positive number. Using default.`);
+                    finalOptions.largeDocument[key] = defaults.largeDocument[key];
+                }
+            });
+            if (typeof finalOptions.largeDocument.margin !== 'string') {
+                this.logger.warn('Large document "margin" must be a CSS length string. Using default.');
+                finalOptions.largeDocument.margin = defaults.largeDocument.margin;
+            }
+        }
+
+        // Validate Version History
+        const userVersions = safeOptions.versions;
+        if (typeof userVersions === 'boolean') {
+            finalOptions.versions = { ...defaults.versions, enabled: userVersions };
+        } else if (userVersions !== undefined && (typeof userVersions !== 'object' || userVersions === null)) {
+            this.logger.warn('"versions" option must be an object or a boolean. Using default.');
+            finalOptions.versions = defaults.versions;
+        } else {
+            finalOptions.versions = { ...defaults.versions, ...(userVersions || {}) };
+
+            ['interval', 'limit'].forEach(key => {
+                const value = finalOptions.versions[key];
+                if (typeof value !== 'number' || !(value > 0)) {
+                    this.logger.warn(`Versions "${key}" must be a positive number. Using default.`);
+                    finalOptions.versions[key] = defaults.versions[key];
+                }
+            });
+            if (typeof finalOptions.versions.maxAge !== 'number' || !(finalOptions.versions.maxAge >= 0)) {
+                this.logger.warn('Versions "maxAge" must be a non-negative number. Using default.');
+                finalOptions.versions.maxAge = defaults.versions.maxAge;
+            }
+        }
+
+        // Validate Read-Only Mode
+        const userReadOnly = safeOptions.readOnly;
+        if (typeof userReadOnly === 'boolean') {
+            finalOptions.readOnly = { ...defaults.readOnly, enabled: userReadOnly };
+        } else if (userReadOnly !== undefined && (typeof userReadOnly !== 'object' || userReadOnly === null)) {
+            this.logger.warn('"readOnly" option must be a boolean or an object. Using default.');
+            finalOptions.readOnly = defaults.readOnly;
+        } else {
+            finalOptions.readOnly = { ...defaults.readOnly, ...(userReadOnly || {}) };
+            ['enabled', 'checklists'].forEach(key => {
+                if (typeof finalOptions.readOnly[key] !== 'boolean') {
+                    this.logger.warn(`Read-only "${key}" must be a boolean. Using default.`);
+                    finalOptions.readOnly[key] = defaults.readOnly[key];
+                }
+            });
+        }
+
+        // Validate Form Field
+        const userFormField = finalOptions.formField;
+        if (userFormField !== null && userFormField !== undefined) {
+            const config = typeof userFormField === 'string' || userFormField instanceof Element
+                ? { field: userFormField }
+                : (typeof userFormField === 'object' ? userFormField : {});
+            const field = typeof config.field === 'string' ? document.querySelector(config.field) : config.field;
+            if (field instanceof Element && (field.tagName === 'TEXTAREA' || field.tagName === 'INPUT')) {
+                finalOptions.formField = { field, messages: { ...(config.messages || {}) } };
+            } else {
+                this.logger.warn('"formField" option must be a <textarea> or <input> element or a selector for one. Ignoring it.');
+                finalOptions.formField = null;
+            }
+        } else {
+            finalOptions.formField = null;
+        }
+        // The field's value is the content of a form-bound editor; a draft under the shared default key
+        // (possibly another editor's) must not leak into it, so storage is opt-in there.
+        if (finalOptions.formField && !(userStorage && typeof userStorage === 'object' && 'enabled' in userStorage)) {
+            finalOptions.storage = { ...finalOptions.storage, enabled: false };
         }
 
         /**
@@ -101,17 +294,36 @@ export class DabirEditor {
          */
         this.isDestroyed = false;
 
+        /**
+         * آیا المان ویرایشگر توسط `fromTextarea` ساخته شده است؟ چنین المانی در `destroy` حذف می‌شود.
+         * @private
+         * @type {boolean}
+         */
+        this.generatedElement = false;
+
+        /**
+         * آیا ویرایشگر در حالت فقط‌خواندنی است. برای تغییر از `setReadOnly()` استفاده کنید.
+         * @type {boolean}
+         */
+        this.isReadOnly = this.options.readOnly.enabled;
+
         /**
          * سیستم مدیریت رویدادها.
          * @type {EventEmitter}
          */
-        this.events = new EventEmitter();
+        this.events = new EventEmitter(this.logger);
 
         /**
-         * ماژول مدیریت ذخیره‌سازی محلی.
+         * ماژول ذخیره‌سازی محتوا در مخزن انتخاب‌شده (`storage.adapter`).
          * @type {Storage}
          */
-        this.storage = new Storage(this.options.storage);
+        this.storage = new Storage(this.options.storage, this.logger);
+
+        /**
+         * وضعیت ذخیره خودکار، ذخیره فوری هنگام بستن صفحه و بازگردانی موقعیت مکان‌نما.
+         * @type {Autosave}
+         */
+        this.autosave = new Autosave(this);
 
         /**
          * ماژول مدیریت انتخاب متن (Selection).
@@ -125,6 +337,12 @@ export class DabirEditor {
          */
         this.renderer = new Renderer(this);
         
+        /**
+         * رجیستری سینتکس‌های درون‌خطی سفارشی (مانند `:emoji:`).
+         * @type {InlineRules}
+         */
+        this.inlineRules = new InlineRules(this);
+
         /**
          * پارسر مارک‌داون به HTML.
          * @type {MarkdownParser}
@@ -137,6 +355,12 @@ export class DabirEditor {
          */
         this.htmlParser = new HtmlParser(this);
 
+        /**
+         * رجیستری قواعد ورودی؛ تبدیل زنده خطوط با Space و Enter (مانند `# ` به تیتر).
+         * @type {InputRules}
+         */
+        this.inputRules = new InputRules(this);
+
         /**
          * مدیریت‌کننده رویدادهای ورودی.
          * @type {InputHandler}
@@ -162,61 +386,301 @@ export class DabirEditor {
         this.clipboardHandler = new ClipboardHandler(this);
 
         /**
-         * مجموعه‌ای از پلاگین‌های نصب‌شده.
+         * مدل ساختاریافته سند (بلوک‌ها با شناسه‌های پایدار).
+         * @type {Blocks}
+         */
+        this.blocks = new Blocks(this);
+
+        /**
+         * حافظه مارک‌داون هر بلوک که با هر تغییر DOM به‌روز می‌شود.
+         * @type {MarkdownCache}
+         */
+        this.markdownCache = new MarkdownCache(this);
+
+        /**
+         * رندر مجازی و پردازش تکه‌تکه اسناد بزرگ.
+         * @type {Virtualizer}
+         */
+        this.virtualizer = new Virtualizer(this, this.options.largeDocument);
+
+        /**
+         * رجیستری دستورات ویرایشگر (مانند 'bold' یا 'heading1').
+         * @type {Commands}
+         */
+        this.commands = new Commands(this);
+
+        /**
+         * ماژول مدیریت تاریخچه واگرد و ازنو.
+         * @type {History}
+         */
+        this.history = new History(this, this.options.history);
+
+        /**
+         * حالت ویرایش مستقیم مارک‌داون.
+         * @type {SourceMode}
+         */
+        this.sourceMode = new SourceMode(this);
+
+        /**
+         * اتصال به فیلد فرم (گزینه `formField`)؛ null اگر ویرایشگر به فرمی متصل نباشد.
+         * @type {FormField|null}
+         */
+        this.formField = this.options.formField
+            ? new FormField(this, this.options.formField.field, this.options.formField.messages)
+            : null;
+
+        /**
+         * مدیریت چند سند روی این ویرایشگر (ساخت، باز کردن، سطل زباله و ...).
+         * @type {Documents}
+         */
+        this.documents = new Documents(this);
+
+        /**
+         * نسخه‌های ذخیره‌شده سند (ذخیره دوره‌ای، مقایسه و بازگردانی).
+         * @type {Versions}
+         */
+        this.versions = new Versions(this, this.options.versions);
+
+        /**
+         * مجموعه‌ای از پلاگین‌های نصب‌شده (نام ← API)، به ترتیب اولویت.
          * @type {Map<string, object>}
          */
         this.plugins = new Map();
-        
+
+        /**
+         * اطلاعات نصب هر پلاگین.
+         * @private
+         * @type {Map<string, {Plugin: Function, options: object, context: PluginContext, order: number}>}
+         */
+        this.pluginRecords = new Map();
+
+        /**
+         * پلاگین‌هایی که در حال نصب هستند، برای تشخیص وابستگی‌های چرخشی.
+         * @private
+         * @type {Set<string>}
+         */
+        this.installingPlugins = new Set();
+
+        /**
+         * شمارنده ترتیب نصب، برای مرتب‌سازی پلاگین‌های هم‌اولویت.
+         * @private
+         * @type {number}
+         */
+        this.pluginOrder = 0;
+
+        // Registered before loading, so that a storage key shared with another editor is reported first.
+        editorRegistry.add(this);
         this._init();
     }
 
+    /**
+     * یک ویرایشگر به جای یک `textarea` (یا `input`) فرم می‌سازد: المان ویرایشگر پس از فیلد درج شده،
+     * فیلد پنهان می‌شود و مقدار آن همیشه مارک‌داون سند است (معادل گزینه `formField`).
+     * @param {HTMLTextAreaElement|HTMLInputElement} field - فیلد فرم.
+     * @param {DabirOptions} [options={}] - گزینه‌های ویرایشگر. `formField.messages` نیز پذیرفته می‌شود.
+     * @returns {DabirEditor}
+     */
+    static fromTextarea(field, options = {}) {
+        if (!(field instanceof Element) || (field.tagName !== 'TEXTAREA' && field.tagName !== 'INPUT')) {
+            throw new Error('Dabir.js Error: fromTextarea() expects a <textarea> or <input> element.');
+        }
+        const element = document.createElement('div');
+        do {
+            element.id = `dabir-editor-${++generatedIds}`;
+        } while (document.getElementById(element.id));
+        field.after(element);
+
+        const safeOptions = (typeof options === 'object' && options !== null) ? options : {};
+        const messages = safeOptions.formField && safeOptions.formField.messages;
+        const editor = new DabirEditor(`#${element.id}`, { ...safeOptions, formField: { field, messages } });
+        editor.generatedElement = true;
+        return editor;
+    }
+
     /**
      * ویرایشگر را راه‌اندازی می‌کند.
      * @private
      */
     _init() {
         this.element.classList.add('dabir-editor');
-        this.element.setAttribute('contenteditable', 'true');
+        this._applyReadOnly();
         this.element.setAttribute('data-placeholder', this.options.placeholder);
-        
-        this._loadContent();
+
+        /**
+         * پس از بارگذاری محتوای ذخیره‌شده (و انتشار رویداد `load`) resolve می‌شود. مخزن‌ها غیرهمزمان‌اند،
+         * بنابراین محتوای ذخیره‌شده بلافاصله پس از ساخت ویرایشگر در دسترس نیست.
+         * @type {Promise<void>}
+         */
+        this.loaded = this._loadContent();
         
         // Wrap plugin initialization in try-catch to prevent startup crash
         try {
             this._initPlugins();
         } catch (error) {
-            console.error('Dabir.js Error: Failed to initialize plugins.', error);
+            this.logger.error('PLUGIN_FAILED', 'Failed to initialize plugins.', { error, module: 'editor' });
+        }
+
+        if (this.formField) {
+            // Parsed once the plugins are installed, so that their syntax (tables, admonitions, ...) is recognised.
+            const { initialValue } = this.formField;
+            if (initialValue) this._applyLoadedHTML(withLogger(this.logger, () => sanitize(this.parser.parse(initialValue))));
+            if (this.formField.field.disabled) this.setReadOnly(true);
+            this.formField.sync();
         }
         
         this.events.emit('ready');
     }
 
     /**
-     * محتوای ذخیره‌شده را بارگذاری می‌کند.
+     * بین نمای قالب‌بندی‌شده (`'rich'`) و ویرایش مستقیم مارک‌داون (`'source'`) جابه‌جا می‌شود.
+     * میانبر `Ctrl+Alt+M` نیز همین کار را انجام می‌دهد.
+     * @param {import('./sourceMode.js').EditorMode} mode
+     * @returns {Promise<void>} پس از اعمال حالت جدید resolve می‌شود.
+     */
+    setMode(mode) {
+        if (this.isDestroyed) return Promise.resolve();
+        return this.sourceMode.setMode(mode);
+    }
+
+    /**
+     * @returns {import('./sourceMode.js').EditorMode} حالت فعلی ویرایشگر.
+     */
+    getMode() {
+        return this.isDestroyed ? 'rich' : this.sourceMode.mode;
+    }
+
+    /**
+     * حالت فقط‌خواندنی را روشن یا خاموش می‌کند. در این حالت تایپ، میانبرها، جاگذاری، دستورات و حالت ویرایش خام
+     * غیرفعال‌اند؛ لینک‌ها، دکمه کپی کد و (در صورت فعال بودن `readOnly.checklists`) چک‌لیست‌ها کار می‌کنند.
+     * @param {boolean} readOnly
+     */
+    setReadOnly(readOnly) {
+        if (this.isDestroyed) return;
+        readOnly = !!readOnly;
+        if (readOnly === this.isReadOnly) return;
+        if (readOnly) this.mouseHandler.exitRawMode();
+        this.isReadOnly = readOnly;
+        this._applyReadOnly();
+        this.commands.refresh();
+        this.events.emit('readOnlyChange', { readOnly });
+    }
+
+    /**
+     * ویژگی‌های المان را با حالت فقط‌خواندنی هماهنگ می‌کند.
+     * @private
+     */
+    _applyReadOnly() {
+        this.element.setAttribute('contenteditable', this.isReadOnly ? 'false' : 'true');
+        this.element.classList.toggle('dabir-readonly', this.isReadOnly);
+        this.element.setAttribute('aria-readonly', String(this.isReadOnly));
+    }
+
+    /**
+     * محتوای اولیه را بارگذاری می‌کند: محتوای مخزن پس از آماده شدن آن. ویرایشگر متصل به فیلد فرم مخزن را
+     * نمی‌خواند؛ مقدار فیلد (حتی خالی) پس از نصب پلاگین‌ها در `_init` رندر می‌شود.
+     * @returns {Promise<void>}
      * @private
      */
     _loadContent() {
-        const savedContent = this.storage.load();
-        if (savedContent) {
-            // Sanitize stored content to prevent XSS from modified local storage
-            this.element.innerHTML = sanitize(savedContent);
-        } else {
-            this.element.innerHTML = '<div><br></div>';
+        // A bound form field is authoritative, even when it is empty.
+        this._applyLoadedHTML('');
+        const stored = this.formField ? Promise.resolve(null) : this.storage.load();
+
+        // Content set or typed while the adapter is loading wins over the stored content.
+        let touched = false;
+        const disposers = ['input', 'contentSet'].map(event => this.events.on(event, () => { touched = true; }));
+        return stored
+            .then(savedContent => {
+                if (this.isDestroyed || !savedContent || touched) return;
+                return this._restoreStored(decodeDocument(savedContent), () => touched);
+            })
+            .catch(error => {
+                if (this.isDestroyed) return;
+                this.logger.error('CONTENT_FAILED', 'Failed to load the stored content.', {
+                    error, module: 'editor', input: this.options.storage.key
+                });
+            })
+            .then(() => {
+                if (this.isDestroyed) return;
+                disposers.forEach(dispose => dispose());
+                this.events.emit('load', this);
+            });
+    }
+
+    /**
+     * یک سند ذخیره‌شده را در ویرایشگر قرار می‌دهد. مارک‌داون از طریق پارسر (و برای اسناد بزرگ به صورت تکه‌تکه)
+     * دوباره رندر می‌شود؛ HTML نسخه‌های قدیمی یک بار خوانده شده و بلافاصله به قالب مارک‌داون ذخیره می‌شود.
+     * @param {import('./storage.js').StoredDocument} stored
+     * @param {() => boolean} isTouched - آیا محتوا در این فاصله توسط کاربر یا `setContent` تغییر کرده است؟
+     * @returns {Promise<void>}
+     * @private
+     */
+    _restoreStored({ version, content, ids }, isTouched) {
+        if (version === 0) {
+            // Sanitize stored content to prevent XSS from modified storage
+            this._applyLoadedHTML(withLogger(this.logger, () => sanitize(content)));
+            this.sourceMode.refresh();
+            this.logger.debug(`Migrating stored HTML of "${this.options.storage.key}" to markdown.`);
+            return this.storage.save(encodeDocument(this.markdownCache.getMarkdown(), this._blockIds())).then(() => {});
         }
-        this.events.emit('load', this);
+
+        if (version > STORAGE_FORMAT_VERSION) {
+            this.logger.warn(`Stored content of "${this.options.storage.key}" uses format version ${version}, `
+                + `newer than the supported version ${STORAGE_FORMAT_VERSION}. Loading it as markdown.`);
+        }
+        const rendered = this.virtualizer.shouldVirtualize(content)
+            ? this.virtualizer.render(content)
+            : Promise.resolve(withLogger(this.logger, () => sanitize(this.parser.parse(content))));
+        return rendered.then(html => {
+            if (html === null || this.isDestroyed || isTouched()) return;
+            this._applyLoadedHTML(html, ids);
+            this.sourceMode.refresh();
+        });
+    }
+
+    /**
+     * @param {string} html - HTML پاکسازی‌شده.
+     * @param {string[]} [ids=[]] - شناسه‌های ذخیره‌شده بلوک‌ها.
+     * @private
+     */
+    _applyLoadedHTML(html, ids = []) {
+        morphHTML(this.element, html || '<div><br></div>');
+        this.blocks.sync();
+        this.blocks.restoreIds(ids);
+        this.history.reset();
+    }
+
+    /**
+     * شناسه بلوک‌ها به ترتیب سند، برای ذخیره همراه با مارک‌داون.
+     * @returns {string[]}
+     * @private
+     */
+    _blockIds() {
+        return this.blocks.all().map(block => block.id);
     }
     
     /**
-     * محتوای فعلی ویرایشگر را در حافظه محلی ذخیره می‌کند.
+     * مارک‌داون فعلی ویرایشگر را (همراه با سرآیند نسخه قالب) در مخزن ذخیره‌سازی ذخیره می‌کند.
+     * شنونده‌های `beforeSave` می‌توانند ذخیره را لغو کرده یا `markdown` ذخیره‌شده را تغییر دهند.
+     * رویداد `change` بدون انتظار برای مخزن منتشر می‌شود.
+     * @returns {Promise<boolean>} پس از پایان ذخیره resolve می‌شود؛ false اگر ذخیره لغو شده، غیرفعال یا ناموفق باشد.
      */
     saveContent() {
-        if (this.isDestroyed || !this.element) return;
+        if (this.isDestroyed || !this.element) return Promise.resolve(false);
         try {
             const html = this.element.innerHTML;
-            this.storage.save(html);
-            this.events.emit('change', { html, markdown: this.getMarkdown() });
+            // Only the blocks changed since the last call are serialized again (see MarkdownCache).
+            const markdown = this.getMarkdown();
+            const operation = this.history.lastOperation;
+            const event = this.events.emitCancelable('beforeSave', { html, markdown, operation });
+            if (event.defaultPrevented) return Promise.resolve(false);
+            const saved = this.autosave.track(this.storage.save(encodeDocument(event.markdown, this._blockIds())));
+
+            this.events.emit('change', { html, markdown, operation, blocks: this.blocks.takeChanged('change') });
+            return saved;
         } catch (error) {
-            console.error('Dabir.js Error: Failed to save content.', error);
+            this.logger.error('CONTENT_FAILED', 'Failed to save content.', { error, module: 'editor' });
+            return Promise.resolve(false);
         }
     }
     
@@ -225,38 +689,213 @@ export class DabirEditor {
      * @private
      */
     _initPlugins() {
-        // Validated in constructor, guaranteed to be an array
-        this.options.plugins.forEach(Plugin => this.use(Plugin));
+        // Validated in constructor, guaranteed to be an array of [Plugin, options]
+        this.options.plugins.forEach(([Plugin, options]) => this.use(Plugin, options));
     }
 
     /**
-     * یک پلاگین را ثبت و نصب می‌کند.
+     * یک پلاگین را ثبت و نصب می‌کند. وابستگی‌های پلاگین (`static dependencies`) پیش از آن نصب می‌شوند.
      * @param {import('../plugins/plugin.js').Plugin} Plugin - کلاس پلاگین برای نصب.
      * @param {object} [options={}] - گزینه‌های پیکربندی برای پلاگین.
+     * @returns {boolean} آیا پلاگین نصب شده است؟
      */
     use(Plugin, options = {}) {
-        if (this.isDestroyed) return;
+        if (this.isDestroyed) return false;
+        const name = Plugin ? (Plugin.name || 'Unknown') : 'Unknown';
+        let context = null;
         try {
             if (!Plugin || typeof Plugin.install !== 'function') {
-                console.warn(`Dabir.js Warning: Invalid plugin provided. It must have a static "install" method.`);
-                return;
+                this.logger.warn(`Invalid plugin provided. It must have a static "install" method.`);
+                return false;
             }
-            if (this.plugins.has(Plugin.name)) return;
-            const pluginApi = Plugin.install(this, options);
-            this.plugins.set(Plugin.name, pluginApi || {});
+            if (this.plugins.has(name)) return true;
+            if (this.installingPlugins.has(name)) {
+                this.logger.warn(`Circular dependency detected while installing plugin "${name}".`);
+                return false;
+            }
+
+            this.installingPlugins.add(name);
+            try {
+                if (!this._installDependencies(Plugin)) return false;
+                context = new PluginContext(this, Plugin, options);
+                const pluginApi = Plugin.install(this, options, context);
+                this.pluginRecords.set(name, { Plugin, options, context, order: this.pluginOrder++ });
+                this.plugins.set(name, pluginApi || {});
+            } finally {
+                this.installingPlugins.delete(name);
+            }
+
+            this._sortPlugins();
+            if (this.markdownCache) this.markdownCache.clear();
+            return true;
         } catch (error) {
-            console.error(`Dabir.js Error: Failed to install plugin "${Plugin ? (Plugin.name || 'Unknown') : 'Unknown'}".`, error);
+            if (context) context.dispose();
+            this.logger.error('PLUGIN_FAILED', 'Failed to install plugin.', { error, module: 'editor', plugin: name, input: options });
+            return false;
         }
     }
+
+    /**
+     * یک پلاگین نصب‌شده را حذف می‌کند: `destroy` پلاگین فراخوانی شده و شنونده‌ها، میانبرها و
+     * دستوراتی که از طریق `context` ثبت کرده است پاک می‌شوند. محتوای سند تغییر نمی‌کند.
+     * @param {string|import('../plugins/plugin.js').Plugin} plugin - نام یا کلاس پلاگین.
+     * @returns {boolean} آیا پلاگین حذف شد؟
+     */
+    unuse(plugin) {
+        if (this.isDestroyed) return false;
+        const name = typeof plugin === 'function' ? plugin.name : plugin;
+        const record = this.pluginRecords.get(name);
+        if (!record) return false;
+
+        const dependents = Array.from(this.pluginRecords.values())
+            .filter(({ Plugin }) => this._dependencyNames(Plugin).includes(name))
+            .map(({ Plugin }) => Plugin.name);
+        if (dependents.length > 0) {
+            this.logger.warn(`Cannot remove plugin "${name}"; it is required by ${dependents.join(', ')}.`);
+            return false;
+        }
+
+        this._teardownPlugin(name, record);
+        this.pluginRecords.delete(name);
+        this.plugins.delete(name);
+        if (this.markdownCache) this.markdownCache.clear();
+        if (this.commands) this.commands.refresh();
+        return true;
+    }
+
+    /**
+     * @param {import('../plugins/plugin.js').Plugin} Plugin
+     * @returns {string[]} نام وابستگی‌های پلاگین.
+     * @private
+     */
+    _dependencyNames(Plugin) {
+        const dependencies = Array.isArray(Plugin.dependencies) ? Plugin.dependencies : [];
+        return dependencies.map(dependency => typeof dependency === 'string' ? dependency : dependency && dependency.name);
+    }
+
+    /**
+     * وابستگی‌های نصب‌نشده یک پلاگین را نصب می‌کند. اگر وابستگی در گزینه `plugins` آمده باشد،
+     * با همان گزینه‌ها نصب می‌شود.
+     * @param {import('../plugins/plugin.js').Plugin} Plugin
+     * @returns {boolean} آیا تمام وابستگی‌ها نصب هستند؟
+     * @private
+     */
+    _installDependencies(Plugin) {
+        const dependencies = Array.isArray(Plugin.dependencies) ? Plugin.dependencies : [];
+        return dependencies.every(dependency => {
+            const name = typeof dependency === 'string' ? dependency : dependency && dependency.name;
+            if (this.plugins.has(name)) return true;
+
+            const configured = this.options.plugins.find(([Configured]) => Configured && Configured.name === name);
+            const Dependency = configured ? configured[0] : (typeof dependency === 'function' ? dependency : null);
+            if (!Dependency) {
+                this.logger.warn(`Plugin "${Plugin.name}" requires "${name}", which is not available.`);
+                return false;
+            }
+            if (!this.use(Dependency, configured ? configured[1] : {})) {
+                this.logger.warn(`Plugin "${Plugin.name}" was not installed because its dependency "${name}" failed.`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * `this.plugins` را بر اساس اولویت و سپس ترتیب نصب مرتب می‌کند. پارسرها به همین ترتیب پلاگین‌ها را اجرا می‌کنند.
+     * @private
+     */
+    _sortPlugins() {
+        const priorityOf = name => Number(this.pluginRecords.get(name).Plugin.priority) || 0;
+        const entries = Array.from(this.plugins).sort(([a], [b]) =>
+            priorityOf(b) - priorityOf(a) || this.pluginRecords.get(a).order - this.pluginRecords.get(b).order
+        );
+        this.plugins.clear();
+        entries.forEach(([name, api]) => this.plugins.set(name, api));
+    }
+
+    /**
+     * API، کلاس و محیط یک پلاگین را پاکسازی می‌کند.
+     * @param {string} name
+     * @param {{Plugin: Function, context: PluginContext}} record
+     * @private
+     */
+    _teardownPlugin(name, record) {
+        const pluginApi = this.plugins.get(name);
+        try {
+            if (pluginApi && typeof pluginApi.destroy === 'function') {
+                pluginApi.destroy();
+            }
+        } catch (error) {
+            this.logger.error('PLUGIN_FAILED', 'Error destroying plugin.', { error, module: 'editor', plugin: name });
+        }
+        try {
+            if (typeof record.Plugin.destroy === 'function') {
+                record.Plugin.destroy(this, record.context);
+            }
+        } catch (error) {
+            this.logger.error('PLUGIN_FAILED', 'Error destroying static plugin.', { error, module: 'editor', plugin: name });
+        }
+        record.context.dispose();
+        clearPluginState(this, record.Plugin);
+    }
     
     /**
      * یک شنونده برای یک رویداد ثبت می‌کند.
-     * @param {string} event - نام رویداد (مانند 'change', 'ready').
+     * @param {string} event - نام رویداد (مانند 'change', 'ready')، با فضای نام اختیاری (مانند 'change.myApp').
      * @param {Function} listener - تابع callback که در زمان وقوع رویداد فراخوانی می‌شود.
+     * @returns {() => void} تابعی که شنونده را حذف می‌کند.
      */
     on(event, listener) {
+        if (this.isDestroyed) return () => {};
+        return this.events.on(event, listener);
+    }
+
+    /**
+     * یک شنونده ثبت می‌کند که فقط یک بار اجرا می‌شود.
+     * @param {string} event - نام رویداد، با فضای نام اختیاری.
+     * @param {Function} listener - تابع callback.
+     * @returns {() => void} تابعی که شنونده را حذف می‌کند.
+     */
+    once(event, listener) {
+        if (this.isDestroyed) return () => {};
+        return this.events.once(event, listener);
+    }
+
+    /**
+     * شنونده‌ها را حذف می‌کند: یک شنونده مشخص، تمام شنونده‌های یک رویداد،
+     * یا تمام شنونده‌های یک فضای نام (مانند `off('.myApp')`).
+     * @param {string} event - نام رویداد و/یا فضای نام.
+     * @param {Function} [listener] - شنونده‌ای که باید حذف شود.
+     */
+    off(event, listener) {
+        if (this.isDestroyed) return;
+        this.events.off(event, listener);
+    }
+
+    /**
+     * رویداد `input` را همراه با نوع عملیات و شناسه بلوک‌های تغییرکرده منتشر می‌کند.
+     * پلاگین‌هایی که DOM را مستقیماً تغییر می‌دهند باید پس از تغییر این متد را فراخوانی کنند.
+     * @param {string} [operation] - نوع عملیات. پیش‌فرض نوع آخرین گام تاریخچه است.
+     */
+    emitInput(operation) {
         if (this.isDestroyed) return;
-        this.events.on(event, listener);
+        this.events.emit('input', {
+            operation: operation || this.history.lastOperation,
+            blocks: this.blocks.takeChanged('input')
+        });
+    }
+
+    /**
+     * یک خطای گزارش‌شده را به رویداد `error` و گزینه `onError` می‌رساند.
+     * @param {Error} error - خطای رخ‌داده.
+     * @param {import('../utils/logger.js').ErrorContext} context - اطلاعات خطا.
+     * @private
+     */
+    _reportError(error, context) {
+        if (this.events) this.events.emit('error', { error, ...context });
+        if (this.options && typeof this.options.onError === 'function') {
+            this.options.onError(error, context);
+        }
     }
 
     /**
@@ -266,9 +905,10 @@ export class DabirEditor {
     getMarkdown() {
         if (this.isDestroyed) return '';
         try {
-            return this.htmlParser.parse(this.element);
+            const source = this.sourceMode.getMarkdown();
+            return source === null ? this.markdownCache.getMarkdown() : source;
         } catch (error) {
-            console.error('Dabir.js Error: Failed to generate Markdown.', error);
+            this.logger.error('HTML_CONVERSION_FAILED', 'Failed to generate Markdown.', { error, module: 'editor' });
             return '';
         }
     }
@@ -279,31 +919,174 @@ export class DabirEditor {
      */
     getHTML() {
         if (this.isDestroyed) return '';
-        return this.element.innerHTML;
+        try {
+            return this.virtualizer.getHTML();
+        } catch (error) {
+            this.logger.error('RENDER_FAILED', 'Failed to generate HTML.', { error, module: 'editor' });
+            return this.element.innerHTML;
+        }
     }
 
     /**
      * محتوای ویرایشگر را تنظیم می‌کند.
      * @param {string} content - محتوایی که باید تنظیم شود.
      * @param {'markdown'|'html'} [format='markdown'] - فرمت محتوای ورودی.
+     * @returns {Promise<boolean>} پس از اعمال محتوا resolve می‌شود؛ false اگر تغییر توسط `beforeChange` لغو شده، با
+     *   فراخوانی جدیدتری جایگزین شده یا ناموفق باشد. اسناد بزرگ به صورت تکه‌تکه و غیرهمزمان بارگذاری می‌شوند.
      */
     setContent(content, format = 'markdown') {
-        if (this.isDestroyed) return;
+        if (this.isDestroyed) return Promise.resolve(false);
+        const event = this.events.emitCancelable('beforeChange', { operation: 'setContent', content, format });
+        if (event.defaultPrevented) return Promise.resolve(false);
+        ({ content, format } = event);
+
+        // A newer call always wins over a large document that is still loading.
+        this.virtualizer.cancel();
+
+        if (format === 'markdown' && this.virtualizer.shouldVirtualize(content)) {
+            return this.virtualizer.load(content)
+                .then(applied => {
+                    if (!applied || this.isDestroyed) return false;
+                    this.sourceMode.refresh();
+                    this.events.emit('contentSet');
+                    return true;
+                })
+                .catch(error => {
+                    if (!this.isDestroyed) this.logger.error('CONTENT_FAILED', 'Failed to set content.', { error, module: 'editor', input: content });
+                    return false;
+                });
+        }
+
         try {
-            let html;
-            if (format === 'markdown') {
-                // Parse markdown to HTML, then sanitize the result
-                const rawHtml = this.parser.parse(content);
-                html = sanitize(rawHtml);
-            } else {
-                // Sanitize raw HTML input
-                html = sanitize(content);
-            }
+            // Parse markdown to HTML, then sanitize the result; raw HTML input is sanitized directly
+            const html = withLogger(this.logger, () =>
+                sanitize(format === 'markdown' ? this.parser.parse(content) : content));
             
-            this.element.innerHTML = html;
+            // Only the blocks that actually changed are touched; the caret and block IDs survive.
+            this.history.transact(() => {
+                morphHTML(this.element, html || '<div><br></div>');
+            }, 'setContent');
+            this.sourceMode.refresh();
             this.events.emit('contentSet');
+            return Promise.resolve(true);
+        } catch (error) {
+            this.logger.error('CONTENT_FAILED', 'Failed to set content.', { error, module: 'editor', input: content });
+            return Promise.resolve(false);
+        }
+    }
+
+    /**
+     * مارک‌داون را در محل مکان‌نما درج می‌کند؛ متن انتخاب‌شده حذف نمی‌شود.
+     * اگر مکان‌نما داخل ویرایشگر نباشد، محتوا به انتهای سند اضافه می‌شود.
+     * @param {string} markdown - محتوای مارک‌داون.
+     */
+    insertMarkdown(markdown) {
+        if (this.isDestroyed) return;
+        const range = this._insertionRange();
+        range.collapse(false);
+        this._insertAt(range, markdown, 'insertMarkdown');
+    }
+
+    /**
+     * متن انتخاب‌شده را با مارک‌داون داده‌شده جایگزین می‌کند.
+     * @param {string} markdown - محتوای مارک‌داون.
+     */
+    replaceSelection(markdown) {
+        if (this.isDestroyed) return;
+        this._insertAt(this._insertionRange(), markdown, 'replaceSelection');
+    }
+
+    /**
+     * متن انتخاب‌شده را به صورت مارک‌داون برمی‌گرداند.
+     * @returns {string} رشته خالی اگر متنی داخل ویرایشگر انتخاب نشده باشد.
+     */
+    getSelectionMarkdown() {
+        if (this.isDestroyed) return '';
+        try {
+            return this.selection.getMarkdown();
+        } catch (error) {
+            this.logger.error('HTML_CONVERSION_FAILED', 'Failed to generate Markdown of the selection.', { error, module: 'editor' });
+            return '';
+        }
+    }
+
+    /**
+     * متن انتخاب‌شده را بین دو رشته مارک‌داون قرار می‌دهد (مثلاً `wrapSelection('**')`).
+     * @param {string} prefix - مارک‌داون قبل از انتخاب.
+     * @param {string} [suffix=prefix] - مارک‌داون بعد از انتخاب.
+     */
+    wrapSelection(prefix, suffix = prefix) {
+        if (this.isDestroyed) return;
+        this.replaceSelection(`${prefix}${this.getSelectionMarkdown()}${suffix}`);
+    }
+
+    /**
+     * ویرایشگر را فوکوس می‌کند. اگر مکان‌نما داخل ویرایشگر نباشد، به انتهای سند منتقل می‌شود.
+     */
+    focus() {
+        if (this.isDestroyed) return;
+        if (this.sourceMode.textarea) {
+            this.sourceMode.textarea.focus();
+            return;
+        }
+        const hadCaret = !!this.selection.editorRange;
+        this.element.focus();
+        if (!hadCaret) moveCursorToEnd(this.element.lastElementChild || this.element);
+    }
+
+    /**
+     * تمام محتوای ویرایشگر را پاک می‌کند؛ این کار با Undo قابل بازگشت است.
+     * @returns {Promise<boolean>} پس از پاک شدن محتوا resolve می‌شود؛ false اگر تغییر توسط `beforeChange` لغو شده یا
+     *   ناموفق باشد (مانند `setContent`).
+     */
+    clear() {
+        return this.setContent('');
+    }
+
+    /**
+     * @returns {boolean} اینکه ویرایشگر هیچ محتوایی (متن، تصویر، جدول و...) ندارد.
+     */
+    isEmpty() {
+        return this.getMarkdown().trim() === '';
+    }
+
+    /**
+     * محدوده‌ای که محتوای جدید در آن درج می‌شود: انتخاب فعلی یا انتهای سند.
+     * @returns {Range}
+     * @private
+     */
+    _insertionRange() {
+        const current = this.selection.editorRange;
+        if (current) return current.cloneRange();
+        const range = document.createRange();
+        range.selectNodeContents(this.element.lastElementChild || this.element);
+        range.collapse(false);
+        return range;
+    }
+
+    /**
+     * @param {Range} range
+     * @param {string} markdown
+     * @param {string} operation - نوع عملیات در تاریخچه و رویداد `beforeChange`.
+     * @private
+     */
+    _insertAt(range, markdown, operation) {
+        const event = this.events.emitCancelable('beforeChange', { operation, content: markdown, format: 'markdown' });
+        if (event.defaultPrevented) return;
+        try {
+            const html = withLogger(this.logger, () => sanitize(this.parser.parse(String(event.content ?? ''))));
+            this.history.transact(() => {
+                if (html) {
+                    insertFragment(this, range, html);
+                } else if (!range.collapsed) {
+                    range.deleteContents();
+                    this.selection.setRange(range);
+                }
+            }, operation);
+            this.saveContent();
+            this.emitInput(operation);
         } catch (error) {
-            console.error('Dabir.js Error: Failed to set content.', error);
+            this.logger.error('CONTENT_FAILED', 'Failed to insert content.', { error, module: 'editor', input: markdown });
         }
     }
 
@@ -313,42 +1096,36 @@ export class DabirEditor {
      */
     destroy() {
         if (this.isDestroyed) return;
+        // Typing still waiting for its debounced save is not lost.
+        if (this.autosave) this.autosave.flush();
         this.isDestroyed = true;
+        editorRegistry.remove(this);
 
         // 1. Destroy handlers (check existence before call)
+        if (this.formField) this.formField.destroy();
+        if (this.documents) this.documents.destroy();
+        if (this.versions) this.versions.destroy();
+        if (this.autosave) this.autosave.destroy();
+        if (this.sourceMode) this.sourceMode.destroy();
         if (this.inputHandler) this.inputHandler.destroy();
         if (this.keyboardHandler) this.keyboardHandler.destroy();
         if (this.mouseHandler) this.mouseHandler.destroy();
         if (this.clipboardHandler) this.clipboardHandler.destroy();
+        if (this.history) this.history.destroy();
+        if (this.commands) this.commands.destroy();
+        if (this.inputRules) this.inputRules.destroy();
+        if (this.blocks) this.blocks.destroy();
+        if (this.markdownCache) this.markdownCache.destroy();
+        if (this.virtualizer) this.virtualizer.destroy();
 
         // 2. Allow plugins to cleanup
         
-        // Cleanup stored API instances if they have a destroy method
-        if (this.plugins) {
-            this.plugins.forEach((pluginApi, name) => {
-                try {
-                    if (pluginApi && typeof pluginApi.destroy === 'function') {
-                        pluginApi.destroy();
-                    }
-                } catch (error) {
-                    console.error(`Dabir.js Error: Error destroying plugin "${name}".`, error);
-                }
-            });
-            this.plugins.clear();
-        }
-
-        // Cleanup static classes
-        if (this.options && this.options.plugins) {
-            this.options.plugins.forEach(Plugin => {
-                try {
-                    if (typeof Plugin.destroy === 'function') {
-                        Plugin.destroy(this);
-                    }
-                } catch (error) {
-                    console.error(`Dabir.js Error: Error destroying static plugin "${Plugin.name}".`, error);
-                }
-            });
+        // Dependents are torn down before the plugins they rely on.
+        if (this.pluginRecords) {
+            Array.from(this.pluginRecords).reverse().forEach(([name, record]) => this._teardownPlugin(name, record));
+            this.pluginRecords.clear();
         }
+        if (this.plugins) this.plugins.clear();
 
         // 3. Clear internal event listeners
         if (this.events) this.events.clear();
@@ -356,7 +1133,10 @@ export class DabirEditor {
         // 4. Cleanup DOM
         if (this.element) {
             this.element.removeAttribute('contenteditable');
-            this.element.classList.remove('dabir-editor');
+            this.element.removeAttribute('aria-readonly');
+            this.element.classList.remove('dabir-editor', 'dabir-readonly');
+            // Only the field it replaced is left behind.
+            if (this.generatedElement) this.element.remove();
         }
 
         // 5. Clear references
@@ -366,12 +1146,27 @@ export class DabirEditor {
         this.renderer = null;
         this.parser = null;
         this.htmlParser = null;
+        this.inlineRules = null;
+        this.inputRules = null;
         this.inputHandler = null;
         this.keyboardHandler = null;
         this.mouseHandler = null;
         this.clipboardHandler = null;
+        this.history = null;
+        this.sourceMode = null;
+        this.formField = null;
+        this.documents = null;
+        this.versions = null;
+        this.autosave = null;
+        this.commands = null;
+        this.blocks = null;
+        this.markdownCache = null;
+        this.virtualizer = null;
         this.plugins = null;
+        this.pluginRecords = null;
+        this.installingPlugins = null;
         this.events = null;
+        this.logger = null;
         this.options = null;
     }
 }
\ No newline at end of file
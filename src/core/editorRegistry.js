@@ -0,0 +1,139 @@
+import EventEmitter from './eventEmitter.js';
+
+/**
+ * فهرست ویرایشگرهای فعال صفحه. ویرایشگرها هنگام ساخت خود را ثبت و هنگام `destroy` حذف می‌کنند.
+ * آخرین ویرایشگری که فوکوس گرفته (`active`) پس از خروج فوکوس نیز فعال می‌ماند، تا یک نوار ابزار مشترک
+ * بتواند پس از کلیک روی دکمه‌هایش همچنان همان ویرایشگر را هدف بگیرد.
+ *
+ * رویدادها: `add` و `remove` (`{ editor }`) و `activeChange` (`{ editor, previous }`).
+ * @class EditorRegistry
+ */
+export default class EditorRegistry {
+    constructor() {
+        /**
+         * ویرایشگرها به ترتیب ساخت، همراه با تابع حذف شنونده‌های فوکوس هر کدام.
+         * @private
+         * @type {Map<import('./editor.js').DabirEditor, () => void>}
+         */
+        this.entries = new Map();
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor|null}
+         */
+        this.activeEditor = null;
+        /**
+         * @private
+         * @type {EventEmitter}
+         */
+        this.events = new EventEmitter();
+    }
+
+    /**
+     * ویرایشگرهای فعال به ترتیب ساخت.
+     * @returns {Array<import('./editor.js').DabirEditor>}
+     */
+    get editors() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * آخرین ویرایشگری که فوکوس گرفته است؛ اگر هنوز هیچ‌کدام فوکوس نگرفته باشد null.
+     * @returns {import('./editor.js').DabirEditor|null}
+     */
+    get active() {
+        return this.activeEditor;
+    }
+
+    /**
+     * ویرایشگر متصل به یک المان یا شناسه (`id`) المان را برمی‌گرداند.
+     * @param {string|HTMLElement} element
+     * @returns {import('./editor.js').DabirEditor|null}
+     */
+    get(element) {
+        return this.editors.find(editor =>
+            typeof element === 'string' ? editor.element.id === element : editor.element === element) || null;
+    }
+
+    /**
+     * یک ویرایشگر را ثبت می‌کند. اگر ویرایشگر دیگری با همان کلید ذخیره‌سازی وجود داشته باشد، هشدار داده می‌شود.
+     * @param {import('./editor.js').DabirEditor} editor
+     */
+    add(editor) {
+        if (this.entries.has(editor)) return;
+        // The live key: `documents` may already have switched the editor to another document's key.
+        const sharesKey = other => other.options.storage.enabled && other.storage.key === editor.storage.key;
+        if (editor.options.storage.enabled && this.editors.some(sharesKey)) {
+            editor.logger.warn(`Storage key "${editor.storage.key}" is already used by another editor on this page; `
+                + 'both would overwrite each other\'s content. Set a unique "storage.key".');
+        }
+
+        const activate = () => this.setActive(editor);
+        editor.element.addEventListener('focusin', activate);
+        // The source mode textarea is a sibling of the editor element; a new one is created on every switch.
+        let textarea = null;
+        const watchTextarea = next => {
+            if (textarea) textarea.removeEventListener('focus', activate);
+            textarea = next;
+            if (textarea) textarea.addEventListener('focus', activate);
+        };
+        const disposers = [
+            () => editor.element && editor.element.removeEventListener('focusin', activate),
+            editor.events.on('modeChange', ({ mode }) => {
+                watchTextarea(mode === 'source' ? editor.sourceMode.textarea : null);
+            }),
+            () => watchTextarea(null)
+        ];
+        this.entries.set(editor, () => disposers.forEach(dispose => dispose()));
+        this.events.emit('add', { editor });
+    }
+
+    /**
+     * یک ویرایشگر را از فهرست حذف می‌کند. اگر ویرایشگر فعال بود، `active` برابر null می‌شود.
+     * @param {import('./editor.js').DabirEditor} editor
+     */
+    remove(editor) {
+        const dispose = this.entries.get(editor);
+        if (!dispose) return;
+        dispose();
+        this.entries.delete(editor);
+        if (this.activeEditor === editor) this.setActive(null);
+        this.events.emit('remove', { editor });
+    }
+
+    /**
+     * ویرایشگر فعال را تغییر می‌دهد. معمولاً با فوکوس گرفتن ویرایشگر به صورت خودکار فراخوانی می‌شود.
+     * @param {import('./editor.js').DabirEditor|null} editor
+     */
+    setActive(editor) {
+        if (editor !== null && !this.entries.has(editor)) return;
+        if (editor === this.activeEditor) return;
+        const previous = this.activeEditor;
+        this.activeEditor = editor;
+        this.events.emit('activeChange', { editor, previous });
+    }
+
+    /**
+     * برای یک رویداد فهرست ثبت‌نام می‌کند.
+     * @param {'add'|'remove'|'activeChange'} event - نام رویداد، با فضای نام اختیاری.
+     * @param {Function} listener
+     * @returns {() => void} تابعی که شنونده را حذف می‌کند.
+     */
+    on(event, listener) {
+        return this.events.on(event, listener);
+    }
+
+    /**
+     * یک شنونده یا تمام شنونده‌های یک رویداد را حذف می‌کند.
+     * @param {string} event
+     * @param {Function} [listener]
+     */
+    off(event, listener) {
+        this.events.off(event, listener);
+    }
+}
+
+/**
+ * فهرست مشترک تمام ویرایشگرهای صفحه (`DabirEditor.registry`).
+ * @type {EditorRegistry}
+ */
+export const editorRegistry = new EditorRegistry();
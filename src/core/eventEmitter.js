@@ -1,26 +1,96 @@
+import { getLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} CancelableEvent
+ * @property {boolean} defaultPrevented - آیا یکی از شنونده‌ها عملیات را لغو کرده است؟
+ * @property {() => void} preventDefault - عملیات را لغو می‌کند.
+ */
+
+/**
+ * @typedef {object} ListenerEntry
+ * @property {Function} listener
+ * @property {string|null} namespace
+ * @property {boolean} once
+ * @private
+ */
+
+/**
+ * نام رویداد را به نام اصلی و فضای نام تجزیه می‌کند: `'change.myPlugin'` ← `['change', 'myPlugin']`.
+ * @param {string} name
+ * @returns {[string, string|null]}
+ */
+function parseName(name) {
+    const index = name.indexOf('.');
+    return index === -1 ? [name, null] : [name.slice(0, index), name.slice(index + 1) || null];
+}
+
 /**
  * یک کلاس ساده برای مدیریت و انتشار رویدادها جهت ارتباطات داخلی.
+ * نام رویدادها می‌توانند فضای نام داشته باشند (مانند `'change.myPlugin'`) تا بتوان
+ * تمام شنونده‌های یک ماژول را یکجا با `off('.myPlugin')` حذف کرد.
  * @class EventEmitter
  */
 export default class EventEmitter {
-    constructor() {
+    /**
+     * @param {import('../utils/logger.js').Logger} [logger] - گزارش‌گر خطای شنونده‌ها.
+     */
+    constructor(logger = getLogger()) {
         /**
          * @private
-         * @type {Map<string, Array<Function>>}
+         * @type {Map<string, Array<ListenerEntry>>}
          */
         this.events = new Map();
+        /**
+         * @private
+         * @type {import('../utils/logger.js').Logger}
+         */
+        this.logger = logger;
     }
 
     /**
      * برای یک رویداد ثبت‌نام (subscribe) می‌کند.
-     * @param {string} event - نام رویداد.
+     * @param {string} event - نام رویداد، با فضای نام اختیاری (مانند `'change.myPlugin'`).
      * @param {Function} listener - تابع callback که باید اجرا شود.
+     * @returns {() => void} تابعی که این شنونده را حذف می‌کند.
      */
     on(event, listener) {
-        if (!this.events.has(event)) {
-            this.events.set(event, []);
-        }
-        this.events.get(event).push(listener);
+        return this._add(event, listener, false);
+    }
+
+    /**
+     * برای یک رویداد ثبت‌نام می‌کند؛ شنونده پس از اولین اجرا حذف می‌شود.
+     * @param {string} event - نام رویداد، با فضای نام اختیاری.
+     * @param {Function} listener - تابع callback که باید اجرا شود.
+     * @returns {() => void} تابعی که این شنونده را حذف می‌کند.
+     */
+    once(event, listener) {
+        return this._add(event, listener, true);
+    }
+
+    /**
+     * شنونده‌ها را حذف می‌کند.
+     * - `off('change', fn)`: یک شنونده مشخص.
+     * - `off('change')`: تمام شنونده‌های یک رویداد.
+     * - `off('change.myPlugin')`: شنونده‌های یک رویداد در یک فضای نام.
+     * - `off('.myPlugin')`: تمام شنونده‌های یک فضای نام.
+     * @param {string} event - نام رویداد و/یا فضای نام.
+     * @param {Function} [listener] - شنونده‌ای که باید حذف شود.
+     */
+    off(event, listener) {
+        if (typeof event !== 'string') return;
+        const [name, namespace] = parseName(event);
+        if (!name && !namespace) return;
+        const names = name ? [name] : Array.from(this.events.keys());
+
+        names.forEach(key => {
+            const entries = this.events.get(key);
+            if (!entries) return;
+            const remaining = entries.filter(entry =>
+                (listener && entry.listener !== listener) || (namespace && entry.namespace !== namespace)
+            );
+            if (remaining.length > 0) this.events.set(key, remaining);
+            else this.events.delete(key);
+        });
     }
 
     /**
@@ -29,15 +99,40 @@ export default class EventEmitter {
      * @param  {...any} args - آرگومان‌هایی که به شنونده‌ها پاس داده می‌شوند.
      */
     emit(event, ...args) {
-        if (this.events.has(event)) {
-            this.events.get(event).forEach(listener => {
-                try {
-                    listener(...args);
-                } catch (error) {
-                    console.error(`Dabir.js Error: Exception in event listener for "${event}"`, error);
-                }
-            });
-        }
+        const entries = this.events.get(event);
+        if (!entries) return;
+
+        // Listeners may subscribe or unsubscribe while the event is being dispatched.
+        entries.slice().forEach(entry => {
+            const current = this.events.get(event);
+            if (!current || !current.includes(entry)) return;
+            if (entry.once) this._remove(event, entry);
+            try {
+                entry.listener(...args);
+            } catch (error) {
+                const plugin = entry.namespace && entry.namespace.startsWith('plugin:') ? entry.namespace.slice(7) : null;
+                this.logger.error('LISTENER_FAILED', `Exception in event listener for "${event}"`, {
+                    error, module: 'events', plugin, input: event
+                });
+            }
+        });
+    }
+
+    /**
+     * یک رویداد قابل لغو منتشر می‌کند (مانند `beforeSave`).
+     * شنونده‌ها می‌توانند با `preventDefault()` عملیات را لغو کرده یا فیلدهای داده را تغییر دهند.
+     * @template T
+     * @param {string} event - نام رویداد.
+     * @param {T} [data={}] - داده رویداد.
+     * @returns {T & CancelableEvent} داده رویداد پس از اجرای شنونده‌ها.
+     */
+    emitCancelable(event, data = {}) {
+        const payload = { ...data, defaultPrevented: false };
+        payload.preventDefault = () => {
+            payload.defaultPrevented = true;
+        };
+        this.emit(event, payload);
+        return payload;
     }
 
     /**
@@ -46,4 +141,40 @@ export default class EventEmitter {
     clear() {
         this.events.clear();
     }
-}
\ No newline at end of file
+
+    /**
+     * @param {string} event
+     * @param {Function} listener
+     * @param {boolean} once
+     * @returns {() => void}
+     * @private
+     */
+    _add(event, listener, once) {
+        const [name, namespace] = parseName(event);
+        if (!name || typeof listener !== 'function') {
+            this.logger.warn(`Invalid listener for event "${event}".`);
+            return () => {};
+        }
+
+        if (!this.events.has(name)) {
+            this.events.set(name, []);
+        }
+        const entry = { listener, namespace, once };
+        this.events.get(name).push(entry);
+
+        return () => this._remove(name, entry);
+    }
+
+    /**
+     * @param {string} name
+     * @param {ListenerEntry} entry
+     * @private
+     */
+    _remove(name, entry) {
+        const entries = this.events.get(name);
+        if (!entries) return;
+        const index = entries.indexOf(entry);
+        if (index !== -1) entries.splice(index, 1);
+        if (entries.length === 0) this.events.delete(name);
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * @typedef {object} FormFieldMessages
+ * @property {string} [valueMissing] - پیام خالی بودن فیلد الزامی.
+ * @property {string} [tooLong] - پیام بیشتر بودن طول مارک‌داون از `maxlength`. `{max}` و `{length}` جایگزین می‌شوند.
+ */
+
+/**
+ * @typedef {object} FormFieldOptions
+ * @property {string|HTMLTextAreaElement|HTMLInputElement} field - فیلد فرم یا سلکتور آن.
+ * @property {FormFieldMessages} [messages] - پیام‌های اعتبارسنجی.
+ */
+
+/**
+ * پیام‌های پیش‌فرض اعتبارسنجی.
+ * @type {Required<FormFieldMessages>}
+ */
+const DEFAULT_MESSAGES = {
+    valueMissing: 'لطفاً این فیلد را پر کنید.',
+    tooLong: 'متن نباید بیشتر از {max} نویسه باشد (اکنون {length} نویسه).'
+};
+
+/**
+ * کلاسی که فیلد فرم متصل را به صورت قابل فوکوس پنهان می‌کند.
+ * @type {string}
+ */
+const HIDDEN_CLASS = 'dabir-form-field';
+
+/**
+ * اتصال ویرایشگر به یک `textarea` یا `input` فرم. فیلد پنهان می‌شود، ویرایشگر با مقدار آن مقداردهی می‌شود و
+ * مارک‌داون سند پس از هر تغییر (و پیش از ارسال فرم) در آن نوشته می‌شود. ویژگی‌های `required`، `maxlength` و
+ * `disabled` فیلد رعایت شده و پیام‌های اعتبارسنجی از طریق Constraint Validation API مرورگر نمایش داده می‌شوند.
+ * @class FormField
+ */
+export default class FormField {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @param {HTMLTextAreaElement|HTMLInputElement} field - فیلد فرم.
+     * @param {FormFieldMessages} [messages={}] - پیام‌های اعتبارسنجی.
+     */
+    constructor(editor, field, messages = {}) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * فیلد فرم متصل.
+         * @type {HTMLTextAreaElement|HTMLInputElement}
+         */
+        this.field = field;
+        /**
+         * @private
+         * @type {Required<FormFieldMessages>}
+         */
+        this.messages = { ...DEFAULT_MESSAGES, ...messages };
+        /**
+         * مقدار اولیه فیلد که ویرایشگر با آن مقداردهی می‌شود.
+         * @type {string}
+         */
+        this.initialValue = field.value;
+        /**
+         * ویژگی‌هایی از فیلد که هنگام اتصال تغییر می‌کنند، برای بازگرداندن در `destroy`.
+         * @private
+         * @type {{tabIndex: string|null, ariaHidden: string|null}}
+         */
+        this.saved = { tabIndex: field.getAttribute('tabindex'), ariaHidden: field.getAttribute('aria-hidden') };
+
+        this.boundSync = () => this.sync();
+        this.boundOnFocus = () => this.editor.focus();
+        this.boundOnReset = () => setTimeout(() => this._onReset(), 0);
+
+        // The field stays focusable, so that the browser can point its validation message at it.
+        field.classList.add(HIDDEN_CLASS);
+        field.setAttribute('tabindex', '-1');
+        field.setAttribute('aria-hidden', 'true');
+        field.addEventListener('focus', this.boundOnFocus);
+        if (field.form) {
+            // Capture phase: the value is flushed before any other submit listener reads it.
+            field.form.addEventListener('submit', this.boundSync, true);
+            field.form.addEventListener('formdata', this.boundSync, true);
+            field.form.addEventListener('reset', this.boundOnReset);
+        }
+
+        /**
+         * @private
+         * @type {MutationObserver}
+         */
+        this.observer = new MutationObserver(records => {
+            if (records.some(record => record.attributeName === 'disabled')) this.syncDisabled();
+            else this._updateValidity(this.field.value);
+        });
+        this.observer.observe(field, { attributes: true, attributeFilter: ['disabled', 'required', 'maxlength'] });
+
+        /**
+         * @private
+         * @type {Array<() => void>}
+         */
+        this.disposers = ['load', 'input', 'contentSet', 'change'].map(event => editor.events.on(event, this.boundSync));
+    }
+
+    /**
+     * مارک‌داون فعلی ویرایشگر را در فیلد می‌نویسد و وضعیت اعتبارسنجی را به‌روز می‌کند.
+     * اگر مقدار تغییر کرده باشد، رویداد `input` روی فیلد منتشر می‌شود.
+     */
+    sync() {
+        if (!this.editor || this.editor.isDestroyed) return;
+        const markdown = this.editor.getMarkdown();
+        if (this.field.value !== markdown) {
+            this.field.value = markdown;
+            this.field.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        this._updateValidity(markdown);
+    }
+
+    /**
+     * @returns {boolean} اینکه محتوای ویرایشگر محدودیت‌های فیلد را رعایت می‌کند.
+     */
+    checkValidity() {
+        this.sync();
+        return this.field.checkValidity();
+    }
+
+    /**
+     * مانند `checkValidity` است، اما پیام خطا را به کاربر نیز نمایش می‌دهد.
+     * @returns {boolean}
+     */
+    reportValidity() {
+        this.sync();
+        return this.field.reportValidity();
+    }
+
+    /**
+     * پیام خطای اعتبارسنجی فعلی؛ رشته خالی اگر محتوا معتبر باشد.
+     * @returns {string}
+     */
+    get validationMessage() {
+        return this.field.validationMessage;
+    }
+
+    /**
+     * حالت فقط‌خواندنی ویرایشگر را با `disabled` فیلد هماهنگ می‌کند.
+     */
+    syncDisabled() {
+        if (!this.editor || this.editor.isDestroyed) return;
+        this.editor.setReadOnly(this.field.disabled);
+        this._updateValidity(this.field.value);
+    }
+
+    /**
+     * @param {string} markdown
+     * @private
+     */
+    _updateValidity(markdown) {
+        const { field } = this;
+        const max = field.hasAttribute('maxlength') ? Number(field.getAttribute('maxlength')) : -1;
+        let message = '';
+        if (field.required && markdown.trim() === '') {
+            message = this.messages.valueMissing;
+        } else if (max >= 0 && markdown.length > max) {
+            message = this.messages.tooLong.replace('{max}', String(max)).replace('{length}', String(markdown.length));
+        }
+        field.setCustomValidity(message);
+        this.editor.element.setAttribute('aria-invalid', String(message !== ''));
+    }
+
+    /**
+     * پس از reset فرم، ویرایشگر را با مقدار پیش‌فرض فیلد پر می‌کند.
+     * @private
+     */
+    _onReset() {
+        if (!this.editor || this.editor.isDestroyed) return;
+        this.editor.setContent(this.field.value);
+    }
+
+    /**
+     * شنونده‌ها را حذف کرده و فیلد را به حالت اولیه برمی‌گرداند. مقدار فیلد حفظ می‌شود.
+     */
+    destroy() {
+        const { field } = this;
+        this.disposers.forEach(dispose => dispose());
+        this.disposers = [];
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+
+        field.removeEventListener('focus', this.boundOnFocus);
+        if (field.form) {
+            field.form.removeEventListener('submit', this.boundSync, true);
+            field.form.removeEventListener('formdata', this.boundSync, true);
+            field.form.removeEventListener('reset', this.boundOnReset);
+        }
+        field.classList.remove(HIDDEN_CLASS);
+        [['tabindex', this.saved.tabIndex], ['aria-hidden', this.saved.ariaHidden]].forEach(([name, value]) => {
+            if (value === null) field.removeAttribute(name);
+            else field.setAttribute(name, value);
+        });
+        field.setCustomValidity('');
+        if (this.editor.element) this.editor.element.removeAttribute('aria-invalid');
+
+        this.editor = null;
+        this.boundSync = null;
+        this.boundOnFocus = null;
+        this.boundOnReset = null;
+    }
+}
@@ -0,0 +1,375 @@
+import { getNodePath, resolveNodePath } from '../utils/dom.js';
+import { morphHTML } from '../utils/diff.js';
+
+/**
+ * @typedef {object} HistoryOptions
+ * @property {number} [limit=100] - حداکثر تعداد گام‌های قابل بازگشت.
+ * @property {number} [groupDelay=1000] - بیشترین فاصله زمانی (میلی‌ثانیه) بین دو ورودی که در یک گام تایپ گروه‌بندی می‌شوند.
+ */
+
+/**
+ * @typedef {object} HistoryState
+ * @property {string} html - محتوای HTML ویرایشگر در این گام.
+ * @property {{start: {path: number[], offset: number}, end: {path: number[], offset: number}}|null} selection - نشانک انتخاب متن.
+ * @property {string} type - نوع گام (مانند 'typing', 'transform', 'paste').
+ */
+
+/**
+ * کلاس مدیریت تاریخچه واگرد (Undo) و ازنو (Redo) ویرایشگر.
+ * از آنجا که دبیر DOM را مستقیماً تغییر می‌دهد، تاریخچه بومی مرورگر قابل اعتماد نیست؛
+ * این کلاس وضعیت ویرایشگر را به صورت گام‌به‌گام نگه می‌دارد.
+ * @class History
+ */
+export default class History {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @param {HistoryOptions} [options={}] - گزینه‌های پیکربندی تاریخچه.
+     */
+    constructor(editor, options = {}) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * @private
+         * @type {number}
+         */
+        this.limit = options.limit || 100;
+        /**
+         * @private
+         * @type {number}
+         */
+        this.groupDelay = options.groupDelay || 1000;
+        /**
+         * @private
+         * @type {HistoryState[]}
+         */
+        this.stack = [];
+        /**
+         * @private
+         * @type {number}
+         */
+        this.index = -1;
+        /**
+         * آیا تایپی انجام شده که هنوز به عنوان یک گام ثبت نشده است؟
+         * @private
+         * @type {boolean}
+         */
+        this.pending = false;
+        /**
+         * @private
+         * @type {string|null}
+         */
+        this.pendingCategory = null;
+        /**
+         * @private
+         * @type {number}
+         */
+        this.lastInputTime = 0;
+        /**
+         * عمق تراکنش‌های تودرتو.
+         * @private
+         * @type {number}
+         */
+        this.depth = 0;
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this.isApplying = false;
+        /**
+         * نوع آخرین عملیات روی سند (مانند 'typing'، 'paste'، 'bold' یا 'undo').
+         * در رویدادهای `input` و `change` به عنوان `operation` گزارش می‌شود.
+         * @type {string}
+         */
+        this.lastOperation = 'initial';
+
+        this._bindShortcuts();
+    }
+
+    /**
+     * دستورات واگرد و ازنو را ثبت کرده و میانبرهای آن‌ها را (برای هر دو چینش انگلیسی و فارسی) متصل می‌کند.
+     * @private
+     */
+    _bindShortcuts() {
+        const { keyboardHandler, commands } = this.editor;
+        commands.register('undo', { execute: () => this.undo(), canExecute: () => this.canUndo() });
+        commands.register('redo', { execute: () => this.redo(), canExecute: () => this.canRedo() });
+
+        const run = (name) => () => { commands.execute(name); return true; };
+        ['z', 'ظ'].forEach(k => keyboardHandler.register(k, ['ctrl'], run('undo')));
+        ['z', 'ظ'].forEach(k => keyboardHandler.register(k, ['ctrl', 'shift'], run('redo')));
+        ['y', 'غ'].forEach(k => keyboardHandler.register(k, ['ctrl'], run('redo')));
+    }
+
+    /**
+     * تاریخچه را پاک کرده و وضعیت فعلی ویرایشگر را به عنوان نقطه شروع ثبت می‌کند.
+     */
+    reset() {
+        this.stack = [this._capture('initial')];
+        this.index = 0;
+        this.pending = false;
+        this.pendingCategory = null;
+        this.lastOperation = 'initial';
+        this._emitChange();
+    }
+
+    /**
+     * یک تغییر برنامه‌ریزی‌شده روی DOM را به عنوان یک گام واحد قابل بازگشت اجرا می‌کند.
+     * تایپ ثبت‌نشده پیش از تغییر به عنوان گام جداگانه ذخیره می‌شود.
+     * @param {Function} fn - تابعی که DOM را تغییر می‌دهد.
+     * @param {string} [type='transform'] - نوع گام.
+     * @returns {*} مقدار بازگشتی `fn`.
+     */
+    transact(fn, type = 'transform') {
+        if (this.depth > 0 || this.isApplying || this.index < 0) {
+            return fn();
+        }
+
+        this.lastOperation = type;
+        const before = this.pending ? this._capture('typing') : null;
+        if (!before) {
+            // The caret may have moved since the last step; keep the bookmark fresh.
+            this.stack[this.index].selection = this._captureSelection();
+        }
+
+        let result;
+        this.depth++;
+        try {
+            result = fn();
+        } finally {
+            this.depth--;
+        }
+
+        const after = this._capture(type);
+        const reference = before || this.stack[this.index];
+        if (after.html === reference.html || after.html === this.stack[this.index].html) {
+            return result;
+        }
+
+        if (before && this.pending) {
+            this._push(before);
+        }
+        this.pending = false;
+        this.pendingCategory = null;
+        this._push(after);
+        return result;
+    }
+
+    /**
+     * پیش از هر ورودی بومی کاربر فراخوانی می‌شود تا تایپ‌های متوالی گروه‌بندی شوند.
+     * @param {InputEvent} event - رویداد beforeinput.
+     */
+    onBeforeInput(event) {
+        if (event.inputType === 'historyUndo' || event.inputType === 'historyRedo') {
+            event.preventDefault();
+            if (event.inputType === 'historyUndo') this.undo();
+            else this.redo();
+            return;
+        }
+        if (this.depth > 0 || this.isApplying || this.index < 0) return;
+
+        this.lastOperation = 'typing';
+        const inputType = event.inputType || '';
+        let category = 'insert';
+        if (inputType.startsWith('delete')) category = 'delete';
+        else if (inputType === 'insertParagraph' || inputType === 'insertLineBreak') category = 'paragraph';
+
+        const now = Date.now();
+        const wasPending = this.pending;
+        if (this.pending && (
+            category !== this.pendingCategory ||
+            category === 'paragraph' ||
+            now - this.lastInputTime > this.groupDelay
+        )) {
+            // The DOM has not been mutated yet, so this captures the end of the previous group.
+            this._commitPending();
+        }
+
+        this.pending = true;
+        this.pendingCategory = category;
+        this.lastInputTime = now;
+        if (!wasPending) this._emitChange();
+    }
+
+    /**
+     * آخرین گام را بازمی‌گرداند.
+     * @returns {boolean} آیا گامی بازگردانده شد؟
+     */
+    undo() {
+        if (this.isApplying || this.index < 0) return false;
+        this._commitPending();
+        if (this.index === 0) return false;
+        if (!this._confirm('undo')) return false;
+        this.index--;
+        this._apply(this.stack[this.index], 'undo');
+        return true;
+    }
+
+    /**
+     * آخرین گام بازگردانده‌شده را دوباره اعمال می‌کند.
+     * @returns {boolean} آیا گامی دوباره اعمال شد؟
+     */
+    redo() {
+        if (this.isApplying || this.index < 0) return false;
+        this._commitPending();
+        if (this.index >= this.stack.length - 1) return false;
+        if (!this._confirm('redo')) return false;
+        this.index++;
+        this._apply(this.stack[this.index], 'redo');
+        return true;
+    }
+
+    /**
+     * @returns {boolean} آیا گامی برای واگرد وجود دارد؟
+     */
+    canUndo() {
+        return this.pending || this.index > 0;
+    }
+
+    /**
+     * @returns {boolean} آیا گامی برای ازنو وجود دارد؟
+     */
+    canRedo() {
+        return !this.pending && this.index >= 0 && this.index < this.stack.length - 1;
+    }
+
+    /**
+     * رویداد `beforeChange` را منتشر می‌کند. اگر واگرد از داخل یک دستور اجرا شود،
+     * دستور پیش‌تر این رویداد را منتشر کرده است.
+     * @param {'undo'|'redo'} action
+     * @returns {boolean} آیا عملیات مجاز است؟
+     * @private
+     */
+    _confirm(action) {
+        if (this.depth > 0) return true;
+        return !this.editor.events.emitCancelable('beforeChange', { operation: action }).defaultPrevented;
+    }
+
+    /**
+     * تایپ ثبت‌نشده را به عنوان یک گام ذخیره می‌کند.
+     * @private
+     */
+    _commitPending() {
+        if (!this.pending) return;
+        this.pending = false;
+        this.pendingCategory = null;
+        const state = this._capture('typing');
+        if (state.html !== this.stack[this.index].html) {
+            this._push(state);
+        }
+    }
+
+    /**
+     * @param {HistoryState} state
+     * @private
+     */
+    _push(state) {
+        this.stack.length = this.index + 1;
+        this.stack.push(state);
+        if (this.stack.length > this.limit) {
+            this.stack.shift();
+        }
+        this.index = this.stack.length - 1;
+        this._emitChange();
+    }
+
+    /**
+     * یک گام ذخیره‌شده را روی ویرایشگر اعمال می‌کند.
+     * @param {HistoryState} state
+     * @param {'undo'|'redo'} action
+     * @private
+     */
+    _apply(state, action) {
+        const { editor } = this;
+        this.isApplying = true;
+        this.lastOperation = action;
+        try {
+            if (editor.mouseHandler) {
+                // Whatever was in raw mode no longer exists in the restored DOM.
+                editor.mouseHandler.activeRawNode = null;
+            }
+            morphHTML(editor.element, state.html, { preserveSelection: false });
+            this._restoreSelection(state.selection);
+        } catch (error) {
+            editor.logger.error('HISTORY_FAILED', `History ${action} failed.`, { error, module: 'history', input: action });
+        } finally {
+            this.isApplying = false;
+        }
+        editor.saveContent();
+        editor.events.emit(action, { type: state.type });
+        this._emitChange();
+    }
+
+    /**
+     * @param {string} type
+     * @returns {HistoryState}
+     * @private
+     */
+    _capture(type) {
+        // Block IDs are assigned asynchronously; settle them so snapshots are comparable.
+        if (this.editor.blocks) this.editor.blocks.flush();
+        return {
+            html: this.editor.element.innerHTML,
+            selection: this._captureSelection(),
+            type
+        };
+    }
+
+    /**
+     * @returns {HistoryState['selection']}
+     * @private
+     */
+    _captureSelection() {
+        const range = this.editor.selection.range;
+        const root = this.editor.element;
+        if (!range || !root.contains(range.startContainer)) return null;
+
+        const startPath = getNodePath(root, range.startContainer);
+        const endPath = getNodePath(root, range.endContainer);
+        if (!startPath || !endPath) return null;
+
+        return {
+            start: { path: startPath, offset: range.startOffset },
+            end: { path: endPath, offset: range.endOffset }
+        };
+    }
+
+    /**
+     * @param {HistoryState['selection']} bookmark
+     * @private
+     */
+    _restoreSelection(bookmark) {
+        const root = this.editor.element;
+        const range = document.createRange();
+        const startNode = bookmark ? resolveNodePath(root, bookmark.start.path) : null;
+        const endNode = bookmark ? resolveNodePath(root, bookmark.end.path) : null;
+
+        if (startNode && endNode) {
+            const clamp = (node, offset) => Math.min(offset, node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length);
+            range.setStart(startNode, clamp(startNode, bookmark.start.offset));
+            range.setEnd(endNode, clamp(endNode, bookmark.end.offset));
+        } else {
+            range.selectNodeContents(root);
+            range.collapse(false);
+        }
+        this.editor.selection.setRange(range);
+    }
+
+    /**
+     * @private
+     */
+    _emitChange() {
+        this.editor.events.emit('historyChange', { canUndo: this.canUndo(), canRedo: this.canRedo() });
+    }
+
+    /**
+     * منابع تاریخچه را آزاد می‌کند.
+     */
+    destroy() {
+        this.stack = [];
+        this.index = -1;
+        this.editor = null;
+    }
+}
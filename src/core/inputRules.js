@@ -0,0 +1,312 @@
+import { getListType } from '../renderers/transforms.js';
+import { moveCursorToEnd } from '../utils/dom.js';
+import { withLogger } from '../utils/logger.js';
+
+/**
+ * بلوک‌هایی که می‌توانند با قواعد ورودی تبدیل شوند (خطوط متن ساده).
+ * @type {string[]}
+ */
+const LINE_TAGS = ['DIV', 'P'];
+
+/**
+ * بیشترین تعداد خطوطی که یک قاعده می‌تواند به عقب نگاه کند.
+ * @type {number}
+ */
+const MAX_LINES = 21;
+
+/**
+ * @typedef {' '|'Enter'} InputRuleTrigger
+ */
+
+/**
+ * @typedef {object} InputRuleContext
+ * @property {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+ * @property {InputRuleTrigger} trigger - کلیدی که قاعده را فعال کرده است.
+ * @property {string[]} lines - متن خطوطی که بررسی می‌شوند (آخرین مورد، خط فعلی است).
+ * @property {HTMLElement[]} blocks - بلوک‌های متناظر با `lines` که در صورت تبدیل جایگزین می‌شوند.
+ * @property {HTMLElement|null} nextBlock - برای Enter، خط خالی جدیدی که کلید ایجاد کرده است.
+ */
+
+/**
+ * @typedef {object} InputRuleResult
+ * @property {string} html - HTML بلوک جدید.
+ * @property {string|false|((element: HTMLElement) => Node|null)} [caret] - محل مکان‌نما پس از تبدیل:
+ *   یک سلکتور درون بلوک جدید، تابعی که گره مقصد را برمی‌گرداند، یا `false` برای جابجا نکردن مکان‌نما.
+ *   پیش‌فرض برای Space انتهای بلوک جدید و برای Enter خط جدید است.
+ * @property {boolean} [removeEmptyLine=false] - برای Enter، خط خالی ایجادشده توسط کلید را حذف می‌کند.
+ */
+
+/**
+ * @typedef {object} InputRule
+ * @property {string} [name] - نام قاعده، برای حذف با `remove()`.
+ * @property {RegExp|((text: string, context: InputRuleContext) => any)} match - با متن خطوط (جداشده با `\n`)
+ *   آزموده می‌شود. هر مقدار truthy به عنوان نتیجه تطبیق به `transform` پاس داده می‌شود.
+ * @property {(match: any, context: InputRuleContext) => string|InputRuleResult|null} transform - بلوک جدید
+ *   را برمی‌گرداند؛ `null` یعنی تبدیل انجام نشود.
+ * @property {InputRuleTrigger|InputRuleTrigger[]} [trigger=[' ', 'Enter']] - کلیدهایی که قاعده را فعال می‌کنند.
+ * @property {number} [lines=1] - بیشترین تعداد خطوطی که قاعده بررسی می‌کند. از بلندترین بازه تا خط فعلی
+ *   آزموده می‌شود و بلوک‌های همان بازه جایگزین می‌شوند.
+ * @property {number} [priority=0] - قواعد با اولویت بالاتر زودتر آزموده می‌شوند.
+ */
+
+/**
+ * رجیستری قواعد ورودی: «اگر خط با الگو تطبیق داشت و کاربر Space یا Enter زد، بلوک را جایگزین کن».
+ * تبدیل زنده تیترها، لیست‌ها، نقل‌قول‌ها و بلوک‌های کد و همچنین بلوک‌های چندخطی پلاگین‌ها از این طریق انجام می‌شود.
+ * @class InputRules
+ */
+export default class InputRules {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * قواعد مرتب‌شده بر اساس اولویت.
+         * @private
+         * @type {InputRule[]}
+         */
+        this.rules = [];
+
+        this._registerDefaults();
+    }
+
+    /**
+     * یک قاعده ورودی ثبت می‌کند.
+     * @param {InputRule} rule
+     * @param {string|null} [plugin=null] - نام پلاگین ثبت‌کننده، برای گزارش خطا.
+     * @returns {() => void} تابعی که قاعده را حذف می‌کند.
+     */
+    add(rule, plugin = null) {
+        if (!this.rules) return () => {};
+        if (!rule || !(rule.match instanceof RegExp || typeof rule.match === 'function') || typeof rule.transform !== 'function') {
+            this.editor.logger.warn(`Input rule "${rule && rule.name}" must provide a "match" (RegExp or function) and a "transform" function.`);
+            return () => {};
+        }
+        const entry = {
+            ...rule,
+            trigger: [].concat(rule.trigger || [' ', 'Enter']),
+            lines: Math.min(Math.max(parseInt(rule.lines, 10) || 1, 1), MAX_LINES),
+            priority: Number(rule.priority) || 0,
+            plugin
+        };
+        const index = this.rules.findIndex(existing => existing.priority < entry.priority);
+        this.rules.splice(index === -1 ? this.rules.length : index, 0, entry);
+        return () => {
+            const position = this.rules ? this.rules.indexOf(entry) : -1;
+            if (position !== -1) this.rules.splice(position, 1);
+        };
+    }
+
+    /**
+     * قواعدی با نام داده‌شده را حذف می‌کند.
+     * @param {string} name - نام قاعده.
+     * @returns {boolean} آیا قاعده‌ای حذف شد؟
+     */
+    remove(name) {
+        if (!this.rules) return false;
+        const count = this.rules.length;
+        this.rules = this.rules.filter(rule => rule.name !== name);
+        return this.rules.length !== count;
+    }
+
+    /**
+     * @param {string} name - نام قاعده.
+     * @returns {boolean} آیا قاعده‌ای با این نام ثبت شده است؟
+     */
+    has(name) {
+        return !!this.rules && this.rules.some(rule => rule.name === name);
+    }
+
+    /**
+     * قواعد را روی خطی که کلید در آن زده شده اجرا می‌کند. تبدیل در فریم بعدی و به عنوان یک گام تاریخچه انجام می‌شود.
+     * @param {InputRuleTrigger} trigger - کلید فشرده‌شده.
+     * @param {HTMLElement} block - خطی که بررسی می‌شود (برای Enter، خط پیش از مکان‌نما).
+     * @param {HTMLElement|null} [nextBlock=null] - برای Enter، خط جدیدی که مکان‌نما در آن است.
+     * @returns {boolean} آیا قاعده‌ای اعمال شد؟
+     */
+    run(trigger, block, nextBlock = null) {
+        if (!this.rules || !block || !LINE_TAGS.includes(block.tagName) || !block.textContent.trim()) {
+            return false;
+        }
+        const rules = this.rules.filter(rule => rule.trigger.includes(trigger));
+        if (rules.length === 0) return false;
+
+        const maxLines = Math.max(...rules.map(rule => rule.lines));
+        const blocks = [block];
+        let current = block.previousElementSibling;
+        while (blocks.length < maxLines && current && LINE_TAGS.includes(current.tagName)) {
+            blocks.unshift(current);
+            current = current.previousElementSibling;
+        }
+        const lines = blocks.map(b => b.textContent);
+
+        return withLogger(this.editor.logger, () => this._runRules(rules, trigger, lines, blocks, nextBlock));
+    }
+
+    /**
+     * تمام قواعد را حذف می‌کند.
+     */
+    destroy() {
+        this.rules = null;
+        this.editor = null;
+    }
+
+    /**
+     * قواعد را به ترتیب اولویت روی بازه‌های خطوط، از بلندترین تا خط فعلی، آزمایش می‌کند.
+     * @param {InputRule[]} rules
+     * @param {InputRuleTrigger} trigger
+     * @param {string[]} lines
+     * @param {HTMLElement[]} blocks
+     * @param {HTMLElement|null} nextBlock
+     * @returns {boolean}
+     * @private
+     */
+    _runRules(rules, trigger, lines, blocks, nextBlock) {
+        for (const rule of rules) {
+            for (let size = Math.min(rule.lines, lines.length); size >= 1; size--) {
+                const context = {
+                    editor: this.editor,
+                    trigger,
+                    lines: lines.slice(-size),
+                    blocks: blocks.slice(-size),
+                    nextBlock
+                };
+                try {
+                    const text = context.lines.join('\n');
+                    const match = rule.match instanceof RegExp ? rule.match.exec(text) : rule.match(text, context);
+                    if (match && this._apply(rule.transform(match, context), context)) {
+                        return true;
+                    }
+                } catch (error) {
+                    this.editor.logger.error('INPUT_RULE_FAILED', `Input rule "${rule.name || 'anonymous'}" crashed.`, {
+                        error, module: 'inputRules', plugin: rule.plugin, input: context.lines.join('\n')
+                    });
+                    break;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * قواعد داخلی ویرایشگر را ثبت می‌کند.
+     * @private
+     */
+    _registerDefaults() {
+        // بلوک‌های چندخطی پلاگین‌ها (جدول، جعبه توضیحی، شعر و ...) با نگاه به حداکثر ۲۰ خط قبلی.
+        this.add({
+            name: 'pluginBlocks',
+            trigger: 'Enter',
+            lines: MAX_LINES,
+            match: (text, { lines }) => this._matchPluginBlock(lines),
+            transform: result => ({
+                html: result.html,
+                caret: element => element.tagName === 'TABLE' ? element.querySelector('td') : null
+            })
+        });
+
+        const live = (match, { lines }) => this.editor.parser.parseLiveBlock(lines[0]);
+        this.add({ name: 'heading', match: /^(#{1,4}) (.*)/, transform: live });
+        this.add({ name: 'horizontalRule', match: /^\s*---\s*$/, transform: live });
+        this.add({ name: 'blockquote', match: /^> /, transform: live });
+        this.add({ name: 'image', match: /^!\[([^\]]*)\]\(([^)]+)\)$/, transform: live });
+        this.add({ name: 'list', match: /^(\s*[-*]|\s*[\d۰-۹]+\.) /, transform: live });
+        this.add({
+            name: 'codeBlock',
+            match: /^\s*```\w*\s*$/,
+            transform: (match, context) => {
+                const html = live(match, context);
+                return html && { html, caret: 'code', removeEmptyLine: true };
+            }
+        });
+    }
+
+    /**
+     * خطوط را با `markdownBlockParser` پلاگین‌ها تطبیق می‌دهد؛ بلوک باید دقیقاً در خط آخر تمام شود.
+     * @param {string[]} lines
+     * @returns {{html: string}|null}
+     * @private
+     */
+    _matchPluginBlock(lines) {
+        for (const [pluginName, plugin] of this.editor.plugins) {
+            if (!plugin || typeof plugin.markdownBlockParser !== 'function') continue;
+            try {
+                const result = plugin.markdownBlockParser(lines, 0, this.editor.parser);
+                if (result && result.lastIndex === lines.length - 1) return result;
+            } catch (error) {
+                this.editor.logger.error('PLUGIN_FAILED', 'Plugin crashed during multi-line parsing.', {
+                    error, module: 'inputRules', plugin: pluginName, input: lines.join('\n')
+                });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * نتیجه یک قاعده را اعمال می‌کند.
+     * @param {string|InputRuleResult|null} result
+     * @param {InputRuleContext} context
+     * @returns {boolean}
+     * @private
+     */
+    _apply(result, context) {
+        if (!result) return false;
+        const { html, caret, removeEmptyLine = false } = typeof result === 'string' ? { html: result } : result;
+        const renderedElement = html ? this.editor.renderer.createFromHTML(html) : null;
+        if (!renderedElement || !this._allowTransform(context.blocks, renderedElement)) {
+            return false;
+        }
+
+        const { blocks, trigger, nextBlock } = context;
+        requestAnimationFrame(() => this.editor.history.transact(() => {
+            const newElement = this.editor.renderer.replace(blocks[0], renderedElement) || renderedElement;
+            blocks.slice(1).forEach(block => block.remove());
+
+            const target = this._caretTarget(newElement, caret, trigger);
+            if (target && trigger === 'Enter' && removeEmptyLine && nextBlock && nextBlock.textContent.trim() === '') {
+                nextBlock.remove();
+            }
+            if (target) moveCursorToEnd(target);
+
+            this.editor.saveContent();
+        }));
+        return true;
+    }
+
+    /**
+     * @param {HTMLElement} element - بلوک جدید.
+     * @param {InputRuleResult['caret']} caret
+     * @param {InputRuleTrigger} trigger
+     * @returns {Node|null} گره‌ای که مکان‌نما به انتهای آن منتقل می‌شود.
+     * @private
+     */
+    _caretTarget(element, caret, trigger) {
+        if (caret === undefined) {
+            return trigger === ' '
+                ? element.querySelector('div') || element.querySelector('li') || element
+                : null;
+        }
+        if (typeof caret === 'function') return caret(element) || null;
+        if (typeof caret === 'string') return element.matches(caret) ? element : element.querySelector(caret) || element;
+        return null;
+    }
+
+    /**
+     * رویداد `beforeBlockTransform` را برای تبدیل زنده مارک‌داون منتشر می‌کند.
+     * @param {HTMLElement[]} blocks - بلوک‌هایی که جایگزین می‌شوند.
+     * @param {HTMLElement} renderedElement - المان جدید.
+     * @returns {boolean} آیا تبدیل مجاز است؟
+     * @private
+     */
+    _allowTransform(blocks, renderedElement) {
+        const tagName = renderedElement.tagName;
+        const type = getListType(renderedElement) ||
+            (/^H[1-4]$/.test(tagName) ? tagName.toLowerCase() : this.editor.blocks.getType(renderedElement));
+        const event = this.editor.events.emitCancelable('beforeBlockTransform', { blocks, type });
+        return !event.defaultPrevented;
+    }
+}
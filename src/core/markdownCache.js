@@ -0,0 +1,96 @@
+import { joinBlocks } from '../parsers/markdownSerializer.js';
+
+/**
+ * مارک‌داون هر بلوک را جداگانه نگه می‌دارد تا `getMarkdown()` فقط بلوک‌های تغییرکرده را دوباره تبدیل کند.
+ * یک `MutationObserver` هر تغییری در DOM را به بلوک سطح بالای آن نسبت داده و حافظه همان بلوک را باطل می‌کند.
+ * @class MarkdownCache
+ */
+export default class MarkdownCache {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * مارک‌داون هر المان بلوک.
+         * @private
+         * @type {WeakMap<HTMLElement, string>}
+         */
+        this.cache = new WeakMap();
+
+        /**
+         * @private
+         * @type {MutationObserver}
+         */
+        this.observer = new MutationObserver(records => this._invalidate(records));
+        this.observer.observe(editor.element, { childList: true, subtree: true, characterData: true, attributes: true });
+    }
+
+    /**
+     * مارک‌داون کل سند را برمی‌گرداند و فقط بلوک‌هایی را که از آخرین فراخوانی تغییر کرده‌اند دوباره تبدیل می‌کند.
+     * @returns {string}
+     */
+    getMarkdown() {
+        const { element, htmlParser } = this.editor;
+        // Records are delivered asynchronously; apply the ones from the current task first.
+        this._invalidate(this.observer.takeRecords());
+
+        const blocks = [];
+        for (const child of element.childNodes) {
+            if (child.nodeType === Node.TEXT_NODE && child.textContent.trim() === '') continue;
+            // Loose inline content is merged with its siblings, which only a full parse does.
+            if (child.nodeType !== Node.ELEMENT_NODE) return htmlParser.parse(element);
+
+            let markdown = this.cache.get(child);
+            if (markdown === undefined) {
+                markdown = htmlParser.blockToMarkdown(child);
+                if (markdown === null) return htmlParser.parse(element);
+                this.cache.set(child, markdown);
+            }
+            blocks.push(markdown);
+        }
+        return joinBlocks(blocks);
+    }
+
+    /**
+     * تمام مقادیر ذخیره‌شده را باطل می‌کند (مثلاً پس از نصب یک پلاگین).
+     */
+    clear() {
+        this.cache = new WeakMap();
+    }
+
+    /**
+     * @param {MutationRecord[]} records
+     * @private
+     */
+    _invalidate(records) {
+        const root = this.editor.element;
+        for (const record of records) {
+            if (record.target === root) {
+                // Blocks that were detached may have been edited before coming back.
+                record.addedNodes.forEach(node => this.cache.delete(node));
+                record.removedNodes.forEach(node => this.cache.delete(node));
+                continue;
+            }
+            let block = record.target;
+            while (block && block.parentNode !== root) {
+                block = block.parentNode;
+            }
+            if (block) this.cache.delete(block);
+        }
+    }
+
+    /**
+     * ناظر DOM را متوقف کرده و منابع را آزاد می‌کند.
+     */
+    destroy() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+        this.cache = new WeakMap();
+        this.editor = null;
+    }
+}
@@ -0,0 +1,272 @@
+import { getLogger } from '../utils/logger.js';
+import { getPluginState } from '../plugins/plugin.js';
+
+/**
+ * ذخیره‌سازی غیرهمزمان پلاگین در همان مخزن ویرایشگر (`storage.adapter`).
+ * @typedef {object} PluginStorage
+ * @property {(key: string) => Promise<any>} get - مقدار ذخیره‌شده یا null.
+ * @property {(key: string, value: any) => Promise<boolean>} set - مقدار را (به صورت JSON) ذخیره می‌کند.
+ * @property {(key: string) => Promise<boolean>} remove - مقدار را حذف می‌کند.
+ */
+
+/**
+ * @typedef {object} PluginLogger
+ * @property {(message: string, ...details: any[]) => void} debug
+ * @property {(message: string, ...details: any[]) => void} info - نام دیگر `debug`.
+ * @property {(message: string, ...details: any[]) => void} warn
+ * @property {(message: string, error?: any, input?: any) => void} error - خطا را با کد `PLUGIN_ERROR` و نام پلاگین
+ *   به `onError` و رویداد `error` ویرایشگر گزارش می‌دهد.
+ */
+
+/**
+ * محیط اختصاصی هر پلاگین که به عنوان آرگومان سوم به `install` پاس داده می‌شود.
+ * شنونده‌ها، میانبرها، دستورات، سینتکس‌های درون‌خطی و قواعد ورودی که از طریق این کلاس ثبت می‌شوند با `editor.unuse()`
+ * یا `editor.destroy()` به طور خودکار حذف می‌شوند.
+ * @class PluginContext
+ */
+export default class PluginContext {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @param {typeof import('../plugins/plugin.js').default} Plugin - کلاس پلاگین.
+     * @param {object} [options={}] - گزینه‌های پلاگین.
+     */
+    constructor(editor, Plugin, options = {}) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * نام پلاگین.
+         * @type {string}
+         */
+        this.name = Plugin.name;
+        /**
+         * @private
+         * @type {typeof import('../plugins/plugin.js').default}
+         */
+        this.Plugin = Plugin;
+        /**
+         * گزینه‌هایی که به پلاگین پاس داده شده است.
+         * @type {object}
+         */
+        this.options = options;
+        /**
+         * اولویت پلاگین؛ میانبرهای پلاگین‌های با اولویت بالاتر زودتر اجرا می‌شوند.
+         * @type {number}
+         */
+        this.priority = Number(Plugin.priority) || 0;
+        /**
+         * فضای نام شنونده‌های این پلاگین در `editor.events`.
+         * @private
+         * @type {string}
+         */
+        this.namespace = `plugin:${this.name}`;
+        /**
+         * توابع پاکسازی که در `dispose` به ترتیب معکوس اجرا می‌شوند.
+         * @private
+         * @type {Array<() => void>}
+         */
+        this.cleanups = [];
+
+        /**
+         * ذخیره‌سازی اختصاصی پلاگین در مخزن ویرایشگر؛ کلیدها با نام پلاگین پیشوند می‌گیرند.
+         * @type {PluginStorage}
+         */
+        this.storage = createStorage(`${editor.options.storage.key}:${this.name}:`,
+            editor.options.storage.enabled ? editor.storage.adapter : null,
+            (message, error, input) => this._reportError('STORAGE_FAILED', message, error, input));
+
+        /**
+         * گزارش‌گر پیام‌ها با پیشوند نام پلاگین؛ از `logLevel` ویرایشگر پیروی می‌کند.
+         * @type {PluginLogger}
+         */
+        // Captured, since `editor.destroy()` drops the editor's reference while plugin callbacks may still run.
+        const { logger } = editor;
+        this.logger = {
+            debug: (message, ...details) => logger.debug(`[${this.name}] ${message}`, ...details),
+            info: (message, ...details) => logger.debug(`[${this.name}] ${message}`, ...details),
+            warn: (message, ...details) => logger.warn(`[${this.name}] ${message}`, ...details),
+            error: (message, error, input) => this._reportError('PLUGIN_ERROR', message, error, input)
+        };
+    }
+
+    /**
+     * وضعیت اختصاصی پلاگین روی همین ویرایشگر (آبجکتی که پلاگین آزادانه پر می‌کند). نمونه‌های دیگر ویرایشگر
+     * وضعیت جداگانه دارند؛ پس از حذف پلاگین پاک می‌شود.
+     * @returns {object}
+     */
+    get state() {
+        if (!this.editor) return {};
+        return getPluginState(this.editor, this.Plugin);
+    }
+
+    /**
+     * برای یک رویداد ویرایشگر ثبت‌نام می‌کند.
+     * @param {string} event - نام رویداد (بدون فضای نام).
+     * @param {Function} listener
+     * @returns {() => void} تابعی که شنونده را حذف می‌کند.
+     */
+    on(event, listener) {
+        return this.editor.events.on(this._scoped(event), listener);
+    }
+
+    /**
+     * برای یک رویداد ویرایشگر ثبت‌نام می‌کند؛ شنونده پس از اولین اجرا حذف می‌شود.
+     * @param {string} event - نام رویداد (بدون فضای نام).
+     * @param {Function} listener
+     * @returns {() => void} تابعی که شنونده را حذف می‌کند.
+     */
+    once(event, listener) {
+        return this.editor.events.once(this._scoped(event), listener);
+    }
+
+    /**
+     * شنونده‌های این پلاگین را حذف می‌کند؛ بدون آرگومان، تمام شنونده‌های آن.
+     * @param {string} [event] - نام رویداد.
+     * @param {Function} [listener]
+     */
+    off(event, listener) {
+        this.editor.events.off(event ? this._scoped(event) : `.${this.namespace}`, listener);
+    }
+
+    /**
+     * یک رویداد را روی ویرایشگر منتشر می‌کند.
+     * @param {string} event - نام رویداد.
+     * @param {...any} args
+     */
+    emit(event, ...args) {
+        this.editor.events.emit(event, ...args);
+    }
+
+    /**
+     * یک میانبر کیبورد با اولویت این پلاگین ثبت می‌کند.
+     * @param {string} key - کلید اصلی (مانند 'Tab').
+     * @param {string[]} modifiers - کلیدهای اصلاح‌کننده (مانند ['ctrl']).
+     * @param {Function} handler - اگر `true` برگرداند، میانبرهای بعدی اجرا نمی‌شوند.
+     * @returns {() => void} تابعی که میانبر را حذف می‌کند.
+     */
+    registerShortcut(key, modifiers, handler) {
+        const dispose = this.editor.keyboardHandler.register(key, modifiers, handler, this.priority, this.name);
+        this.cleanups.push(dispose);
+        return dispose;
+    }
+
+    /**
+     * یک دستور در `editor.commands` ثبت می‌کند.
+     * @param {string} name - نام دستور.
+     * @param {Function|import('./commands.js').CommandDefinition} command
+     * @returns {() => void} تابعی که دستور را حذف می‌کند.
+     */
+    registerCommand(name, command) {
+        const dispose = this.editor.commands.register(name, command, this.name);
+        this.cleanups.push(dispose);
+        return dispose;
+    }
+
+    /**
+     * یک سینتکس درون‌خطی (مانند `:emoji:`) در `editor.inlineRules` ثبت می‌کند.
+     * @param {import('../parsers/inlineRules.js').InlineRule} rule
+     * @returns {() => void} تابعی که قاعده را حذف می‌کند.
+     */
+    registerInlineRule(rule) {
+        const dispose = this.editor.inlineRules.register(rule);
+        this.cleanups.push(dispose);
+        return dispose;
+    }
+
+    /**
+     * یک قاعده ورودی (تبدیل خط با Space یا Enter) در `editor.inputRules` ثبت می‌کند.
+     * @param {import('./inputRules.js').InputRule} rule
+     * @returns {() => void} تابعی که قاعده را حذف می‌کند.
+     */
+    registerInputRule(rule) {
+        const dispose = this.editor.inputRules.add(rule, this.name);
+        this.cleanups.push(dispose);
+        return dispose;
+    }
+
+    /**
+     * یک تابع پاکسازی ثبت می‌کند که هنگام حذف پلاگین اجرا می‌شود.
+     * @param {() => void} cleanup
+     */
+    addCleanup(cleanup) {
+        if (typeof cleanup === 'function') this.cleanups.push(cleanup);
+    }
+
+    /**
+     * تمام شنونده‌ها، میانبرها و دستورات ثبت‌شده توسط پلاگین را حذف می‌کند.
+     */
+    dispose() {
+        if (!this.editor) return;
+        if (this.editor.events) this.off();
+        this.cleanups.reverse().forEach(cleanup => {
+            try {
+                cleanup();
+            } catch (error) {
+                this._reportError('PLUGIN_FAILED', 'Cleanup of plugin failed.', error);
+            }
+        });
+        this.cleanups = [];
+        this.editor = null;
+    }
+
+    /**
+     * @param {string} code - کد خطا.
+     * @param {string} message
+     * @param {*} [error]
+     * @param {*} [input]
+     * @private
+     */
+    _reportError(code, message, error, input) {
+        const logger = this.editor && this.editor.logger ? this.editor.logger : getLogger();
+        logger.error(code, message, { error, module: 'pluginContext', plugin: this.name, input });
+    }
+
+    /**
+     * @param {string} event
+     * @returns {string}
+     * @private
+     */
+    _scoped(event) {
+        return `${String(event).split('.')[0]}.${this.namespace}`;
+    }
+}
+
+/**
+ * @param {string} prefix - پیشوند کلیدها در مخزن.
+ * @param {import('./storageAdapters.js').StorageAdapter|null} adapter - مخزن ویرایشگر؛ اگر null باشد (ذخیره‌سازی
+ *   غیرفعال)، مقادیر فقط در حافظه نگه داشته می‌شوند.
+ * @param {(message: string, error: any, input: string) => void} report - گزارش خطای دسترسی به مخزن.
+ * @returns {PluginStorage}
+ */
+function createStorage(prefix, adapter, report) {
+    const memory = new Map();
+    // Synchronous errors of custom adapters are reported like rejected promises.
+    const run = (operation, message, key, fallback) => new Promise(resolve => resolve(operation()))
+        .catch(error => {
+            report(message, error, prefix + key);
+            return fallback;
+        });
+    return {
+        get(key) {
+            if (!adapter) return Promise.resolve(memory.has(key) ? memory.get(key) : null);
+            return run(() => Promise.resolve(adapter.load(prefix + key))
+                .then(value => (value === null || value === undefined) ? null : JSON.parse(value)),
+                'Failed to read plugin storage.', key, null);
+        },
+        set(key, value) {
+            if (!adapter) {
+                memory.set(key, value);
+                return Promise.resolve(true);
+            }
+            return run(() => Promise.resolve(adapter.save(prefix + key, JSON.stringify(value))).then(() => true),
+                'Failed to write plugin storage.', key, false);
+        },
+        remove(key) {
+            if (!adapter) return Promise.resolve(memory.delete(key));
+            return run(() => Promise.resolve(adapter.remove(prefix + key)).then(() => true),
+                'Failed to remove plugin storage.', key, false);
+        }
+    };
+}
@@ -1,3 +1,26 @@
+import { getNodePath, resolveNodePath, getSelectionFor } from '../utils/dom.js';
+
+/**
+ * نشانگر موقعیت نسبت به مارک‌داون یک بلوک.
+ * @typedef {object} BookmarkPoint
+ * @property {string} block - شناسه بلوک (`data-block-id`).
+ * @property {number} offset - موقعیت در مارک‌داون همان بلوک.
+ */
+
+/**
+ * نشانگر قابل ذخیره (JSON) یک انتخاب که پس از رندر دوباره بلوک‌ها نیز معتبر می‌ماند.
+ * @typedef {object} Bookmark
+ * @property {BookmarkPoint} start
+ * @property {BookmarkPoint} end
+ */
+
+/**
+ * کاراکترهایی که برای یافتن موقعیت در مارک‌داون موقتاً در یک کپی از محتوا قرار می‌گیرند.
+ * @type {string}
+ */
+const MARKER = '\uE000';
+const END_MARKER = '\uE001';
+
 /**
  * کلاس مدیریت انتخاب متن (Selection) و محدوده (Range) در ویرایشگر.
  * @class Selection
@@ -20,11 +43,11 @@ export default class Selection {
     }
 
     /**
-     * آبجکت Selection فعلی پنجره را برمی‌گرداند.
+     * آبجکت Selection فعلی را برمی‌گرداند؛ داخل Shadow Root، انتخاب همان ریشه.
      * @returns {globalThis.Selection|null}
      */
     get selection() {
-        return window.getSelection();
+        return getSelectionFor(this.element);
     }
 
     /**
@@ -33,7 +56,20 @@ export default class Selection {
      */
     get range() {
         const sel = this.selection;
-        return sel && sel.rangeCount > 0 ? sel.getRangeAt(0) : null;
+        if (!sel || sel.rangeCount === 0) return null;
+
+        // Browsers without `shadowRoot.getSelection()` hide nodes inside the shadow root from `getRangeAt`.
+        const root = this.element.getRootNode();
+        if (root !== document && typeof root.getSelection !== 'function' && typeof sel.getComposedRanges === 'function') {
+            const [composed] = sel.getComposedRanges({ shadowRoots: [root] });
+            if (composed) {
+                const range = document.createRange();
+                range.setStart(composed.startContainer, composed.startOffset);
+                range.setEnd(composed.endContainer, composed.endOffset);
+                return range;
+            }
+        }
+        return sel.getRangeAt(0);
     }
 
     /**
@@ -54,7 +90,14 @@ export default class Selection {
      */
     get anchorNode() {
         const sel = this.selection;
-        return sel ? sel.anchorNode : null;
+        if (!sel) return null;
+        // Without `shadowRoot.getSelection()` the anchor is retargeted to the host; the composed range is not.
+        const root = this.element.getRootNode();
+        if (root !== document && typeof root.getSelection !== 'function') {
+            const range = this.range;
+            return range ? range.startContainer : null;
+        }
+        return sel.anchorNode;
     }
 
     /**
@@ -66,4 +109,241 @@ export default class Selection {
         if (!node) return null;
         return node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
     }
-}
\ No newline at end of file
+
+    /**
+     * محدوده انتخاب را فقط اگر داخل ویرایشگر باشد برمی‌گرداند.
+     * @returns {Range|null}
+     */
+    get editorRange() {
+        const range = this.range;
+        return range && this.element.contains(range.commonAncestorContainer) ? range : null;
+    }
+
+    /**
+     * محتوای انتخاب‌شده را به صورت مارک‌داون برمی‌گرداند.
+     * @returns {string} رشته خالی اگر انتخابی داخل ویرایشگر نباشد.
+     */
+    getMarkdown() {
+        const range = this.editorRange;
+        if (!range || range.collapsed) return '';
+        const container = document.createElement('div');
+        container.appendChild(range.cloneContents());
+        return this.editor.htmlParser.parse(container);
+    }
+
+    /**
+     * نشانگر انتخاب فعلی را برمی‌گرداند.
+     * @returns {Bookmark|null} null اگر انتخابی داخل ویرایشگر نباشد.
+     */
+    getBookmark() {
+        const range = this.editorRange;
+        if (!range) return null;
+        const start = this._toPoint(range.startContainer, range.startOffset);
+        const end = range.collapsed ? start : this._toPoint(range.endContainer, range.endOffset);
+        return start && end ? { start, end: { ...end } } : null;
+    }
+
+    /**
+     * انتخاب را از روی یک نشانگر بازیابی می‌کند.
+     * @param {Bookmark} bookmark - نشانگری که با `getBookmark` گرفته شده است.
+     * @returns {boolean} false اگر بلوک‌های نشانگر دیگر وجود نداشته باشند.
+     */
+    restoreBookmark(bookmark) {
+        if (!bookmark || !bookmark.start) return false;
+        const start = this._fromPoint(bookmark.start);
+        const end = bookmark.end ? this._fromPoint(bookmark.end) : start;
+        if (!start || !end) return false;
+
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        // A bookmark whose end now lies before its start collapses to the start.
+        if (range.collapsed && (start.node !== end.node || start.offset !== end.offset)) {
+            range.setEnd(start.node, start.offset);
+        }
+        this.setRange(range);
+        return true;
+    }
+
+    /**
+     * موقعیت انتخاب فعلی (یا محدوده داده‌شده) را در مارک‌داون کل سند برمی‌گرداند.
+     * @param {Range|null} [range] - محدوده‌ای داخل ویرایشگر؛ پیش‌فرض انتخاب فعلی.
+     * @returns {{start: number, end: number}|null} null اگر محدوده داخل ویرایشگر نباشد.
+     */
+    getDocumentOffsets(range = this.editorRange) {
+        if (!range || !this.element.contains(range.commonAncestorContainer)) return null;
+
+        // The end goes in first, so that the path to the start is still valid in the copy.
+        const clone = this.element.cloneNode(true);
+        if (!insertMarker(this.element, clone, range.endContainer, range.endOffset, END_MARKER) ||
+            !insertMarker(this.element, clone, range.startContainer, range.startOffset, MARKER)) return null;
+
+        const markdown = this.editor.htmlParser.parse(clone);
+        const start = markdown.indexOf(MARKER);
+        const end = markdown.indexOf(END_MARKER);
+        if (start === -1 || end === -1) return null;
+        return { start: start < end ? start : start - 1, end: end > start ? end - 1 : end };
+    }
+
+    /**
+     * انتخاب را بر اساس موقعیت در مارک‌داون کل سند (مانند خروجی `getMarkdown()`) تنظیم می‌کند.
+     * @param {number} start
+     * @param {number} [end=start]
+     * @returns {boolean} false اگر موقعیت قابل نگاشت به سند نباشد.
+     */
+    setDocumentOffsets(start, end = start) {
+        const markdown = this.editor.markdownCache.getMarkdown();
+        const clamp = value => Math.min(Math.max(Number(value) || 0, 0), markdown.length);
+        const from = this._fromDocumentOffset(markdown, clamp(start));
+        const to = clamp(end) === clamp(start) ? from : this._fromDocumentOffset(markdown, clamp(end));
+        if (!from || !to) return false;
+
+        const range = document.createRange();
+        range.setStart(from.node, from.offset);
+        range.setEnd(to.node, to.offset);
+        this.setRange(range);
+        return true;
+    }
+
+    /**
+     * @param {Node} node
+     * @param {number} offset
+     * @returns {BookmarkPoint|null}
+     * @private
+     */
+    _toPoint(node, offset) {
+        const block = this._topLevelBlock(node);
+        if (!block) {
+            // The caret sits directly in the editor element, between two blocks.
+            const next = node === this.element ? this.element.children[offset] : null;
+            const id = next ? next.getAttribute('data-block-id') : null;
+            return id ? { block: id, offset: 0 } : null;
+        }
+        const id = block.getAttribute('data-block-id');
+        if (!id) return null;
+
+        // A marker placed at the position inside a copy of the block shows where it lands in the markdown.
+        const clone = block.cloneNode(true);
+        if (!insertMarker(block, clone, node, offset, MARKER)) return null;
+        const index = this._markdownOf(clone).indexOf(MARKER);
+        return { block: id, offset: Math.max(index, 0) };
+    }
+
+    /**
+     * @param {BookmarkPoint} point
+     * @returns {{node: Node, offset: number}|null}
+     * @private
+     */
+    _fromPoint(point) {
+        let block = Array.from(this.element.children).find(child => child.getAttribute('data-block-id') === String(point.block));
+        if (!block) return null;
+        if (this.editor.virtualizer.isPlaceholder(block)) {
+            block = this.editor.virtualizer.materialize(block)[0] || null;
+            if (!block) return null;
+        }
+
+        // The markdown offset is turned into a text offset by rendering the block with a marker in it.
+        const markdown = this._markdownOf(block.cloneNode(true));
+        const offset = Math.min(Math.max(Number(point.offset) || 0, 0), markdown.length);
+        const template = document.createElement('template');
+        template.innerHTML = this.editor.parser.parse(markdown.slice(0, offset) + MARKER + markdown.slice(offset));
+        const rendered = template.content.textContent.indexOf(MARKER);
+        return positionAtText(block, rendered === -1 ? offset : rendered);
+    }
+
+    /**
+     * @param {string} markdown - مارک‌داون کل سند.
+     * @param {number} offset
+     * @returns {{node: Node, offset: number}|null}
+     * @private
+     */
+    _fromDocumentOffset(markdown, offset) {
+        const lineStart = markdown.lastIndexOf('\n', offset - 1) + 1;
+        const lineEnd = markdown.indexOf('\n', offset) === -1 ? markdown.length : markdown.indexOf('\n', offset);
+        const blocks = this.element.children;
+
+        // A marker inside syntax (e.g. within a code fence) can change the structure; the ends of the line,
+        // then the neighbouring lines, are tried as fallbacks.
+        const candidates = [offset, lineEnd, lineStart, lineEnd + 1, lineStart - 1]
+            .filter(candidate => candidate >= 0 && candidate <= markdown.length);
+        for (const candidate of candidates) {
+            const template = document.createElement('template');
+            template.innerHTML = this.editor.parser.parse(markdown.slice(0, candidate) + MARKER + markdown.slice(candidate));
+            const rendered = Array.from(template.content.children);
+            const index = rendered.findIndex(child => child.textContent.includes(MARKER));
+            if (index === -1 || rendered.length !== blocks.length) continue;
+
+            let block = blocks[index];
+            if (this.editor.virtualizer.isPlaceholder(block)) {
+                block = this.editor.virtualizer.materialize(block)[0] || null;
+                if (!block) return null;
+            }
+            return positionAtText(block, rendered[index].textContent.indexOf(MARKER));
+        }
+        return null;
+    }
+
+    /**
+     * @param {HTMLElement} block - بلوک یا کپی آن.
+     * @returns {string}
+     * @private
+     */
+    _markdownOf(block) {
+        const container = document.createElement('div');
+        container.appendChild(block);
+        return this.editor.htmlParser.parse(container);
+    }
+
+    /**
+     * @param {Node} node
+     * @returns {HTMLElement|null} بلوک سطح بالایی که گره داخل آن است.
+     * @private
+     */
+    _topLevelBlock(node) {
+        if (!node || node === this.element || !this.element.contains(node)) return null;
+        let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        while (current && current.parentElement !== this.element) {
+            current = current.parentElement;
+        }
+        return current;
+    }
+}
+
+/**
+ * Inserts a marker into a copy of `root` at the position that `node`/`offset` points to in `root`.
+ * @param {Node} root
+ * @param {Node} clone - A deep copy of `root`.
+ * @param {Node} node
+ * @param {number} offset
+ * @param {string} marker
+ * @returns {boolean} Whether the position could be found in the copy.
+ */
+function insertMarker(root, clone, node, offset, marker) {
+    const target = node === root ? clone : resolveNodePath(clone, getNodePath(root, node));
+    if (!target) return false;
+    if (target.nodeType === Node.TEXT_NODE) {
+        target.data = target.data.slice(0, offset) + marker + target.data.slice(offset);
+    } else {
+        target.insertBefore(document.createTextNode(marker), target.childNodes[offset] || null);
+    }
+    return true;
+}
+
+/**
+ * @param {HTMLElement} root
+ * @param {number} textOffset - Offset in the text content of `root`.
+ * @returns {{node: Node, offset: number}} The matching DOM position, clamped to the end of the text.
+ */
+function positionAtText(root, textOffset) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let remaining = textOffset;
+    let last = null;
+    while (walker.nextNode()) {
+        last = walker.currentNode;
+        // A position between two text nodes goes to the start of the next one.
+        if (remaining < last.data.length) return { node: last, offset: remaining };
+        remaining -= last.data.length;
+    }
+    if (last) return { node: last, offset: last.data.length };
+    return { node: root, offset: 0 };
+}
@@ -0,0 +1,209 @@
+/**
+ * @typedef {'rich'|'source'} EditorMode
+ */
+
+/**
+ * کلیدهای میانبر تغییر حالت (`Ctrl+Alt+M`) در چینش انگلیسی و فارسی.
+ * @type {string[]}
+ */
+const SHORTCUT_KEYS = ['m', 'ئ'];
+
+/**
+ * حالت ویرایش مستقیم مارک‌داون. در این حالت نمای قالب‌بندی‌شده پنهان شده و یک `textarea` با مارک‌داون سند
+ * جای آن را می‌گیرد؛ هنگام بازگشت، متن از طریق `setContent` دوباره پردازش می‌شود. محل مکان‌نما و انتخاب
+ * بین دو حالت نگاشت می‌شود.
+ * @class SourceMode
+ */
+export default class SourceMode {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     */
+    constructor(editor) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * ویرایشگر متنی حالت مارک‌داون؛ فقط در این حالت وجود دارد.
+         * @type {HTMLTextAreaElement|null}
+         */
+        this.textarea = null;
+        /**
+         * مارک‌داون سند هنگام ورود، تا بازگشت بدون تغییر سند را دوباره پردازش نکند.
+         * @private
+         * @type {string}
+         */
+        this.initialMarkdown = '';
+        /**
+         * بازگشت در جریان به نمای قالب‌بندی‌شده (اعمال مارک‌داون اسناد بزرگ غیرهمزمان است).
+         * @private
+         * @type {Promise<void>|null}
+         */
+        this.leaving = null;
+
+        this.boundOnKeyDown = this._onKeyDown.bind(this);
+        this.boundOnInput = () => this.editor.emitInput('source');
+        /**
+         * @private
+         * @type {Array<() => void>}
+         */
+        this.disposers = [
+            editor.events.on('readOnlyChange', ({ readOnly }) => {
+                if (this.textarea) this.textarea.readOnly = readOnly;
+            }),
+            ...SHORTCUT_KEYS.map(key => editor.keyboardHandler.register(key, ['ctrl', 'alt'], () => {
+                this.setMode('source');
+                return true;
+            }))
+        ];
+    }
+
+    /**
+     * حالت فعلی ویرایشگر.
+     * @returns {EditorMode}
+     */
+    get mode() {
+        return this.textarea ? 'source' : 'rich';
+    }
+
+    /**
+     * حالت ویرایشگر را تغییر می‌دهد. اگر یک شنونده `beforeChange` اعمال تغییرات مارک‌داون را لغو کند، ویرایشگر
+     * همراه با تغییرات در حالت مارک‌داون می‌ماند.
+     * @param {EditorMode} mode
+     * @returns {Promise<void>} پس از اعمال حالت جدید (و پردازش مارک‌داون در بازگشت) resolve می‌شود.
+     */
+    setMode(mode) {
+        if (mode !== 'rich' && mode !== 'source') {
+            this.editor.logger.warn(`Unknown editor mode "${mode}". Use 'rich' or 'source'.`);
+            return Promise.resolve();
+        }
+        if (mode === this.mode) return Promise.resolve();
+        if (this.leaving) return this.leaving;
+        if (mode === 'source') return this._enter();
+        this.leaving = this._leave().finally(() => { this.leaving = null; });
+        return this.leaving;
+    }
+
+    /**
+     * بین دو حالت جابه‌جا می‌شود.
+     * @returns {Promise<void>}
+     */
+    toggle() {
+        return this.setMode(this.mode === 'source' ? 'rich' : 'source');
+    }
+
+    /**
+     * مارک‌داون ویرایشگر متنی؛ در حالت قالب‌بندی‌شده null.
+     * @returns {string|null}
+     */
+    getMarkdown() {
+        return this.textarea ? this.textarea.value : null;
+    }
+
+    /**
+     * متن ویرایشگر متنی را دوباره از نمای قالب‌بندی‌شده می‌خواند (مثلاً پس از `setContent` در حالت مارک‌داون).
+     */
+    refresh() {
+        if (!this.textarea) return;
+        this.initialMarkdown = this.editor.markdownCache.getMarkdown();
+        this.textarea.value = this.initialMarkdown;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     * @private
+     */
+    _enter() {
+        const { editor } = this;
+        editor.mouseHandler.exitRawMode();
+        const offsets = editor.selection.getDocumentOffsets();
+        const markdown = editor.markdownCache.getMarkdown();
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'dabir-source';
+        textarea.dir = editor.element.getAttribute('dir') || 'auto';
+        textarea.spellcheck = false;
+        textarea.readOnly = editor.isReadOnly;
+        textarea.value = markdown;
+        textarea.addEventListener('keydown', this.boundOnKeyDown);
+        textarea.addEventListener('input', this.boundOnInput);
+
+        this.initialMarkdown = markdown;
+        this.textarea = textarea;
+        editor.element.after(textarea);
+        editor.element.hidden = true;
+
+        textarea.focus();
+        const start = offsets ? Math.min(offsets.start, markdown.length) : 0;
+        const end = offsets ? Math.min(offsets.end, markdown.length) : 0;
+        textarea.setSelectionRange(start, end);
+
+        editor.events.emit('modeChange', { mode: 'source' });
+        return Promise.resolve();
+    }
+
+    /**
+     * @returns {Promise<void>}
+     * @private
+     */
+    _leave() {
+        const { editor, textarea } = this;
+        const markdown = textarea.value;
+        const { selectionStart, selectionEnd } = textarea;
+        const changed = markdown !== this.initialMarkdown;
+
+        // The textarea stays until the edits are applied, since a `beforeChange` listener may still cancel them.
+        textarea.readOnly = true;
+        const applied = changed ? editor.setContent(markdown) : Promise.resolve(true);
+        return applied.then(success => {
+            if (editor.isDestroyed || this.textarea !== textarea) return;
+            if (!success) {
+                textarea.readOnly = editor.isReadOnly;
+                editor.logger.warn('Leaving the markdown source mode was cancelled; the source edits are kept.');
+                return;
+            }
+            this._removeTextarea();
+            editor.element.hidden = false;
+            editor.events.emit('modeChange', { mode: 'rich' });
+            if (changed) editor.saveContent();
+            editor.element.focus();
+            editor.selection.setDocumentOffsets(selectionStart, selectionEnd);
+        });
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     * @private
+     */
+    _onKeyDown(event) {
+        if (event.ctrlKey && event.altKey && SHORTCUT_KEYS.includes(event.key.toLowerCase())) {
+            event.preventDefault();
+            this.setMode('rich');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _removeTextarea() {
+        if (!this.textarea) return;
+        this.textarea.removeEventListener('keydown', this.boundOnKeyDown);
+        this.textarea.removeEventListener('input', this.boundOnInput);
+        this.textarea.remove();
+        this.textarea = null;
+    }
+
+    /**
+     * ویرایشگر متنی را حذف کرده و نمای قالب‌بندی‌شده را بدون اعمال تغییرات آن برمی‌گرداند.
+     */
+    destroy() {
+        this._removeTextarea();
+        if (this.editor.element) this.editor.element.hidden = false;
+        this.disposers.forEach(dispose => dispose());
+        this.disposers = [];
+        this.boundOnKeyDown = null;
+        this.boundOnInput = null;
+        this.editor = null;
+    }
+}
@@ -1,57 +1,239 @@
+import { getLogger } from '../utils/logger.js';
+import { LocalStorageAdapter, resolveStorageAdapter } from './storageAdapters.js';
+
 /**
  * @typedef {object} StorageOptions
  * @property {boolean} [enabled=true] - فعال یا غیرفعال بودن ذخیره‌سازی.
- * @property {string} [key='dabir-content'] - کلید مورد استفاده در localStorage.
+ * @property {string} [key='dabir-content'] - کلید سند در مخزن.
+ * @property {'local'|'session'|'indexeddb'|'memory'|import('./storageAdapters.js').StorageAdapter} [adapter='local'] -
+ *   مخزن ذخیره‌سازی: نام یکی از مخزن‌های داخلی یا یک مخزن سفارشی.
+ * @property {boolean} [restorePosition=true] - بازگرداندن موقعیت مکان‌نما و پیمایش سند (`editor.autosave`).
+ */
+
+/**
+ * @typedef {object} StoredDocument
+ * @property {number} version - نسخه قالب ذخیره‌سازی؛ 0 برای HTML ذخیره‌شده توسط نسخه‌های قدیمی.
+ * @property {string} content - مارک‌داون سند، یا HTML برای نسخه 0.
+ * @property {string[]} ids - شناسه بلوک‌ها به ترتیب سند (رشته خالی برای شناسه نامعتبر)؛ خالی اگر ذخیره نشده باشد.
+ */
+
+/**
+ * نسخه فعلی قالب ذخیره‌سازی. هر تغییر ناسازگار در قالب، این عدد را افزایش داده و مسیر تبدیل نسخه قبلی را اضافه می‌کند.
+ * @type {number}
+ */
+export const STORAGE_FORMAT_VERSION = 1;
+
+/**
+ * سرآیند اسناد ذخیره‌شده. یک توضیح HTML است، بنابراین محتوای ذخیره‌شده همچنان مارک‌داون معتبر است.
+ * شناسه بلوک‌ها (`editor.blocks`) به ترتیب سند در بخش اختیاری `ids=` آن نگه داشته می‌شوند.
+ * @type {RegExp}
+ */
+const HEADER_PATTERN = /^<!-- dabir:(\d+)(?: ids=([\w,-]*))? -->\r?\n/;
+
+/**
+ * شناسه‌های بلوکی که در سرآیند ذخیره می‌شوند.
+ * @type {RegExp}
+ */
+const BLOCK_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * نتیجه عملیات ناموفق مخزن؛ از مقادیر معتبر (مانند null) قابل تشخیص است.
+ * @type {symbol}
  */
+const FAILED = Symbol('failed');
 
 /**
- * کلاس مدیریت ذخیره و بارگذاری محتوا از localStorage.
+ * پیشوند محتوایی که به دلیل پر بودن فضای مخزن فشرده (gzip) و با base64 ذخیره شده است.
+ * @type {string}
+ */
+const COMPRESSED_PREFIX = 'dabir-gzip:';
+
+/**
+ * کلاس مدیریت ذخیره و بارگذاری محتوای ویرایشگر در یک مخزن (`StorageAdapter`).
+ * تمام عملیات غیرهمزمان‌اند؛ خطاهای مخزن با کد `STORAGE_FAILED` (یا `STORAGE_QUOTA_EXCEEDED` هنگام پر بودن
+ * فضا) گزارش شده و نتیجه عملیات مشخص می‌کند که آیا موفق بوده است.
  * @class Storage
  */
 export default class Storage {
     /**
      * @param {StorageOptions} [options={}] - گزینه‌های پیکربندی ذخیره‌سازی.
+     * @param {import('../utils/logger.js').Logger} [logger] - گزارش‌گر خطاها.
      */
-    constructor(options = {}) {
+    constructor(options = {}, logger = getLogger()) {
         /**
          * @private
          * @type {boolean}
          */
         this.enabled = options.enabled !== false;
         /**
-         * @private
+         * کلید سند فعلی؛ مدیر اسناد (`editor.documents`) هنگام باز کردن سند دیگر آن را تغییر می‌دهد.
          * @type {string}
          */
         this.key = options.key || 'dabir-content';
+        /**
+         * مخزن مورد استفاده.
+         * @type {import('./storageAdapters.js').StorageAdapter}
+         */
+        this.adapter = resolveStorageAdapter(options.adapter) || new LocalStorageAdapter();
+        /**
+         * @private
+         * @type {import('../utils/logger.js').Logger}
+         */
+        this.logger = logger;
+        /**
+         * خطای آخرین عملیات ناموفق؛ با هر ذخیره موفق null می‌شود.
+         * @type {Error|null}
+         */
+        this.lastError = null;
+        /**
+         * @private
+         * @type {boolean}
+         */
+        this.compressionWarned = false;
     }
 
     /**
-     * محتوا را در حافظه محلی ذخیره می‌کند.
+     * محتوا را در مخزن ذخیره می‌کند. اگر فضای مخزن پر باشد، محتوا یک بار دیگر به صورت فشرده ذخیره می‌شود.
      * @param {string} content - محتوایی که باید ذخیره شود.
+     * @param {string} [key] - کلید سند؛ پیش‌فرض کلید ویرایشگر.
+     * @returns {Promise<boolean>} آیا محتوا ذخیره شد؟ اگر ذخیره‌سازی غیرفعال باشد false.
+     */
+    save(content, key = this.key) {
+        if (!this.enabled) return Promise.resolve(false);
+        const write = value => new Promise(resolve => resolve(this.adapter.save(key, value)));
+        return this._run('save', key, () => write(content).catch(error => {
+            if (!isQuotaError(error) || !canCompress()) throw error;
+            return compress(content).then(write).then(() => {
+                if (this.compressionWarned) return;
+                this.compressionWarned = true;
+                this.logger.warn(`Storage quota exceeded; "${key}" was saved compressed.`);
+            }, () => { throw error; });
+        })).then(result => {
+            if (result !== FAILED) this.lastError = null;
+            return result !== FAILED;
+        });
+    }
+
+    /**
+     * محتوا را از مخزن بارگذاری می‌کند؛ محتوای فشرده‌شده پیش از بازگرداندن باز می‌شود.
+     * @param {string} [key] - کلید سند؛ پیش‌فرض کلید ویرایشگر.
+     * @returns {Promise<string|null>} محتوای ذخیره‌شده یا null در صورت عدم وجود یا خطا.
+     */
+    load(key = this.key) {
+        if (!this.enabled) return Promise.resolve(null);
+        return this._run('load', key, () => Promise.resolve(this.adapter.load(key))
+            .then(content => isCompressed(content) ? decompress(content) : content))
+            .then(content => (content === FAILED || content === undefined) ? null : content);
+    }
+
+    /**
+     * یک سند را از مخزن حذف می‌کند.
+     * @param {string} [key] - کلید سند؛ پیش‌فرض کلید ویرایشگر.
+     * @returns {Promise<boolean>} آیا حذف انجام شد؟
+     */
+    remove(key = this.key) {
+        if (!this.enabled) return Promise.resolve(false);
+        return this._run('remove', key, () => this.adapter.remove(key)).then(result => result !== FAILED);
+    }
+
+    /**
+     * کلیدهای موجود در مخزن را برمی‌گرداند.
+     * @returns {Promise<string[]>} در صورت خطا یا غیرفعال بودن ذخیره‌سازی، آرایه خالی.
      */
-    save(content) {
-        if (this.enabled) {
-            try {
-                localStorage.setItem(this.key, content);
-            } catch (error) {
-                console.error('Dabir.js Error: Storage.save failed.', error);
-            }
-        }
+    list() {
+        if (!this.enabled) return Promise.resolve([]);
+        return this._run('list', null, () => this.adapter.list())
+            .then(keys => Array.isArray(keys) ? keys : []);
     }
 
     /**
-     * محتوا را از حافظه محلی بارگذاری می‌کند.
-     * @returns {string|null} محتوای ذخیره‌شده یا null در صورت عدم وجود.
+     * یک عملیات مخزن را اجرا کرده و خطای آن (همزمان یا غیرهمزمان) را گزارش می‌کند.
+     * @param {string} operation - نام عملیات، برای پیام خطا.
+     * @param {string|null} key
+     * @param {() => Promise<any>} run
+     * @returns {Promise<any>} نتیجه عملیات، یا `FAILED` در صورت خطا.
+     * @private
      */
-    load() {
-        if (this.enabled) {
-            try {
-                return localStorage.getItem(this.key);
-            } catch (error) {
-                console.error('Dabir.js Error: Storage.load failed.', error);
-                return null;
-            }
-        }
-        return null;
+    _run(operation, key, run) {
+        return new Promise(resolve => resolve(run())).catch(error => {
+            this.lastError = error;
+            const code = isQuotaError(error) ? 'STORAGE_QUOTA_EXCEEDED' : 'STORAGE_FAILED';
+            this.logger.error(code, `Storage.${operation} failed.`, { error, module: 'storage', input: key });
+            return FAILED;
+        });
     }
-}
\ No newline at end of file
+}
+
+/**
+ * آیا خطا ناشی از پر بودن فضای مخزن است؟ (نام و کد خطا در مرورگرهای مختلف متفاوت است.)
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isQuotaError(error) {
+    if (!error) return false;
+    return error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED'
+        || error.code === 22 || error.code === 1014;
+}
+
+/**
+ * @returns {boolean}
+ */
+function canCompress() {
+    return typeof CompressionStream === 'function' && typeof DecompressionStream === 'function'
+        && typeof Blob === 'function' && typeof Response === 'function';
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCompressed(value) {
+    return typeof value === 'string' && value.startsWith(COMPRESSED_PREFIX);
+}
+
+/**
+ * @param {string} content
+ * @returns {Promise<string>}
+ */
+async function compress(content) {
+    const stream = new Blob([content]).stream().pipeThrough(new CompressionStream('gzip'));
+    const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    let binary = '';
+    // Chunked, so that large documents stay within the argument limit of `fromCharCode`.
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return COMPRESSED_PREFIX + btoa(binary);
+}
+
+/**
+ * @param {string} value
+ * @returns {Promise<string>}
+ */
+function decompress(value) {
+    const binary = atob(value.slice(COMPRESSED_PREFIX.length));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+}
+
+/**
+ * مارک‌داون سند را همراه با سرآیند نسخه قالب (و شناسه بلوک‌ها) به رشته قابل ذخیره تبدیل می‌کند.
+ * @param {string} markdown
+ * @param {string[]} [ids=[]] - شناسه بلوک‌ها به ترتیب سند.
+ * @returns {string}
+ */
+export function encodeDocument(markdown, ids = []) {
+    const list = ids.length > 0 ? ` ids=${ids.map(id => (BLOCK_ID_PATTERN.test(id) ? id : '')).join(',')}` : '';
+    return `<!-- dabir:${STORAGE_FORMAT_VERSION}${list} -->\n${markdown}`;
+}
+
+/**
+ * یک رشته ذخیره‌شده را به نسخه قالب و محتوای آن تجزیه می‌کند. رشته‌های بدون سرآیند، HTML ذخیره‌شده توسط
+ * نسخه‌های پیش از قالب مارک‌داون هستند.
+ * @param {string} stored
+ * @returns {StoredDocument}
+ */
+export function decodeDocument(stored) {
+    const match = HEADER_PATTERN.exec(stored);
+    if (!match) return { version: 0, content: stored, ids: [] };
+    return { version: Number(match[1]), content: stored.slice(match[0].length), ids: match[2] ? match[2].split(',') : [] };
+}
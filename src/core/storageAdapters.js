@@ -0,0 +1,349 @@
+/**
+ * رابط یک مخزن ذخیره‌سازی. تمام متدها Promise برمی‌گردانند؛ خطاها با reject شدن Promise گزارش می‌شوند.
+ * @typedef {object} StorageAdapter
+ * @property {(key: string) => Promise<string|null>} load - محتوای ذخیره‌شده یا null اگر کلید وجود نداشته باشد.
+ * @property {(key: string, content: string) => Promise<void>} save - محتوا را ذخیره (یا جایگزین) می‌کند.
+ * @property {(key: string) => Promise<void>} remove - کلید را حذف می‌کند.
+ * @property {() => Promise<string[]>} list - کلیدهای موجود.
+ */
+
+/**
+ * @typedef {object} WebStorageAdapterOptions
+ * @property {string} [prefix='dabir:'] - پیشوندی که به کلیدها در `localStorage`/`sessionStorage` اضافه می‌شود.
+ *   `list` فقط کلیدهای دارای این پیشوند را (بدون پیشوند) برمی‌گرداند، نه داده‌های دیگر همان دامنه.
+ */
+
+/**
+ * پیشوند پیش‌فرض کلیدهای دبیر در `localStorage`/`sessionStorage`.
+ * @type {string}
+ */
+const DEFAULT_PREFIX = 'dabir:';
+
+/**
+ * @typedef {object} IndexedDBAdapterOptions
+ * @property {string} [database='dabir'] - نام پایگاه داده.
+ * @property {string} [store='documents'] - نام مخزن اشیا (Object Store).
+ */
+
+/**
+ * پایه مخزن‌های `localStorage` و `sessionStorage`.
+ * @class WebStorageAdapter
+ */
+export class WebStorageAdapter {
+    /**
+     * @param {() => globalThis.Storage} getArea - تابعی که مخزن مرورگر را برمی‌گرداند؛ دسترسی تا اولین استفاده
+     *   به تأخیر می‌افتد، چون خواندن `localStorage` در برخی مرورگرها (مثلاً با کوکی‌های مسدود) خطا می‌دهد.
+     * @param {WebStorageAdapterOptions} [options={}]
+     */
+    constructor(getArea, options = {}) {
+        /**
+         * @private
+         * @type {() => globalThis.Storage}
+         */
+        this.getArea = getArea;
+        /**
+         * @private
+         * @type {string}
+         */
+        this.prefix = typeof options.prefix === 'string' ? options.prefix : DEFAULT_PREFIX;
+        /**
+         * آیا کلیدهایی که نسخه‌های قبلی بدون پیشوند ذخیره کرده‌اند (مانند `dabir-content`) خوانده شوند؟
+         * فقط برای پیشوند پیش‌فرض.
+         * @private
+         * @type {boolean}
+         */
+        this.migrateLegacy = typeof options.prefix !== 'string';
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    load(key) {
+        return attempt(() => {
+            const area = this.getArea();
+            const content = area.getItem(this.prefix + key);
+            if (content !== null || !this.migrateLegacy) return content;
+            // Saved without a prefix by an earlier version: moved under the prefix the first time it is read.
+            const legacy = area.getItem(key);
+            if (legacy !== null) {
+                try {
+                    area.setItem(this.prefix + key, legacy);
+                    area.removeItem(key);
+                } catch (error) {
+                    // Without room for the copy, the content stays under the legacy key for now.
+                }
+            }
+            return legacy;
+        });
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} content
+     * @returns {Promise<void>}
+     */
+    save(key, content) {
+        return attempt(() => this.getArea().setItem(this.prefix + key, content));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return attempt(() => {
+            const area = this.getArea();
+            area.removeItem(this.prefix + key);
+            // A legacy copy that could not be migrated must not come back on the next load.
+            if (this.migrateLegacy) area.removeItem(key);
+        });
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    list() {
+        return attempt(() => {
+            const area = this.getArea();
+            const keys = [];
+            for (let i = 0; i < area.length; i++) {
+                const key = area.key(i);
+                if (key !== null && key.startsWith(this.prefix)) keys.push(key.slice(this.prefix.length));
+            }
+            return keys;
+        });
+    }
+}
+
+/**
+ * مخزن `localStorage` (پیش‌فرض). داده‌ها پس از بستن مرورگر باقی می‌مانند؛ ظرفیت حدود ۵ مگابایت است.
+ * @class LocalStorageAdapter
+ */
+export class LocalStorageAdapter extends WebStorageAdapter {
+    /**
+     * @param {WebStorageAdapterOptions} [options]
+     */
+    constructor(options) {
+        super(() => localStorage, options);
+    }
+}
+
+/**
+ * مخزن `sessionStorage`؛ داده‌ها فقط تا بسته شدن زبانه باقی می‌مانند.
+ * @class SessionStorageAdapter
+ */
+export class SessionStorageAdapter extends WebStorageAdapter {
+    /**
+     * @param {WebStorageAdapterOptions} [options]
+     */
+    constructor(options) {
+        super(() => sessionStorage, options);
+    }
+}
+
+/**
+ * مخزن IndexedDB برای اسناد بزرگ‌تر از ظرفیت `localStorage`. پایگاه داده در اولین استفاده باز می‌شود.
+ * @class IndexedDBAdapter
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {IndexedDBAdapterOptions} [options={}]
+     */
+    constructor(options = {}) {
+        /**
+         * @private
+         * @type {string}
+         */
+        this.database = options.database || 'dabir';
+        /**
+         * @private
+         * @type {string}
+         */
+        this.store = options.store || 'documents';
+        /**
+         * @private
+         * @type {Promise<IDBDatabase>|null}
+         */
+        this.connection = null;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    load(key) {
+        return this._request('readonly', store => store.get(key)).then(value => value === undefined ? null : value);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} content
+     * @returns {Promise<void>}
+     */
+    save(key, content) {
+        return this._request('readwrite', store => store.put(content, key)).then(() => undefined);
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        return this._request('readwrite', store => store.delete(key)).then(() => undefined);
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    list() {
+        return this._request('readonly', store => store.getAllKeys()).then(keys => keys.map(String));
+    }
+
+    /**
+     * اتصال به پایگاه داده را می‌بندد؛ استفاده بعدی دوباره آن را باز می‌کند.
+     */
+    close() {
+        if (!this.connection) return;
+        this.connection.then(db => db.close(), () => {});
+        this.connection = null;
+    }
+
+    /**
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (this.connection) return this.connection;
+        this.connection = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available.'));
+                return;
+            }
+            const request = indexedDB.open(this.database, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.store)) request.result.createObjectStore(this.store);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB "${this.database}" is blocked by another connection.`));
+        });
+        // A failed open is retried on the next call.
+        this.connection.catch(() => { this.connection = null; });
+        return this.connection;
+    }
+
+    /**
+     * @param {IDBTransactionMode} mode
+     * @param {(store: IDBObjectStore) => IDBRequest} operation
+     * @returns {Promise<any>}
+     * @private
+     */
+    _request(mode, operation) {
+        return this._open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.store, mode);
+            const request = operation(transaction.objectStore(this.store));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted.'));
+        }));
+    }
+}
+
+/**
+ * مخزن درون حافظه؛ داده‌ها با بارگذاری دوباره صفحه از بین می‌روند. برای آزمون‌ها و پیش‌نمایش‌ها مناسب است.
+ * @class MemoryAdapter
+ */
+export class MemoryAdapter {
+    /**
+     * @param {Object<string, string>} [entries={}] - محتوای اولیه.
+     */
+    constructor(entries = {}) {
+        /**
+         * @private
+         * @type {Map<string, string>}
+         */
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<string|null>}
+     */
+    load(key) {
+        return Promise.resolve(this.entries.has(key) ? this.entries.get(key) : null);
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} content
+     * @returns {Promise<void>}
+     */
+    save(key, content) {
+        this.entries.set(key, String(content));
+        return Promise.resolve();
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    remove(key) {
+        this.entries.delete(key);
+        return Promise.resolve();
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    list() {
+        return Promise.resolve(Array.from(this.entries.keys()));
+    }
+}
+
+/**
+ * مخزن‌های داخلی بر اساس نامی که در `storage.adapter` پذیرفته می‌شود.
+ * @type {Object<string, new () => StorageAdapter>}
+ */
+export const STORAGE_ADAPTERS = {
+    local: LocalStorageAdapter,
+    session: SessionStorageAdapter,
+    indexeddb: IndexedDBAdapter,
+    memory: MemoryAdapter
+};
+
+/**
+ * @param {*} adapter
+ * @returns {boolean} آیا آبجکت تمام متدهای `StorageAdapter` را دارد؟
+ */
+export function isStorageAdapter(adapter) {
+    return typeof adapter === 'object' && adapter !== null
+        && ['load', 'save', 'remove', 'list'].every(method => typeof adapter[method] === 'function');
+}
+
+/**
+ * یک نام مخزن داخلی یا یک مخزن سفارشی را به نمونه مخزن تبدیل می‌کند.
+ * @param {string|StorageAdapter} adapter
+ * @returns {StorageAdapter|null} null اگر ورودی معتبر نباشد.
+ */
+export function resolveStorageAdapter(adapter) {
+    if (typeof adapter === 'string') {
+        const Adapter = STORAGE_ADAPTERS[adapter.toLowerCase()];
+        return Adapter ? new Adapter() : null;
+    }
+    return isStorageAdapter(adapter) ? adapter : null;
+}
+
+/**
+ * یک عملیات همزمان را اجرا کرده و نتیجه یا خطای آن را به صورت Promise برمی‌گرداند.
+ * @template T
+ * @param {() => T} operation
+ * @returns {Promise<T>}
+ */
+function attempt(operation) {
+    try {
+        return Promise.resolve(operation());
+    } catch (error) {
+        return Promise.reject(error);
+    }
+}
@@ -0,0 +1,381 @@
+import { diffMarkdown, joinBlocks } from '../utils/textDiff.js';
+import { countWords } from './documents.js';
+import { isQuotaError } from './storage.js';
+
+/**
+ * @typedef {object} VersionOptions
+ * @property {boolean} [enabled=true] - نسخه‌های خودکار (دوره‌ای و پیش از تغییرات بزرگ)؛ `snapshot()` همیشه در دسترس است.
+ * @property {number} [interval=300000] - فاصله (میلی‌ثانیه) نسخه‌های خودکار؛ فقط اگر سند از آخرین نسخه تغییر کرده باشد.
+ * @property {number} [limit=50] - حداکثر تعداد نسخه‌های هر سند؛ ابتدا قدیمی‌ترین نسخه‌های خودکار حذف می‌شوند.
+ * @property {number} [maxAge=2592000000] - عمر نسخه‌های خودکار (میلی‌ثانیه، پیش‌فرض ۳۰ روز)؛ 0 برای نگهداری بدون محدودیت.
+ */
+
+/**
+ * @typedef {object} VersionInfo
+ * @property {string} id - شناسه یکتای نسخه.
+ * @property {number} created - زمان ذخیره (میلی‌ثانیه از epoch).
+ * @property {string} label - برچسب نسخه؛ برای نسخه‌های دوره‌ای رشته خالی.
+ * @property {boolean} auto - آیا نسخه به صورت خودکار ذخیره شده است؟
+ * @property {number} words - تعداد کلمات.
+ */
+
+/**
+ * @typedef {VersionInfo & {markdown: string}} Version
+ */
+
+/**
+ * مدیریت نسخه‌های ذخیره‌شده سند (`editor.versions`). نسخه‌ها در کلید `<کلید سند>:versions` همان مخزن ذخیره‌سازی
+ * ذخیره می‌شوند، بنابراین هر سند `editor.documents` تاریخچه خود را دارد. علاوه بر نسخه‌های دوره‌ای و دستی،
+ * پیش از جاگذاری، `setContent`، حذف متن انتخاب‌شده و بازگردانی یک نسخه، از تغییراتی که هنوز نسخه ندارند نسخه گرفته می‌شود.
+ * تمام متدها غیرهمزمان‌اند و به ترتیب فراخوانی اجرا می‌شوند.
+ * @class Versions
+ */
+export default class Versions {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @param {VersionOptions} [options={}] - گزینه‌های پیکربندی نسخه‌ها.
+     */
+    constructor(editor, options = {}) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * @private
+         * @type {number}
+         */
+        this.limit = options.limit || 50;
+        /**
+         * @private
+         * @type {number}
+         */
+        this.maxAge = typeof options.maxAge === 'number' ? options.maxAge : 2592000000;
+        /**
+         * @private
+         * @type {Promise<any>}
+         */
+        this.queue = Promise.resolve();
+        /**
+         * کلید سندی که از آخرین نسخه تغییر کرده است؛ null اگر تغییری ذخیره نشده باشد.
+         * @private
+         * @type {string|null}
+         */
+        this.dirtyKey = null;
+        /**
+         * آیا نسخه‌های خودکار (دوره‌ای و پیش از تغییرات بزرگ) ذخیره می‌شوند؟
+         * @private
+         * @type {boolean}
+         */
+        this.enabled = options.enabled !== false;
+        /**
+         * @private
+         * @type {number}
+         */
+        this.interval = options.interval || 300000;
+        /**
+         * تایمر نسخه خودکار بعدی؛ فقط وقتی سند تغییر کرده باشد وجود دارد.
+         * @private
+         * @type {ReturnType<typeof setTimeout>|null}
+         */
+        this.timer = null;
+
+        /**
+         * @private
+         * @type {Array<() => void>}
+         */
+        this.disposers = [
+            // A document without versions yet counts as changed, so that its first large change is preceded by one.
+            ...['load', 'documentChange'].map(event => editor.events.on(event, () => { this.dirtyKey = editor.storage.key; })),
+            editor.events.on('change', () => this._onChange()),
+            editor.events.on('beforePaste', () => this._autoSnapshot()),
+            editor.events.on('beforeChange', event => this._onBeforeChange(event))
+        ];
+    }
+
+    /**
+     * نسخه‌های سند باز، از جدیدترین.
+     * @returns {Promise<VersionInfo[]>}
+     */
+    list() {
+        return this._enqueue(async () => (await this._load()).map(toInfo).reverse());
+    }
+
+    /**
+     * یک نسخه را همراه با مارک‌داون آن برمی‌گرداند.
+     * @param {string} id
+     * @returns {Promise<Version|null>}
+     */
+    get(id) {
+        return this._enqueue(async () => {
+            const version = (await this._load()).find(entry => entry.id === id);
+            return version ? { ...version } : null;
+        });
+    }
+
+    /**
+     * محتوای فعلی سند را به عنوان یک نسخه جدید ذخیره می‌کند.
+     * @param {string} [label=''] - برچسب نسخه (مثلاً «پیش‌نویس اول»).
+     * @returns {Promise<VersionInfo|null>}
+     */
+    snapshot(label = '') {
+        const markdown = this.editor && !this.editor.isDestroyed ? this.editor.getMarkdown() : '';
+        return this._enqueue(() => this._add(this.editor.storage.key, markdown, String(label), false));
+    }
+
+    /**
+     * تفاوت دو نسخه در سطح بلوک و کلمه.
+     * @param {string} from - شناسه نسخه قدیمی‌تر، یا `'current'` برای محتوای فعلی.
+     * @param {string} [to='current'] - شناسه نسخه جدیدتر، یا `'current'`.
+     * @returns {Promise<Array<import('../utils/textDiff.js').BlockChange>|null>} null اگر یکی از نسخه‌ها وجود نداشته باشد.
+     */
+    diff(from, to = 'current') {
+        return this._enqueue(async () => {
+            const before = await this._markdown(from);
+            const after = await this._markdown(to);
+            if (before === null || after === null) return null;
+            return diffMarkdown(before, after);
+        });
+    }
+
+    /**
+     * محتوای یک نسخه را جایگزین سند می‌کند. بازگردانی یک گام تاریخچه است و با واگرد برمی‌گردد؛ محتوای فعلی نیز
+     * پیش از آن به عنوان نسخه ذخیره می‌شود.
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    restore(id) {
+        return this._enqueue(async () => {
+            const version = (await this._load()).find(entry => entry.id === id);
+            if (!version) return false;
+            return this._apply(version, version.markdown, null);
+        });
+    }
+
+    /**
+     * فقط تغییرات انتخاب‌شده از تفاوت نسخه با محتوای فعلی (`diff(id)`) را برمی‌گرداند؛ بقیه سند دست‌نخورده می‌ماند.
+     * @param {string} id
+     * @param {number[]} changes - اندیس تغییرات در خروجی `diff(id)`.
+     * @returns {Promise<boolean>}
+     */
+    restoreChanges(id, changes) {
+        return this._enqueue(async () => {
+            const version = (await this._load()).find(entry => entry.id === id);
+            if (!version || !Array.isArray(changes) || changes.length === 0) return false;
+            const selected = new Set(changes);
+            const blocks = diffMarkdown(version.markdown, this.editor.getMarkdown())
+                .flatMap((change, index) => selected.has(index) ? change.before : change.after);
+            return this._apply(version, joinBlocks(blocks), Array.from(selected));
+        });
+    }
+
+    /**
+     * یک نسخه را حذف می‌کند.
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    remove(id) {
+        return this._enqueue(async () => {
+            const versions = await this._load();
+            const remaining = versions.filter(entry => entry.id !== id);
+            if (remaining.length === versions.length) return false;
+            return this._save(this.editor.storage.key, remaining);
+        });
+    }
+
+    /**
+     * تمام نسخه‌های سند باز را حذف می‌کند.
+     * @returns {Promise<boolean>}
+     */
+    clear() {
+        return this._enqueue(() => this.editor.storage.remove(`${this.editor.storage.key}:versions`));
+    }
+
+    /**
+     * @template T
+     * @param {() => T|Promise<T>} operation
+     * @returns {Promise<T|null>}
+     * @private
+     */
+    _enqueue(operation) {
+        const run = async () => {
+            if (!this.editor || this.editor.isDestroyed) return null;
+            if (!this.editor.options.storage.enabled) {
+                this.editor.logger.warn('Version history requires "storage.enabled".');
+                return null;
+            }
+            return operation();
+        };
+        const result = this.queue.then(run).catch(error => {
+            if (this.editor) this.editor.logger.error('VERSIONS_FAILED', 'Version history operation failed.', { error, module: 'versions' });
+            return null;
+        });
+        this.queue = result;
+        return result;
+    }
+
+    /**
+     * @param {string} [key] - کلید سند؛ پیش‌فرض سند باز.
+     * @returns {Promise<Version[]>} نسخه‌ها از قدیمی‌ترین.
+     * @private
+     */
+    async _load(key = this.editor.storage.key) {
+        const stored = await this.editor.storage.load(`${key}:versions`);
+        const data = stored ? JSON.parse(stored) : null;
+        return data && Array.isArray(data.versions) ? data.versions : [];
+    }
+
+    /**
+     * نسخه‌ها را پس از اعمال محدودیت‌های نگهداری ذخیره می‌کند. اگر فضای مخزن پر باشد، نیمی از قدیمی‌ترین
+     * نسخه‌های خودکار (به جز جدیدترین نسخه) حذف شده و ذخیره دوباره امتحان می‌شود.
+     * @param {string} key
+     * @param {Version[]} versions
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _save(key, versions) {
+        const now = Date.now();
+        let kept = this.maxAge > 0 ? versions.filter(entry => !entry.auto || now - entry.created <= this.maxAge) : versions;
+        while (kept.length > this.limit) {
+            // The newest version is always kept.
+            const oldest = kept.slice(0, -1).find(entry => entry.auto) || kept[0];
+            kept = kept.filter(entry => entry !== oldest);
+        }
+        const { storage } = this.editor;
+        const write = () => storage.save(JSON.stringify({ version: 1, versions: kept }), `${key}:versions`);
+        let saved = await write();
+        while (!saved && isQuotaError(storage.lastError)) {
+            const auto = kept.slice(0, -1).filter(entry => entry.auto);
+            if (auto.length === 0) break;
+            const dropped = new Set(auto.slice(0, Math.ceil(auto.length / 2)));
+            kept = kept.filter(entry => !dropped.has(entry));
+            saved = await write();
+        }
+        return saved;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} markdown
+     * @param {string} label
+     * @param {boolean} auto
+     * @returns {Promise<VersionInfo|null>}
+     * @private
+     */
+    async _add(key, markdown, label, auto) {
+        const versions = await this._load(key);
+        const latest = versions[versions.length - 1];
+        // An automatic version identical to the latest one adds nothing.
+        if (auto && latest && latest.markdown === markdown) return null;
+
+        const version = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            created: Date.now(),
+            label,
+            auto,
+            words: countWords(markdown),
+            markdown
+        };
+        if (!await this._save(key, [...versions, version])) return null;
+        if (key === this.dirtyKey) this.dirtyKey = null;
+        this.editor.events.emit('versionCreate', { version: toInfo(version) });
+        return toInfo(version);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<string|null>}
+     * @private
+     */
+    async _markdown(id) {
+        if (id === 'current') return this.editor.getMarkdown();
+        const version = (await this._load()).find(entry => entry.id === id);
+        return version ? version.markdown : null;
+    }
+
+    /**
+     * @param {Version} version
+     * @param {string} markdown
+     * @param {number[]|null} changes
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _apply(version, markdown, changes) {
+        const { editor } = this;
+        const current = editor.getMarkdown();
+        if (markdown === current) return true;
+        const key = editor.storage.key;
+        // A `beforeChange` listener may cancel the restore.
+        if (!await editor.setContent(markdown) || editor.isDestroyed) return false;
+        // Kept even when automatic versions are disabled, so that a restore can always be undone later.
+        await this._add(key, current, 'پیش از بازگردانی', true);
+        if (editor.isDestroyed) return false;
+        await editor.saveContent();
+        editor.events.emit('versionRestore', { version: toInfo(version), changes });
+        return true;
+    }
+
+    /**
+     * یک نسخه خودکار، فقط اگر سند از آخرین نسخه تغییر کرده باشد. محتوا همین حالا خوانده می‌شود، چون پیش از
+     * یک تغییر فراخوانی می‌شود.
+     * @private
+     */
+    _autoSnapshot() {
+        const { editor } = this;
+        // While another document is being opened, the storage key already belongs to it (see Documents).
+        if (!this.enabled || !editor || editor.isDestroyed || !editor.options.storage.enabled || this.dirtyKey !== editor.storage.key) return;
+        const key = this.dirtyKey;
+        const markdown = editor.getMarkdown();
+        if (markdown.trim() === '') return;
+        this._enqueue(() => this._add(key, markdown, '', true));
+    }
+
+    /**
+     * سند را تغییرکرده علامت زده و نسخه خودکار بعدی را زمان‌بندی می‌کند.
+     * @private
+     */
+    _onChange() {
+        this.dirtyKey = this.editor.storage.key;
+        if (!this.enabled || this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._autoSnapshot();
+        }, this.interval);
+    }
+
+    /**
+     * پیش از `setContent` و حذف متن انتخاب‌شده (مانند انتخاب همه و حذف)، تغییرات بدون نسخه ذخیره می‌شوند.
+     * @param {{operation: string, inputType?: string}} event
+     * @private
+     */
+    _onBeforeChange({ operation, inputType }) {
+        if (operation === 'setContent') {
+            this._autoSnapshot();
+            return;
+        }
+        const selection = this.editor.selection.selection;
+        if (operation === 'typing' && typeof inputType === 'string' && inputType.startsWith('delete')
+            && selection && selection.rangeCount > 0 && !selection.isCollapsed) {
+            this._autoSnapshot();
+        }
+    }
+
+    /**
+     * تایمر و شنونده‌ها را حذف می‌کند.
+     */
+    destroy() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.disposers.forEach(dispose => dispose());
+        this.disposers = [];
+        this.editor = null;
+    }
+}
+
+/**
+ * @param {Version} version
+ * @returns {VersionInfo}
+ */
+function toInfo({ id, created, label, auto, words }) {
+    return { id, created, label, auto, words };
+}
@@ -0,0 +1,291 @@
+import { renderNode, escapeAttribute } from '../renderers/htmlRenderer.js';
+import { serializeNode } from '../parsers/markdownSerializer.js';
+import { sanitize } from '../utils/sanitizer.js';
+import { morphHTML } from '../utils/diff.js';
+import { withLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} LargeDocumentOptions
+ * @property {boolean} [enabled=true] - فعال یا غیرفعال کردن حالت اسناد بزرگ.
+ * @property {number} [threshold=1000] - اسنادی با تعداد خطوط بیشتر از این مقدار به صورت مجازی رندر می‌شوند.
+ * @property {number} [chunkSize=250] - تعداد خطوطی که در هر تکه پردازش می‌شود.
+ * @property {number} [initialBlocks=50] - تعداد بلوک‌هایی که در ابتدای سند بلافاصله رندر می‌شوند.
+ * @property {string} [margin='1500px'] - فاصله‌ای از صفحه نمایش که بلوک‌ها پیش از رسیدن به آن رندر می‌شوند.
+ */
+
+/**
+ * @typedef {object} LoadProgress
+ * @property {number} loaded - تعداد خطوط پردازش‌شده.
+ * @property {number} total - تعداد کل خطوط.
+ * @property {number} progress - درصد پیشرفت بین ۰ و ۱.
+ */
+
+const PLACEHOLDER_CLASS = 'dabir-placeholder';
+// Rough height of one markdown line, used to size placeholders before they are rendered.
+const LINE_HEIGHT_EM = 1.8;
+
+/**
+ * رندر مجازی اسناد بسیار بزرگ.
+ * مارک‌داون به صورت تکه‌تکه پردازش می‌شود تا صفحه قفل نشود و بلوک‌های خارج از دید به صورت
+ * المان‌های جایگزین سبک درج می‌شوند. هر جایگزین مارک‌داون خود را در `data-markdown` نگه می‌دارد،
+ * بنابراین `getMarkdown()`، کپی، تاریخچه و ذخیره‌سازی همچنان کل سند را در بر می‌گیرند.
+ * جایگزین‌ها با نزدیک شدن به صفحه نمایش (`IntersectionObserver`) به محتوای واقعی تبدیل می‌شوند.
+ * @class Virtualizer
+ */
+export default class Virtualizer {
+    /**
+     * @param {import('./editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @param {LargeDocumentOptions} [options={}] - تنظیمات حالت اسناد بزرگ.
+     */
+    constructor(editor, options = {}) {
+        /**
+         * @private
+         * @type {import('./editor.js').DabirEditor}
+         */
+        this.editor = editor;
+        /**
+         * @private
+         * @type {LargeDocumentOptions}
+         */
+        this.options = options;
+        /**
+         * شناسه آخرین بارگذاری؛ بارگذاری‌های قدیمی‌تر با تغییر آن لغو می‌شوند.
+         * @private
+         * @type {number}
+         */
+        this.loadId = 0;
+
+        /**
+         * @private
+         * @type {IntersectionObserver|null}
+         */
+        this.intersectionObserver = null;
+        /**
+         * @private
+         * @type {MutationObserver|null}
+         */
+        this.mutationObserver = null;
+
+        if (this.isSupported) {
+            this.intersectionObserver = new IntersectionObserver(
+                entries => this._onIntersect(entries),
+                { rootMargin: options.margin }
+            );
+            // Placeholders can come back through undo, storage or pasted HTML.
+            this.mutationObserver = new MutationObserver(records => this._onMutation(records));
+            this.mutationObserver.observe(editor.element, { childList: true, subtree: true, attributeFilter: ['class'] });
+        }
+    }
+
+    /**
+     * @returns {boolean} آیا مرورگر از رندر مجازی پشتیبانی می‌کند و این حالت فعال است؟
+     */
+    get isSupported() {
+        return this.options.enabled !== false && typeof IntersectionObserver !== 'undefined';
+    }
+
+    /**
+     * @param {string} markdown
+     * @returns {boolean} آیا این مارک‌داون باید به صورت مجازی رندر شود؟
+     */
+    shouldVirtualize(markdown) {
+        if (!this.isSupported || typeof markdown !== 'string') return false;
+        let lines = 1;
+        for (let index = markdown.indexOf('\n'); index !== -1; index = markdown.indexOf('\n', index + 1)) {
+            if (++lines > this.options.threshold) return true;
+        }
+        return false;
+    }
+
+    /**
+     * مارک‌داون را به صورت تکه‌تکه به HTML تبدیل می‌کند. بلوک‌های پس از `initialBlocks` به صورت جایگزین برمی‌گردند.
+     * در حین کار رویداد `loadProgress` ارسال می‌شود.
+     * @param {string} markdown
+     * @returns {Promise<string|null>} HTML پاکسازی‌شده، یا null اگر بارگذاری دیگری جای آن را گرفته باشد.
+     */
+    async render(markdown) {
+        const loadId = ++this.loadId;
+        const total = markdown.split('\n').length;
+        const parts = [];
+        let nextPause = this.options.chunkSize;
+
+        this._emitProgress(0, total);
+        for (const { node, line } of this.editor.parser.blocks(markdown)) {
+            parts.push(parts.length < this.options.initialBlocks ? renderNode(node) : this._placeholder(node));
+
+            if (line + 1 >= nextPause) {
+                nextPause = line + 1 + this.options.chunkSize;
+                this._emitProgress(line + 1, total);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (loadId !== this.loadId || !this.editor || this.editor.isDestroyed) return null;
+            }
+        }
+
+        const html = withLogger(this.editor.logger, () => sanitize(parts.join('')));
+        this._emitProgress(total, total);
+        return html;
+    }
+
+    /**
+     * بارگذاری در حال اجرا را لغو می‌کند.
+     */
+    cancel() {
+        this.loadId++;
+    }
+
+    /**
+     * کل محتوای ویرایشگر را با مارک‌داون جایگزین می‌کند (مسیر `setContent` برای اسناد بزرگ).
+     * @param {string} markdown
+     * @returns {Promise<boolean>} آیا محتوا اعمال شد؟
+     */
+    async load(markdown) {
+        const html = await this.render(markdown);
+        if (html === null) return false;
+
+        const { editor } = this;
+        editor.history.transact(() => {
+            morphHTML(editor.element, html || '<div><br></div>');
+        }, 'setContent');
+        return true;
+    }
+
+    /**
+     * یک جایگزین را به محتوای واقعی تبدیل می‌کند.
+     * @param {HTMLElement} placeholder
+     * @returns {HTMLElement[]} المان‌های رندرشده.
+     */
+    materialize(placeholder) {
+        if (!this.isPlaceholder(placeholder) || !placeholder.isConnected) return [];
+        if (this.intersectionObserver) this.intersectionObserver.unobserve(placeholder);
+
+        try {
+            const template = document.createElement('template');
+            template.innerHTML = this._render(placeholder);
+            const elements = Array.from(template.content.children);
+            if (elements.length === 0) {
+                placeholder.remove();
+                return [];
+            }
+
+            const id = placeholder.getAttribute('data-block-id');
+            if (id) elements[0].setAttribute('data-block-id', id);
+            placeholder.replaceWith(...elements);
+            this.editor.events.emit('materialize', { elements });
+            return elements;
+        } catch (error) {
+            this.editor.logger.error('RENDER_FAILED', 'Failed to render a placeholder block.', {
+                error, module: 'virtualizer', input: placeholder.getAttribute('data-markdown')
+            });
+            return [];
+        }
+    }
+
+    /**
+     * تمام جایگزین‌ها را به محتوای واقعی تبدیل می‌کند (مثلاً پیش از چاپ یا جستجو در صفحه).
+     */
+    materializeAll() {
+        Array.from(this.editor.element.querySelectorAll(`.${PLACEHOLDER_CLASS}`))
+            .forEach(placeholder => this.materialize(placeholder));
+    }
+
+    /**
+     * HTML کل سند را برمی‌گرداند؛ جایگزین‌ها بدون تغییر DOM ویرایشگر رندر می‌شوند.
+     * @returns {string}
+     */
+    getHTML() {
+        const { element } = this.editor;
+        if (!element.querySelector(`.${PLACEHOLDER_CLASS}`)) return element.innerHTML;
+
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll(`.${PLACEHOLDER_CLASS}`).forEach(placeholder => {
+            const template = document.createElement('template');
+            template.innerHTML = this._render(placeholder);
+            placeholder.replaceWith(template.content);
+        });
+        return clone.innerHTML;
+    }
+
+    /**
+     * @param {Node} node
+     * @returns {boolean} آیا گره یک بلوک جایگزین است؟
+     */
+    isPlaceholder(node) {
+        return !!node && node.nodeType === Node.ELEMENT_NODE && node.classList.contains(PLACEHOLDER_CLASS);
+    }
+
+    /**
+     * @param {object} node - یک گره بلوک AST.
+     * @returns {string}
+     * @private
+     */
+    _placeholder(node) {
+        const markdown = serializeNode(node);
+        const lines = markdown.split('\n').length;
+        return `<div class="${PLACEHOLDER_CLASS}" contenteditable="false" style="height: ${lines * LINE_HEIGHT_EM}em" data-markdown="${escapeAttribute(markdown)}"></div>`;
+    }
+
+    /**
+     * HTML پاک‌سازی‌شده مارک‌داون یک جایگزین.
+     * @param {HTMLElement} placeholder
+     * @returns {string}
+     * @private
+     */
+    _render(placeholder) {
+        const markdown = placeholder.getAttribute('data-markdown') || '';
+        return withLogger(this.editor.logger, () => sanitize(this.editor.parser.parse(markdown)));
+    }
+
+    /**
+     * @param {IntersectionObserverEntry[]} entries
+     * @private
+     */
+    _onIntersect(entries) {
+        if (!this.editor || this.editor.isDestroyed) return;
+        entries
+            .filter(entry => entry.isIntersecting)
+            .forEach(entry => {
+                this.intersectionObserver.unobserve(entry.target);
+                this.materialize(entry.target);
+            });
+    }
+
+    /**
+     * @param {MutationRecord[]} records
+     * @private
+     */
+    _onMutation(records) {
+        if (!this.editor || this.editor.isDestroyed) return;
+        const root = this.editor.element;
+        const observe = (node) => {
+            if (node.parentNode === root && this.isPlaceholder(node)) {
+                this.intersectionObserver.observe(node);
+            }
+        };
+        // A morph can also turn an existing block into a placeholder by patching its class.
+        records.forEach(record => {
+            if (record.type === 'attributes') observe(record.target);
+            else record.addedNodes.forEach(observe);
+        });
+    }
+
+    /**
+     * @param {number} loaded
+     * @param {number} total
+     * @private
+     */
+    _emitProgress(loaded, total) {
+        this.editor.events.emit('loadProgress', { loaded, total, progress: total > 0 ? loaded / total : 1 });
+    }
+
+    /**
+     * ناظرها را متوقف کرده و بارگذاری در حال اجرا را لغو می‌کند.
+     */
+    destroy() {
+        this.cancel();
+        if (this.intersectionObserver) this.intersectionObserver.disconnect();
+        if (this.mutationObserver) this.mutationObserver.disconnect();
+        this.intersectionObserver = null;
+        this.mutationObserver = null;
+        this.editor = null;
+    }
+}
@@ -1,3 +1,8 @@
+import { insertFragment } from '../renderers/transforms.js';
+import { getClosest } from '../utils/dom.js';
+import { sanitize } from '../utils/sanitizer.js';
+import { withLogger } from '../utils/logger.js';
+
 /**
  * Handles clipboard events (copy, paste).
  */
@@ -19,23 +24,59 @@ export class ClipboardHandler {
 
     onPaste(event) {
         event.preventDefault();
-        const text = (event.clipboardData || window.clipboardData).getData('text/plain');
-        if (text) {
-            const html = this.editor.parser.parse(text);
-            document.execCommand('insertHTML', false, html);
+        if (this.editor.isReadOnly) return;
+        const pasted = (event.clipboardData || window.clipboardData).getData('text/plain');
+        const before = this.editor.events.emitCancelable('beforePaste', { text: pasted });
+        if (before.defaultPrevented) return;
+        const text = before.text;
+        const range = this.editor.selection.range;
+        if (text && range) {
+            // Inside a code block the pasted text is kept literally.
+            const inCode = !!getClosest(range.startContainer, 'pre');
+            if (!inCode && this.editor.virtualizer.shouldVirtualize(text)) {
+                this._pasteLarge(text, range.cloneRange());
+                return;
+            }
+            // Pasted markdown may carry raw HTML, so it is sanitized like `setContent` and `insertMarkdown`.
+            const html = inCode ? '' : withLogger(this.editor.logger, () => sanitize(this.editor.parser.parse(text)));
+            this.editor.history.transact(() => {
+                if (inCode) {
+                    range.deleteContents();
+                    const textNode = document.createTextNode(text);
+                    range.insertNode(textNode);
+                    range.setStartAfter(textNode);
+                    range.collapse(true);
+                    this.editor.selection.setRange(range);
+                } else {
+                    insertFragment(this.editor, range, html);
+                }
+            }, 'paste');
+            this.editor.saveContent();
             this.editor.events.emit('paste', { text, html });
         }
     }
 
-    onCopy(event) {
-        const selection = window.getSelection();
-        if (!selection || selection.rangeCount === 0) return;
-
-        const range = selection.getRangeAt(0);
-        const container = document.createElement('div');
-        container.appendChild(range.cloneContents());
+    /**
+     * Pastes a very large markdown text without freezing the page: it is parsed in chunks
+     * and blocks outside the viewport are inserted as placeholders.
+     * @param {string} text
+     * @param {Range} range - Where to insert, captured when the paste happened.
+     * @private
+     */
+    async _pasteLarge(text, range) {
+        try {
+            const html = await this.editor.virtualizer.render(text);
+            if (html === null || !this.editor || this.editor.isDestroyed) return;
+            this.editor.history.transact(() => insertFragment(this.editor, range, html), 'paste');
+            this.editor.saveContent();
+            this.editor.events.emit('paste', { text, html });
+        } catch (error) {
+            this.editor.logger.error('HANDLER_FAILED', 'Failed to paste a large document.', { error, module: 'clipboardHandler', input: text });
+        }
+    }
 
-        const markdown = this.editor.htmlParser.parse(container);
+    onCopy(event) {
+        const markdown = this.editor.getSelectionMarkdown();
         if (markdown) {
             event.preventDefault();
             event.clipboardData.setData('text/plain', markdown);
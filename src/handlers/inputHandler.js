@@ -17,17 +17,47 @@ export class InputHandler {
             }
         }, 250);
         
-        // Bind and store the handler to be able to remove it later
+        // Bind and store the handlers to be able to remove them later
         this.boundHandle = this.handle.bind(this);
+        this.boundHandleBeforeInput = this.handleBeforeInput.bind(this);
         this.element.addEventListener('input', this.boundHandle);
+        this.element.addEventListener('beforeinput', this.boundHandleBeforeInput);
+    }
+
+    /**
+     * Lets the history group native edits before the browser applies them.
+     * @param {InputEvent} event
+     */
+    handleBeforeInput(event) {
+        try {
+            if (this.editor.isReadOnly) {
+                event.preventDefault();
+                return;
+            }
+            // Undo and redo are reported by the history itself.
+            if (event.inputType !== 'historyUndo' && event.inputType !== 'historyRedo') {
+                const before = this.editor.events.emitCancelable('beforeChange', {
+                    operation: 'typing',
+                    inputType: event.inputType,
+                    data: event.data
+                });
+                if (before.defaultPrevented) {
+                    event.preventDefault();
+                    return;
+                }
+            }
+            this.editor.history.onBeforeInput(event);
+        } catch (error) {
+            this.editor.logger.error('HANDLER_FAILED', 'InputHandler.handleBeforeInput crashed.', { error, module: 'inputHandler' });
+        }
     }
 
     handle() {
         try {
             this.debouncedSave();
-            this.editor.events.emit('input');
+            this.editor.emitInput();
         } catch (error) {
-            console.error('Dabir.js Error: InputHandler crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'InputHandler crashed.', { error, module: 'inputHandler' });
         }
     }
 
@@ -43,6 +73,7 @@ export class InputHandler {
         // 2. Remove listener if element exists
         if (this.element) {
             this.element.removeEventListener('input', this.boundHandle);
+            this.element.removeEventListener('beforeinput', this.boundHandleBeforeInput);
         }
 
         // 3. Clear references
@@ -50,5 +81,6 @@ export class InputHandler {
         this.element = null;
         this.debouncedSave = null;
         this.boundHandle = null;
+        this.boundHandleBeforeInput = null;
     }
 }
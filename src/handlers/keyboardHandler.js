@@ -1,8 +1,6 @@
 import { moveCursorToEnd } from '../utils/dom.js';
-import { parseLiveBlock } from '../parsers/liveParser.js';
-import { parseInline } from '../parsers/inlineParser.js';
+import { COPY_BUTTON_HTML } from '../renderers/htmlRenderer.js';
 
-const COPY_BUTTON_HTML = `<button class="copy-code-btn" title="رونوشت کد"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M4 1.5H3a2 2 0 0 0-2 2V14a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3.5a2 2 0 0 0-2-2h-1v1h1a1 1 0 0 1 1 1V14a1 1 0 0 1-1 1H3a1 1 0 0 1-1-1V3.5a1 1 0 0 1 1-1h1v-1z"/><path d="M9.5 1a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-3a.5.5 0 0 1-.5-.5v-1a.5.5 0 0 1 .5-.5h3zm-3-1A1.5 1.5 0 0 0 5 1.5v1A1.5 1.5 0 0 0 6.5 4h3A1.5 1.5 0 0 0 11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3z"/></svg><span>رونوشت</span></button>`;
 
 /**
  * مدیریت‌کننده رویدادهای کیبورد و میانبرها.
@@ -50,14 +48,29 @@ export class KeyboardHandler {
      * @param {string} key - کلید اصلی (مانند 'Enter', 'Tab', 'b').
      * @param {string[]} [modifiers=[]] - آرایه‌ای از کلیدهای اصلاح‌کننده (مانند ['Shift', 'Ctrl']).
      * @param {Function} handler - تابعی که در زمان فشردن میانبر اجرا می‌شود.
+     * @param {number} [priority=0] - میانبرهای با اولویت بالاتر زودتر اجرا می‌شوند.
+     * @param {string|null} [plugin=null] - نام پلاگین ثبت‌کننده، برای گزارش خطا.
+     * @returns {() => void} تابعی که میانبر را حذف می‌کند.
      */
-    register(key, modifiers = [], handler) {
-        if (!this.shortcuts) return;
-        const keyString = `${modifiers.sort().join('+')}+${key}`.toLowerCase();
+    register(key, modifiers = [], handler, priority = 0, plugin = null) {
+        if (!this.shortcuts) return () => {};
+        const keyString = `${[...modifiers].sort().join('+')}+${key}`.toLowerCase();
         if (!this.shortcuts.has(keyString)) {
             this.shortcuts.set(keyString, []);
         }
-        this.shortcuts.get(keyString).push(handler);
+        const entries = this.shortcuts.get(keyString);
+        const entry = { handler, priority, plugin };
+        // Equal priorities keep registration order.
+        const index = entries.findIndex(other => other.priority < priority);
+        entries.splice(index === -1 ? entries.length : index, 0, entry);
+
+        return () => {
+            if (!this.shortcuts) return;
+            const current = this.shortcuts.get(keyString);
+            const position = current ? current.indexOf(entry) : -1;
+            if (position !== -1) current.splice(position, 1);
+            if (current && current.length === 0) this.shortcuts.delete(keyString);
+        };
     }
 
     /**
@@ -67,6 +80,7 @@ export class KeyboardHandler {
      */
     handleKeyDown(event) {
         try {
+            if (this.editor.isReadOnly) return;
             const modifiers = [];
             if (event.ctrlKey) modifiers.push('ctrl');
             if (event.metaKey) modifiers.push('meta');
@@ -76,14 +90,17 @@ export class KeyboardHandler {
             const keyString = `${modifiers.sort().join('+')}+${event.key}`.toLowerCase();
 
             if (this.shortcuts && this.shortcuts.has(keyString)) {
-                for (const handler of this.shortcuts.get(keyString)) {
+                for (const { handler, plugin } of this.shortcuts.get(keyString).slice()) {
                     try {
-                        if (handler(event, this.editor) === true) {
+                        const handled = this.editor.history.transact(() => handler(event, this.editor));
+                        if (handled === true) {
                             event.preventDefault();
                             break;
                         }
                     } catch (error) {
-                        console.error(`Dabir.js Error: Exception in shortcut handler for "${keyString}".`, error);
+                        this.editor.logger.error('SHORTCUT_FAILED', `Exception in shortcut handler for "${keyString}".`, {
+                            error, module: 'keyboardHandler', plugin, input: keyString
+                        });
                     }
                 }
                 // After executing custom shortcuts, check for native-like behavior
@@ -91,20 +108,20 @@ export class KeyboardHandler {
             }
 
             if (event.key === 'Enter' && !event.shiftKey && !event.ctrlKey && !event.metaKey && !event.altKey) {
-                if (this.handleEnter(event)) {
+                if (this.editor.history.transact(() => this.handleEnter(event))) {
                     event.preventDefault();
                     return;
                 }
             }
 
             if (event.key === 'Backspace' && !event.shiftKey && !event.ctrlKey && !event.metaKey && !event.altKey) {
-                if (this.handleBackspace(event)) {
+                if (this.editor.history.transact(() => this.handleBackspace(event))) {
                     event.preventDefault();
                     return;
                 }
             }
         } catch (error) {
-            console.error('Dabir.js Error: handleKeyDown crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'handleKeyDown crashed.', { error, module: 'keyboardHandler' });
         }
     }
 
@@ -161,7 +178,7 @@ export class KeyboardHandler {
             }
             return false;
         } catch (error) {
-            console.error('Dabir.js Error: handleBackspace crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'handleBackspace crashed.', { error, module: 'keyboardHandler' });
             return false;
         }
     }
@@ -405,7 +422,7 @@ export class KeyboardHandler {
         
             return false;
         } catch (error) {
-            console.error('Dabir.js Error: handleEnter crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'handleEnter crashed.', { error, module: 'keyboardHandler' });
             return false;
         }
     }
@@ -417,16 +434,11 @@ export class KeyboardHandler {
      */
     handleKeyUp(event) {
         try {
+            if (this.editor.isReadOnly) return;
             const currentBlock = this._findCurrentBlock();
             if (event.key === 'Enter') {
                 if (currentBlock && currentBlock.previousElementSibling) {
-                    const targetBlock = currentBlock.previousElementSibling;
-                    if (this._tryToParseMultiLineBlock(targetBlock)) {
-                        return;
-                    }
-                    if (this._tryToParseBlock(targetBlock, event.key, currentBlock)) {
-                        return;
-                    }
+                    this.editor.inputRules.run('Enter', currentBlock.previousElementSibling, currentBlock);
                 }
             } else if (event.key === ' ') {
                 const parentElement = this.editor.selection.parentElement;
@@ -440,11 +452,11 @@ export class KeyboardHandler {
                 }
                 
                 if (currentBlock) {
-                    this._tryToParseBlock(currentBlock, event.key);
+                    this.editor.inputRules.run(' ', currentBlock);
                 }
             }
         } catch (error) {
-            console.error('Dabir.js Error: handleKeyUp crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'handleKeyUp crashed.', { error, module: 'keyboardHandler' });
         }
     }
 
@@ -465,7 +477,7 @@ export class KeyboardHandler {
             return false;
         }
         
-        requestAnimationFrame(() => {
+        requestAnimationFrame(() => this.editor.history.transact(() => {
             const sublist = listItem.querySelector('ul, ol');
             if (sublist) sublist.remove();
             
@@ -479,7 +491,7 @@ export class KeyboardHandler {
     
             const isChecked = mainMatch[1].toLowerCase() === 'x';
             const contentText = mainMatch[2] || '';
-            const contentHTML = parseInline(contentText);
+            const contentHTML = this.editor.parser.parseInline(contentText);
     
             listItem.innerHTML = '';
     
@@ -505,7 +517,7 @@ export class KeyboardHandler {
             moveCursorToEnd(contentSpan);
     
             this.editor.saveContent();
-        });
+        }));
     
         return true;
     }
@@ -526,109 +538,4 @@ export class KeyboardHandler {
         }
         return (currentBlock && currentBlock.parentElement === this.element) ? currentBlock : null;
     }
-
-    /**
-     * تلاش می‌کند تا بلاک‌های چندخطی (مانند جعبه‌های توضیحی) را پردازش کند.
-     * @param {HTMLElement} endBlock 
-     * @returns {boolean}
-     * @private
-     */
-    _tryToParseMultiLineBlock(endBlock) {
-        if (!endBlock || !['DIV', 'P'].includes(endBlock.tagName)) {
-            return false;
-        }
-
-        const contextBlocks = [endBlock];
-        let current = endBlock.previousElementSibling;
-        for (let i = 0; i < 20 && current; i++) { // Look behind up to 20 lines
-            if (!['DIV', 'P'].includes(current.tagName)) break;
-            contextBlocks.unshift(current);
-            current = current.previousElementSibling;
-        }
-
-        const lines = contextBlocks.map(b => b.textContent);
-
-        for (let i = 0; i < lines.length; i++) {
-            for (const pluginName of this.editor.plugins.keys()) {
-                try {
-                    const plugin = this.editor.plugins.get(pluginName);
-                    if (plugin && plugin.markdownBlockParser) {
-                        const result = plugin.markdownBlockParser(lines, i, this.editor.parser);
-                        
-                        if (result && result.lastIndex === lines.length - 1) {
-                            const blocksToRemove = contextBlocks.slice(i, result.lastIndex + 1);
-                            const newElement = this.editor.renderer.createFromHTML(result.html);
-                            
-                            if (newElement) {
-                                requestAnimationFrame(() => {
-                                    this.editor.renderer.replace(blocksToRemove[0], newElement);
-                                    for (let j = 1; j < blocksToRemove.length; j++) {
-                                        blocksToRemove[j].remove();
-                                    }
-
-                                    if (newElement.tagName === 'TABLE') {
-                                        const firstCell = newElement.querySelector('td');
-                                        if (firstCell) {
-                                            moveCursorToEnd(firstCell);
-                                        }
-                                    }
-
-                                    this.editor.saveContent();
-                                });
-                                return true;
-                            }
-                        }
-                    }
-                } catch (error) {
-                     console.error(`Dabir.js Error: Plugin "${pluginName}" crashed during multi-line parsing.`, error);
-                }
-            }
-        }
-        return false;
-    }
-
-    /**
-     * تلاش می‌کند تا یک بلاک تک‌خطی را پردازش کند.
-     * @param {HTMLElement} block 
-     * @param {string} triggerKey 
-     * @param {HTMLElement|null} nextBlock 
-     * @returns {boolean}
-     * @private
-     */
-    _tryToParseBlock(block, triggerKey, nextBlock = null) {
-        if (!block || !['DIV', 'P'].includes(block.tagName)) {
-            return false;
-        }
-
-        const lineText = block.textContent;
-        if (!lineText.trim()) return false;
-        
-        const newHtml = parseLiveBlock(lineText);
-
-        if (newHtml) {
-            const newElement = this.editor.renderer.createFromHTML(newHtml);
-            if (newElement) {
-                requestAnimationFrame(() => {
-                    this.editor.renderer.replace(block, newElement);
-                    
-                    if (triggerKey === ' ') {
-                        const focusElement = newElement.querySelector('div') || newElement.querySelector('li') || newElement;
-                        moveCursorToEnd(focusElement);
-                    } else if (triggerKey === 'Enter') {
-                        if (newElement.classList.contains('code-block-wrapper')) {
-                            if (nextBlock && nextBlock.textContent.trim() === '') {
-                                nextBlock.remove();
-                            }
-                            const focusElement = newElement.querySelector('code') || newElement;
-                            moveCursorToEnd(focusElement);
-                        }
-                    }
-                    
-                    this.editor.saveContent();
-                });
-                return true;
-            }
-        }
-        return false;
-    }
-}
\ No newline at end of file
+}
@@ -1,5 +1,3 @@
-import { parseInline } from '../parsers/inlineParser.js';
-import { parseLiveBlock } from '../parsers/liveParser.js';
 import { moveCursorToEnd } from '../utils/dom.js';
 import { debounce } from '../utils/debounce.js';
 
@@ -12,6 +10,8 @@ export class MouseHandler {
         this.element = editor.element;
         this.activeRawNode = null; // The node currently in "raw markdown" mode
         this.ignoreSelectionChange = false;
+        // Whether the last selection was inside this editor; `selectionchange` fires for every editor on the page.
+        this.hasSelection = false;
 
         // Debounced parser for newly typed inline markdown
         this.debouncedSmartParse = debounce(this._smartParseCurrentBlock.bind(this), 400);
@@ -54,9 +54,16 @@ export class MouseHandler {
         this.boundOnSelectionChange = null;
     }
 
+    /**
+     * Leaves raw markdown mode, reverting the active raw node to its formatted state.
+     */
+    exitRawMode() {
+        if (this.activeRawNode) this._revertActiveRawNode();
+    }
+
     onBlur() {
         try {
-            if (!this.editor) return;
+            if (!this.editor || this.editor.isReadOnly) return;
             // When editor loses focus, revert any active raw node to its formatted state.
             if (this.activeRawNode) {
                 this._revertActiveRawNode();
@@ -67,7 +74,7 @@ export class MouseHandler {
                  this._tryToParseInline(lastBlock);
             }
         } catch (error) {
-            console.error('Dabir.js Error: MouseHandler.onBlur crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'MouseHandler.onBlur crashed.', { error, module: 'mouseHandler' });
         }
     }
 
@@ -77,21 +84,15 @@ export class MouseHandler {
             const target = event.target;
 
             if (target.matches('li.checklist-item input[type="checkbox"]')) {
+                if (this.editor.isReadOnly && !this.editor.options.readOnly.checklists) {
+                    event.preventDefault();
+                    return;
+                }
                 const listItem = target.closest('li.checklist-item');
                 if (listItem) {
                     setTimeout(() => { // Allow checkbox state to update
                         if (!this.editor || this.editor.isDestroyed) return; // Check inside timeout
-                        const isChecked = target.checked;
-                        listItem.classList.toggle('checked', isChecked);
-                        const childCheckboxes = listItem.querySelectorAll('li.checklist-item input[type="checkbox"]');
-                        childCheckboxes.forEach(checkbox => {
-                            checkbox.checked = isChecked;
-                            const childLi = checkbox.closest('li.checklist-item');
-                            if (childLi) {
-                                childLi.classList.toggle('checked', isChecked);
-                            }
-                        });
-                        this.editor.saveContent();
+                        this.editor.history.transact(() => this._toggleChecklistItem(listItem, target.checked), 'format');
                     }, 0);
                 }
                 return;
@@ -122,28 +123,60 @@ export class MouseHandler {
                             }
                         }, 2000);
                     }).catch(err => {
-                        console.error('Dabir.js: Failed to copy text: ', err);
+                        this.editor.logger.error('HANDLER_FAILED', 'Failed to copy text.', { error: err, module: 'mouseHandler', input: codeElement.innerText });
                     });
                 }
             }
         } catch (error) {
-            console.error('Dabir.js Error: MouseHandler.onClick crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'MouseHandler.onClick crashed.', { error, module: 'mouseHandler' });
         }
     }
     
+    /**
+     * Syncs a checklist item (and its nested items) with its checkbox state.
+     * The `checked` attribute is mirrored so that serialized HTML keeps the state.
+     * @param {HTMLLIElement} listItem
+     * @param {boolean} isChecked
+     * @private
+     */
+    _toggleChecklistItem(listItem, isChecked) {
+        listItem.classList.toggle('checked', isChecked);
+        const ownCheckbox = listItem.querySelector('input[type="checkbox"]');
+        if (ownCheckbox) ownCheckbox.toggleAttribute('checked', isChecked);
+
+        const childCheckboxes = listItem.querySelectorAll('li.checklist-item input[type="checkbox"]');
+        childCheckboxes.forEach(checkbox => {
+            checkbox.checked = isChecked;
+            checkbox.toggleAttribute('checked', isChecked);
+            const childLi = checkbox.closest('li.checklist-item');
+            if (childLi) {
+                childLi.classList.toggle('checked', isChecked);
+            }
+        });
+        this.editor.saveContent();
+    }
+
     onSelectionChange() {
         try {
             if (this.ignoreSelectionChange) return;
             if (!this.editor || this.editor.isDestroyed) return;
 
-            const selection = window.getSelection();
-            if (!selection || selection.rangeCount === 0 || !this.editor.element.contains(selection.anchorNode)) {
-                this.onBlur(); // Treat losing selection as a blur event
+            // `editor.selection` also sees into a shadow root in browsers without `shadowRoot.getSelection()`.
+            const range = this.editor.selection.range;
+            const anchorNode = this.editor.selection.anchorNode;
+            if (!range || !this.editor.element.contains(anchorNode)) {
+                // Only a selection leaving this editor counts; changes inside other editors are ignored.
+                if (this.hasSelection) {
+                    this.hasSelection = false;
+                    this.onBlur(); // Treat losing selection as a blur event
+                }
                 return;
             }
+            this.hasSelection = true;
 
-            const anchorNode = selection.anchorNode;
-            const range = selection.getRangeAt(0);
+            this.editor.events.emit('selectionChange', { range });
+            // Raw markdown editing is not available to readers.
+            if (this.editor.isReadOnly) return;
 
             // --- 1. Handle Active Raw Node ---
             // If cursor moves out of the active raw node, revert it to formatted HTML.
@@ -162,7 +195,8 @@ export class MouseHandler {
             // If cursor enters a formatted element, convert it to raw markdown for editing.
             if (!this.activeRawNode) {
                 const parentElement = anchorNode.nodeType === Node.TEXT_NODE ? anchorNode.parentElement : anchorNode;
-                const formattingElement = parentElement.closest('strong, em, del, mark, a, code:not(pre *), h1, h2, h3, h4');
+                const ruleSelector = this.editor.inlineRules.selector;
+                const formattingElement = parentElement.closest(`strong, em, del, mark, a, code:not(pre *), h1, h2, h3, h4${ruleSelector ? `, ${ruleSelector}` : ''}`);
                 
                 if (formattingElement && formattingElement.closest('[contenteditable="true"]') === this.editor.element) {
                     this._enterRawMode(formattingElement, range);
@@ -176,7 +210,7 @@ export class MouseHandler {
                 this.debouncedSmartParse();
             }
         } catch (error) {
-            console.error('Dabir.js Error: MouseHandler.onSelectionChange crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'MouseHandler.onSelectionChange crashed.', { error, module: 'mouseHandler' });
         }
     }
 
@@ -192,7 +226,7 @@ export class MouseHandler {
                 this._tryToParseInline(currentBlock);
             }
         } catch (error) {
-            console.error('Dabir.js Error: MouseHandler._smartParseCurrentBlock crashed.', error);
+            this.editor.logger.error('HANDLER_FAILED', 'MouseHandler._smartParseCurrentBlock crashed.', { error, module: 'mouseHandler' });
         }
     }
     
@@ -234,9 +268,7 @@ export class MouseHandler {
             const newRange = document.createRange();
             newRange.setStart(newNode, newOffset);
             newRange.collapse(true);
-            const selection = window.getSelection();
-            selection.removeAllRanges();
-            selection.addRange(newRange);
+            this.editor.selection.setRange(newRange);
         }
         
         requestAnimationFrame(() => { 
@@ -263,10 +295,10 @@ export class MouseHandler {
         const rawText = nodeToRevert.textContent;
 
         if (nodeToRevert.nodeType === Node.TEXT_NODE) { // Reverting an inline element
-            const newHtml = parseInline(rawText);
+            const newHtml = this.editor.parser.parseInline(rawText);
             newElement = document.createRange().createContextualFragment(newHtml);
         } else { // Reverting a block element (H1-H4)
-            const newHtml = parseLiveBlock(rawText.trim());
+            const newHtml = this.editor.parser.parseLiveBlock(rawText.trim());
             if (newHtml) {
                 newElement = this.editor.renderer.createFromHTML(newHtml);
             } else {
@@ -276,7 +308,8 @@ export class MouseHandler {
             }
         }
         
-        nodeToRevert.replaceWith(newElement);
+        // Leaving raw mode is only recorded when the raw markdown was actually edited.
+        this.editor.history.transact(() => nodeToRevert.replaceWith(newElement), 'format');
         requestAnimationFrame(() => { 
             if (this.editor && !this.editor.isDestroyed) {
                 this.ignoreSelectionChange = false; 
@@ -289,8 +322,7 @@ export class MouseHandler {
         if (!this.editor || this.editor.isDestroyed) return false;
         if (!block || !block.isConnected || this.activeRawNode) return false;
     
-        const selection = window.getSelection();
-        const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+        const range = this.editor.selection.range;
     
         if (!range || !range.collapsed || !block.contains(range.startContainer)) {
             return false;
@@ -327,19 +359,19 @@ export class MouseHandler {
                 }
                 charCount += nodeLength;
             }
-            if (newRange) {
-                selection.removeAllRanges();
-                selection.addRange(newRange);
-            }
+            if (newRange) this.editor.selection.setRange(newRange);
         };
 
         const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
         const nodesToProcess = [];
+        const { inlineRules } = this.editor;
+        const ruleSelector = inlineRules.selector;
+        const skipSelector = `code, pre, a, strong, em, del, mark${ruleSelector ? `, ${ruleSelector}` : ''}`;
         
         while (walker.nextNode()) {
             const node = walker.currentNode;
-            if (node.parentElement.closest('code, pre, a, strong, em, del, mark')) continue;
-            if (/(?:\*\*|(?<!\*)\*(?!\*)|~~|==|`|\[)/.test(node.textContent)) {
+            if (node.parentElement.closest(skipSelector)) continue;
+            if (/(?:\*\*|(?<!\*)\*(?!\*)|~~|==|`|\[)/.test(node.textContent) || inlineRules.test(node.textContent)) {
                 nodesToProcess.push(node);
             }
         }
@@ -349,21 +381,23 @@ export class MouseHandler {
         const cursorPos = saveCursor();
         let somethingChanged = false;
 
-        nodesToProcess.forEach(node => {
-            if (!node.isConnected) return;
-            const text = node.textContent;
-            const newHtml = parseInline(text);
+        this.editor.history.transact(() => {
+            nodesToProcess.forEach(node => {
+                if (!node.isConnected) return;
+                const text = node.textContent;
+                const newHtml = this.editor.parser.parseInline(text);
 
-            if (newHtml !== text) {
-                const fragment = document.createRange().createContextualFragment(newHtml);
-                node.replaceWith(fragment);
-                somethingChanged = true;
-            }
-        });
+                if (newHtml !== text) {
+                    const fragment = document.createRange().createContextualFragment(newHtml);
+                    node.replaceWith(fragment);
+                    somethingChanged = true;
+                }
+            });
+            if (somethingChanged) restoreCursor(cursorPos);
+        }, 'format');
 
         if (somethingChanged) {
             this.ignoreSelectionChange = true;
-            restoreCursor(cursorPos);
             this.editor.saveContent();
             requestAnimationFrame(() => { 
                 if (this.editor && !this.editor.isDestroyed) {
@@ -392,7 +426,12 @@ export class MouseHandler {
             case 'H2': prefix = '## '; break;
             case 'H3': prefix = '### '; break;
             case 'H4': prefix = '#### '; break;
-            default: return null;
+            default: {
+                // Elements rendered by an inline rule are edited as their source markdown.
+                const result = this.editor.htmlParser.inlineRuleToMarkdown(element);
+                if (!result) return null;
+                return { rawText: result.markdown, prefixLength: Math.max(0, result.markdown.indexOf(text)) };
+            }
         }
         return { rawText: `${prefix}${text}${suffix}`, prefixLength: prefix.length };
     }
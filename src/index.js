@@ -1,4 +1,5 @@
-
 import { DabirEditor } from './core/editor.js';
 
+export { renderMarkdown, htmlToMarkdown } from './parsers/standalone.js';
+
 export default DabirEditor;
@@ -1,133 +1,171 @@
-import { parseInline } from './inlineParser.js';
+import { parseInlineToAST } from './inlineParser.js';
+import { getLogger } from '../utils/logger.js';
 
 /**
- * Processes a block of lines into a list.
+ * @typedef {object} BlockParseOptions
+ * @property {boolean} [live=false] - Single-line parsing while the user types:
+ * trailing spaces in headings are kept, `[X]` is accepted for checklists and
+ * an opening code fence creates an empty code block.
+ * @property {import('./inlineRules.js').InlineRule[]} [inlineRules=[]] - Extra inline syntax (see `InlineRules`).
+ */
+
+const MAX_LIST_DEPTH = 5;
+
+/**
+ * @param {string} content
+ * @param {BlockParseOptions} options
+ * @returns {{type: 'paragraph', children: import('./inlineParser.js').InlineNode[]}}
+ */
+function paragraph(content, options) {
+    return { type: 'paragraph', children: parseInlineToAST(content, options.inlineRules) };
+}
+
+/**
+ * Splits the checklist marker off a list item's content.
+ * @param {string} content
+ * @param {boolean} live
+ * @returns {{checked: boolean|null, content: string}}
+ */
+function parseTask(content, live) {
+    if (live) {
+        const match = content.match(/^\[([xX ])\]\s?/);
+        if (match) return { checked: match[1].toLowerCase() === 'x', content: content.substring(match[0].length) };
+    } else {
+        // An empty item is serialized (and trimmed) as `- [ ]`, without the trailing space.
+        const match = content.match(/^\[( |x)\](\s|$)/);
+        if (match) return { checked: match[1] === 'x', content: content.substring(match[0].length) };
+    }
+    return { checked: null, content };
+}
+
+/**
+ * Processes a block of lines into one or more (nested) list nodes.
  * @param {string[]} lines
  * @param {number} startIndex
- * @returns {{html: string, lastIndex: number}}
+ * @param {BlockParseOptions} options
+ * @returns {{nodes: object[], lastIndex: number}}
  */
-function processListBlock(lines, startIndex) {
-    let html = '';
-    let i = startIndex;
+function processListBlock(lines, startIndex, options) {
+    const nodes = [];
     const stack = [];
-    const MAX_DEPTH = 5;
+    let i = startIndex;
 
     const getIndent = (line) => line.match(/^\s*/)[0].length;
 
     while (i < lines.length) {
         const line = lines[i];
-        const trimmed = line.trim();
-        const match = trimmed.match(/^([-*]|[\d۰-۹]+\.) (.*)/);
-
+        const match = line.trim().match(/^([-*]|[\d۰-۹]+\.) (.*)/);
         if (!match) break;
 
         const indent = getIndent(line);
-
         while (stack.length > 0 && indent < stack[stack.length - 1].indent) {
-            html += `</${stack.pop().type}>`;
+            stack.pop();
         }
 
-        const type = /[-*]/.test(match[1]) ? 'ul' : 'ol';
-        let content = match[2];
-
-        const isChecklist = content.startsWith('[ ] ') || content.startsWith('[x] ');
+        const ordered = !/[-*]/.test(match[1]);
+        const task = parseTask(match[2], options.live);
+        let top = stack[stack.length - 1];
 
-        if (stack.length === 0 || 
-            (indent > stack[stack.length - 1].indent && stack.length < MAX_DEPTH) || 
-            (stack.length > 0 && type !== stack[stack.length - 1].type)) {
-            if (stack.length > 0 && type !== stack[stack.length - 1].type) {
-                html += `</${stack.pop().type}>`;
+        const nests = top && indent > top.indent && stack.length < MAX_LIST_DEPTH;
+        if (!top || nests || ordered !== top.list.ordered) {
+            if (top && !nests) {
+                // A different marker on the same level closes the current list.
+                stack.pop();
             }
-            const classAttr = isChecklist ? ' class="checklist"' : '';
-            html += `<${type}${classAttr}>`;
-            stack.push({ type, indent });
-        }
-        
-        if (isChecklist) {
-            const isChecked = content.startsWith('[x] ');
-            content = content.substring(4);
-            html += `<li class="checklist-item${isChecked ? ' checked' : ''}"><div class="checklist-content-wrapper"><input type="checkbox"${isChecked ? ' checked' : ''}><span>${parseInline(content)}</span></div></li>`;
-        } else {
-            html += `<li>${parseInline(content)}</li>`;
+            const list = { type: 'list', ordered, checklist: task.checked !== null, children: [] };
+            const parent = stack[stack.length - 1];
+            if (parent) {
+                // Nested lists live inside the previous item, the same way Tab indents them.
+                parent.list.children[parent.list.children.length - 1].children.push(list);
+            } else {
+                nodes.push(list);
+            }
+            top = { list, indent };
+            stack.push(top);
         }
 
+        top.list.children.push({
+            type: 'listItem',
+            checked: task.checked,
+            children: [paragraph(task.content, options)]
+        });
         i++;
     }
 
-    while (stack.length > 0) {
-        html += `</${stack.pop().type}>`;
-    }
-
-    return { html, lastIndex: i - 1 };
+    return { nodes, lastIndex: i - 1 };
 }
 
-
 /**
  * Parses block-level markdown elements from an array of lines.
  * @param {string[]} lines
- * @returns {{html: string, lastIndex: number}|null}
+ * @param {number} currentIndex
+ * @param {BlockParseOptions} [options={}]
+ * @returns {{nodes: object[], lastIndex: number}|null}
  */
-export function parseBlock(lines, currentIndex) {
+export function parseBlock(lines, currentIndex, options = {}) {
     try {
         const line = lines[currentIndex];
 
         // Headings
         const headingMatch = line.match(/^(#{1,4}) (.*)/);
         if (headingMatch) {
-            const level = headingMatch[1].length;
-            const content = parseInline(headingMatch[2]);
-            return { html: `<h${level}>${content}</h${level}>`, lastIndex: currentIndex };
+            const children = parseInlineToAST(options.live ? headingMatch[2].replace(/\s$/, '') : headingMatch[2], options.inlineRules);
+            if (options.live && line.endsWith(' ')) {
+                children.push({ type: 'text', value: ' ' });
+            }
+            return { nodes: [{ type: 'heading', depth: headingMatch[1].length, children }], lastIndex: currentIndex };
         }
-        
+
         // Horizontal Rule
         if (line.trim() === '---') {
-            return { html: '<hr>', lastIndex: currentIndex };
+            return { nodes: [{ type: 'thematicBreak' }], lastIndex: currentIndex };
         }
-        
+
         // Blockquote
         if (line.startsWith('> ')) {
-            let quoteHtml = '<blockquote>';
+            const children = [];
             let i = currentIndex;
             while (i < lines.length && lines[i].startsWith('> ')) {
-                quoteHtml += `<div>${parseInline(lines[i].substring(2)) || '<br>'}</div>`;
+                children.push(paragraph(lines[i].substring(2), options));
                 i++;
             }
-            quoteHtml += '</blockquote>';
-            return { html: quoteHtml, lastIndex: i - 1 };
+            return { nodes: [{ type: 'blockquote', children }], lastIndex: i - 1 };
         }
 
         // Image
         const imageMatch = line.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
         if (imageMatch) {
-            const alt = imageMatch[1];
-            const src = imageMatch[2];
-            const figcaption = alt ? `<figcaption>${alt}</figcaption>` : '';
-            return { html: `<figure><img src="${src}" alt="${alt}">${figcaption}</figure>`, lastIndex: currentIndex };
+            return { nodes: [{ type: 'image', alt: imageMatch[1], url: imageMatch[2] }], lastIndex: currentIndex };
         }
 
         // List
         if (/^(\s*[-*]|\s*[\d۰-۹]+\.) /.test(line)) {
-            return processListBlock(lines, currentIndex);
+            return processListBlock(lines, currentIndex, options);
         }
 
         // Code Block
-        if (line.trim().startsWith('```')) {
-            let codeContent = '';
+        // As in CommonMark, a backtick after the fence makes the line inline code (e.g. ```a``b```), not a fence.
+        const fenceMatch = line.trim().match(/^```(?![^`]*`)(\S*)/);
+        if (fenceMatch) {
+            if (options.live) {
+                if (!/^```\w*$/.test(line.trim())) return null;
+                return { nodes: [{ type: 'code', lang: fenceMatch[1], value: '\u200B' }], lastIndex: currentIndex };
+            }
+            const codeLines = [];
             let i = currentIndex + 1;
             while (i < lines.length && !lines[i].trim().startsWith('```')) {
-                codeContent += lines[i] + '\n';
+                codeLines.push(lines[i]);
                 i++;
             }
-            const escapedCode = codeContent.replace(/</g, "&lt;").replace(/>/g, "&gt;");
-            const copyButton = `<button class="copy-code-btn" title="رونوشت کد"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M4 1.5H3a2 2 0 0 0-2 2V14a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3.5a2 2 0 0 0-2-2h-1v1h1a1 1 0 0 1 1 1V14a1 1 0 0 1-1 1H3a1 1 0 0 1-1-1V3.5a1 1 0 0 1 1-1h1v-1z"/><path d="M9.5 1a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-3a.5.5 0 0 1-.5-.5v-1a.5.5 0 0 1 .5-.5h3zm-3-1A1.5 1.5 0 0 0 5 1.5v1A1.5 1.5 0 0 0 6.5 4h3A1.5 1.5 0 0 0 11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3z"/></svg><span>رونوشت</span></button>`;
-            const html = `<div class="code-block-wrapper">${copyButton}<pre><code>${escapedCode}</code></pre></div>`;
-            return { html, lastIndex: i };
+            return { nodes: [{ type: 'code', lang: fenceMatch[1], value: codeLines.join('\n') }], lastIndex: i };
         }
 
         return null;
     } catch (error) {
-        console.error('Dabir.js Error: parseBlock crashed.', `Line Index: ${currentIndex}`, error);
+        getLogger().error('PARSE_FAILED', `parseBlock crashed on line ${currentIndex}.`, {
+            error, module: 'blockParser', input: lines[currentIndex]
+        });
         // Fallback: Return null to treat as normal paragraph
         return null;
     }
-}
\ No newline at end of file
+}
@@ -1,12 +1,54 @@
+import { serializeMarkdown, serializeNode, serializeInline } from './markdownSerializer.js';
+import { MarkdownParser } from './markdownParser.js';
+import { ELEMENT_NODE, TEXT_NODE, parseHTML } from '../utils/lightDom.js';
+import { getLogger } from '../utils/logger.js';
+
+const HEADINGS = { H1: 1, H2: 2, H3: 3, H4: 4 };
+const INLINE_TYPES = { STRONG: 'strong', EM: 'emphasis', DEL: 'delete', MARK: 'mark' };
+const BLOCK_TAGS = new Set(['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'UL', 'OL', 'BLOCKQUOTE', 'FIGURE', 'PRE', 'HR', 'TABLE']);
+const BLOCK_TYPES = new Set(['paragraph', 'heading', 'thematicBreak', 'blockquote', 'image', 'list', 'code']);
+// Tags that are fully handled by the core; plugins are asked about everything else.
+const CORE_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'STRONG', 'EM', 'DEL', 'MARK', 'CODE', 'A', 'BR', 'HR', 'BLOCKQUOTE', 'FIGURE', 'PRE', 'UL', 'OL', 'LI']);
+
+/**
+ * @param {object} node - An AST node.
+ * @returns {boolean}
+ */
+function isBlockNode(node) {
+    return BLOCK_TYPES.has(node.type) || (node.type === 'plugin' && node.block);
+}
+
 /**
  * Converts editor HTML content to Markdown.
+ * The DOM is first converted to the same AST `MarkdownParser.parseToAST` produces,
+ * which is then serialized. Works on both the browser DOM and the light DOM.
  */
 export class HtmlParser {
     /**
-     * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {import('../core/editor.js').DabirEditor|{plugins: Map<string, object>}} editor
+     *   The editor, or any object exposing a `plugins` map (see `renderMarkdown`).
      */
     constructor(editor) {
         this.editor = editor;
+        /**
+         * `html2md` plugin names per tag name, in registration order. Rebuilt when the plugins change.
+         * @private
+         * @type {Map<string, string[]>}
+         */
+        this.dispatch = new Map();
+        /**
+         * @private
+         * @type {Array<[string, object]>}
+         */
+        this.dispatchPlugins = [];
+    }
+
+    /**
+     * The logger of the editor (see `MarkdownParser#logger`).
+     * @returns {import('../utils/logger.js').Logger}
+     */
+    get logger() {
+        return this.editor.logger || getLogger();
     }
 
     /**
@@ -16,73 +58,322 @@ export class HtmlParser {
      */
     parse(element) {
         try {
-            const rawMarkdown = this._convertNodeToMarkdown(element);
-            // Collapse sequences of 3 or more newlines into exactly two.
-            return rawMarkdown.replace(/\n{3,}/g, '\n\n').trim();
+            return serializeMarkdown(this.toAST(element));
         } catch (error) {
-            console.error('Dabir.js Error: HtmlParser crashed.', error);
+            this.logger.error('HTML_CONVERSION_FAILED', 'HtmlParser crashed.', { error, module: 'htmlParser', input: element });
             return '';
         }
     }
 
-    _convertNodeToMarkdown(node, listState = {}) {
-        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
-        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    /**
+     * Converts a single top-level block element to markdown.
+     * Used to serialize the document block by block (see `MarkdownCache`).
+     * @param {HTMLElement} element A direct child of the editor element.
+     * @returns {string|null} The block's markdown, or null if the element holds inline content
+     *   that has to be merged with its siblings into a paragraph.
+     */
+    blockToMarkdown(element) {
+        const nodes = this._convert(element);
+        if (!nodes.every(isBlockNode)) return null;
+        return nodes.map(serializeNode).join('\n\n');
+    }
 
-        const recurse = (n, ls) => this._convertNodeToMarkdown(n, ls);
+    /**
+     * Builds a markdown AST from the children of an element.
+     * @param {HTMLElement} element
+     * @returns {{type: 'root', children: object[]}}
+     */
+    toAST(element) {
+        return { type: 'root', children: this._blocks(element) };
+    }
 
-        let childMarkdown = Array.from(node.childNodes)
-            .map(child => recurse(child, listState))
-            .join('');
+    /**
+     * Converts the children of a container to block nodes, wrapping loose inline content in paragraphs.
+     * @param {Node} parent
+     * @returns {object[]}
+     * @private
+     */
+    _blocks(parent) {
+        const blocks = [];
+        let inline = [];
 
-        switch (node.tagName) {
-            case 'H1': return `# ${childMarkdown}\n\n`;
-            case 'H2': return `## ${childMarkdown}\n\n`;
-            case 'H3': return `### ${childMarkdown}\n\n`;
-            case 'H4': return `#### ${childMarkdown}\n\n`;
-            case 'STRONG': return `**${childMarkdown}**`;
-            case 'EM': return `*${childMarkdown}*`;
-            case 'DEL': return `~~${childMarkdown}~~`;
-            case 'MARK': return `==${childMarkdown}==`;
-            case 'CODE': return node.closest('pre') ? childMarkdown : `\`${childMarkdown}\``;
-            case 'A': return `[${childMarkdown}](${node.getAttribute('href')})`;
-            case 'BR': return '\n';
-            case 'HR': return '\n---\n\n';
-            case 'DIV': case 'P':
+        const flushInline = () => {
+            const hasContent = inline.some(node => node.type !== 'text' || node.value.trim() !== '');
+            if (hasContent) blocks.push({ type: 'paragraph', children: inline });
+            inline = [];
+        };
+
+        for (const child of parent.childNodes) {
+            for (const node of this._convert(child)) {
+                if (isBlockNode(node)) {
+                    flushInline();
+                    blocks.push(node);
+                } else {
+                    inline.push(node);
+                }
+            }
+        }
+        flushInline();
+        return blocks;
+    }
+
+    /**
+     * Converts a set of DOM nodes to inline nodes. Block content found inline is flattened.
+     * @param {Iterable<Node>} childNodes
+     * @returns {object[]}
+     * @private
+     */
+    _inline(childNodes) {
+        const nodes = [];
+        for (const child of childNodes) {
+            for (const node of this._convert(child)) {
+                if (!isBlockNode(node)) {
+                    nodes.push(node);
+                } else if (node.type === 'paragraph' || node.type === 'heading') {
+                    if (nodes.length > 0) nodes.push({ type: 'break' });
+                    nodes.push(...node.children);
+                } else {
+                    nodes.push({ type: 'text', value: serializeNode(node) });
+                }
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * Converts a single DOM node to zero or more AST nodes.
+     * @param {Node} node
+     * @returns {object[]}
+     * @private
+     */
+    _convert(node) {
+        if (node.nodeType === TEXT_NODE) return [{ type: 'text', value: node.textContent }];
+        if (node.nodeType !== ELEMENT_NODE) return [];
+
+        const ruleNode = this._fromInlineRule(node);
+        if (ruleNode) return [ruleNode];
+
+        const tag = node.tagName;
+        if (!CORE_TAGS.has(tag) && (!BLOCK_TAGS.has(tag) || tag === 'TABLE' || node.className) && this._pluginsFor(tag).length > 0) {
+            const pluginNode = this._fromPlugins(node);
+            if (pluginNode) return [pluginNode];
+        }
+
+        if (HEADINGS[tag]) {
+            return [{ type: 'heading', depth: HEADINGS[tag], children: this._inline(node.childNodes) }];
+        }
+        if (INLINE_TYPES[tag]) {
+            return [{ type: INLINE_TYPES[tag], children: this._inline(node.childNodes) }];
+        }
+
+        switch (tag) {
+            case 'CODE':
+                return node.closest('pre')
+                    ? [{ type: 'text', value: node.textContent }]
+                    : [{ type: 'inlineCode', value: node.textContent }];
+            case 'A': return [{ type: 'link', url: node.getAttribute('href') || '', children: this._inline(node.childNodes) }];
+            case 'BR': return [{ type: 'break' }];
+            case 'HR': return [{ type: 'thematicBreak' }];
+            case 'DIV': case 'P': {
+                if (node.classList.contains('dabir-placeholder')) {
+                    // A block of a large document that has not been rendered yet (see `Virtualizer`).
+                    // It is converted through its rendered HTML, so the output matches the materialized block.
+                    const html = new MarkdownParser(this.editor).parse(node.getAttribute('data-markdown') || '');
+                    return this._blocks(parseHTML(html));
+                }
                 if (node.classList.contains('code-block-wrapper')) {
                     const preElement = node.querySelector('pre');
-                    return preElement ? this._convertNodeToMarkdown(preElement) : '';
+                    return preElement ? this._convert(preElement) : [];
                 }
-                return `${childMarkdown}\n\n`;
-            case 'BLOCKQUOTE': {
-                const lines = Array.from(node.childNodes)
-                    .map(child => recurse(child, listState).trim())
-                    .flatMap(line => line.split('\n'));
-                return lines.map(line => `> ${line || ''}`).join('\n') + '\n\n';
+                const hasBlockChildren = Array.from(node.children).some(child => BLOCK_TAGS.has(child.tagName));
+                return hasBlockChildren
+                    ? this._blocks(node)
+                    : [{ type: 'paragraph', children: this._inline(node.childNodes) }];
             }
-            case 'FIGURE':
+            case 'BLOCKQUOTE':
+                return [{ type: 'blockquote', children: this._blocks(node) }];
+            case 'FIGURE': {
                 const img = node.querySelector('img');
                 const caption = node.querySelector('figcaption');
-                const alt = caption ? caption.textContent : (img ? img.alt : '');
-                return `![${alt}](${img ? img.src : ''})\n\n`;
-            case 'PRE':
-                return `\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+                const alt = caption ? caption.textContent : (img ? img.getAttribute('alt') || '' : '');
+                return [{ type: 'image', alt, url: img ? img.getAttribute('src') || '' : '' }];
+            }
+            case 'PRE': {
+                const code = node.querySelector('code');
+                const langClass = code ? Array.from(code.classList).find(name => name.startsWith('language-')) : null;
+                return [{
+                    type: 'code',
+                    lang: langClass ? langClass.substring('language-'.length) : '',
+                    value: node.textContent.replace(/\u200B/g, '').replace(/\n$/, '')
+                }];
+            }
+            case 'UL': case 'OL':
+                return [this._list(node)];
             default:
-                // Propagate markdown from plugins
-                for(const pluginName of this.editor.plugins.keys()){
-                    try {
-                        const plugin = this.editor.plugins.get(pluginName);
-                        if(plugin && plugin.html2md){
-                            const markdown = plugin.html2md(node, childMarkdown, listState, recurse);
-                            if(markdown) return markdown;
-                        }
-                    } catch (error) {
-                         console.error(`Dabir.js Error: Plugin "${pluginName}" crashed during HTML conversion.`, 
-                             `Tag: ${node.tagName}`, error);
-                         // Fallback to default child processing
+                return BLOCK_TAGS.has(tag) ? this._blocks(node) : this._inline(node.childNodes);
+        }
+    }
+
+    /**
+     * @param {HTMLElement} element - A UL or OL element.
+     * @returns {object} A `list` node.
+     * @private
+     */
+    _list(element) {
+        const list = {
+            type: 'list',
+            ordered: element.tagName === 'OL',
+            checklist: element.classList.contains('checklist'),
+            children: []
+        };
+
+        for (const child of element.children) {
+            if (child.tagName === 'UL' || child.tagName === 'OL') {
+                // Older content nests lists directly inside the parent list.
+                let last = list.children[list.children.length - 1];
+                if (!last) {
+                    last = { type: 'listItem', checked: null, children: [{ type: 'paragraph', children: [] }] };
+                    list.children.push(last);
+                }
+                last.children.push(this._list(child));
+                continue;
+            }
+            if (child.tagName !== 'LI') continue;
+
+            const isChecklist = child.classList.contains('checklist-item');
+            const item = { type: 'listItem', checked: null, children: [] };
+            const contentNodes = [];
+            const sublists = [];
+
+            if (isChecklist) {
+                const checkbox = child.querySelector('input[type="checkbox"]');
+                item.checked = checkbox ? checkbox.checked : child.classList.contains('checked');
+            }
+            for (const node of child.childNodes) {
+                if (node.tagName === 'UL' || node.tagName === 'OL') {
+                    sublists.push(node);
+                } else if (!isChecklist) {
+                    contentNodes.push(node);
+                } else if (node.classList && node.classList.contains('checklist-content-wrapper')) {
+                    const span = node.querySelector('span');
+                    if (span) contentNodes.push(...span.childNodes);
+                }
+            }
+
+            item.children.push({ type: 'paragraph', children: this._inline(contentNodes) });
+            sublists.forEach(sublist => item.children.push(this._list(sublist)));
+            list.children.push(item);
+        }
+
+        return list;
+    }
+
+    /**
+     * Returns the plugins whose `html2md` hook may handle a tag: those that list it in
+     * `html2mdTags`, plus those that do not declare any tags, in registration order.
+     * @param {string} tag - An upper-case tag name.
+     * @returns {string[]} Plugin names.
+     * @private
+     */
+    _pluginsFor(tag) {
+        const plugins = Array.from(this.editor.plugins);
+        const changed = plugins.length !== this.dispatchPlugins.length ||
+            plugins.some(([name, api], index) => this.dispatchPlugins[index][0] !== name || this.dispatchPlugins[index][1] !== api);
+        if (changed) {
+            this.dispatch.clear();
+            this.dispatchPlugins = plugins;
+        }
+
+        if (!this.dispatch.has(tag)) {
+            this.dispatch.set(tag, this.dispatchPlugins
+                .filter(([, plugin]) => plugin && typeof plugin.html2md === 'function' &&
+                    (!Array.isArray(plugin.html2mdTags) || plugin.html2mdTags.some(name => name.toUpperCase() === tag)))
+                .map(([name]) => name));
+        }
+        return this.dispatch.get(tag);
+    }
+
+    /**
+     * Asks the plugins' `html2md` hooks to convert an element.
+     * @param {HTMLElement} element
+     * @returns {object|null} A `plugin` node, or null if no plugin handled the element.
+     * @private
+     */
+    _fromPlugins(element) {
+        const recurse = (n) => this._toMarkdown(n);
+        let childMarkdown = null;
+
+        for (const pluginName of this._pluginsFor(element.tagName)) {
+            try {
+                const plugin = this.editor.plugins.get(pluginName);
+                if (plugin) {
+                    if (childMarkdown === null) {
+                        childMarkdown = Array.from(element.childNodes).map(recurse).join('');
+                    }
+                    const markdown = plugin.html2md(element, childMarkdown, {}, recurse);
+                    if (markdown) {
+                        return {
+                            type: 'plugin',
+                            plugin: pluginName,
+                            block: BLOCK_TAGS.has(element.tagName),
+                            markdown,
+                            html: element.outerHTML
+                        };
                     }
                 }
-                return childMarkdown;
+            } catch (error) {
+                 this.logger.error('PLUGIN_FAILED', `Plugin crashed during HTML conversion of <${element.tagName}>.`, {
+                     error, module: 'htmlParser', plugin: pluginName, input: element
+                 });
+                 // Fallback to default child processing
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Converts an element rendered by an inline rule back to markdown (see `InlineRules`).
+     * @param {HTMLElement} element
+     * @returns {{rule: import('./inlineRules.js').InlineRule, markdown: string}|null}
+     *   The matching rule and the markdown, or null if no rule handled the element.
+     */
+    inlineRuleToMarkdown(element) {
+        const registry = this.editor.inlineRules;
+        if (!registry || registry.rules.length === 0) return null;
+        const rule = registry.forElement(element);
+        if (!rule || typeof rule.toMarkdown !== 'function') return null;
+        try {
+            const childMarkdown = Array.from(element.childNodes).map(child => this._toMarkdown(child)).join('');
+            const markdown = rule.toMarkdown(element, childMarkdown);
+            return typeof markdown === 'string' && markdown ? { rule, markdown } : null;
+        } catch (error) {
+            this.logger.error('INLINE_RULE_FAILED', `Inline rule "${rule.name}" crashed during HTML conversion.`, {
+                error, module: 'htmlParser', input: element
+            });
+            return null;
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * @param {HTMLElement} element
+     * @returns {object|null} An inline `plugin` node, or null.
+     * @private
+     */
+    _fromInlineRule(element) {
+        const result = this.inlineRuleToMarkdown(element);
+        if (!result) return null;
+        return { type: 'plugin', rule: result.rule.name, block: false, markdown: result.markdown, html: element.outerHTML };
+    }
+
+    /**
+     * Converts a single DOM node to markdown. Passed to plugins as `recurse`.
+     * @param {Node} node
+     * @returns {string}
+     * @private
+     */
+    _toMarkdown(node) {
+        return this._convert(node)
+            .map(astNode => isBlockNode(astNode) ? serializeNode(astNode) : serializeInline([astNode]))
+            .join('');
+    }
+}
@@ -1,50 +1,322 @@
+import { renderInline } from '../renderers/htmlRenderer.js';
+import { getLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} InlineNode
+ * @property {'text'|'inlineCode'|'strong'|'emphasis'|'delete'|'mark'|'link'|'break'|'plugin'} type
+ * @property {string} [value] - Text content for `text`, `inlineCode` and `plugin` nodes.
+ * @property {string} [rule] - Name of the inline rule that produced a `plugin` node.
+ * @property {string} [html] - Rendered HTML of a `plugin` node.
+ * @property {string} [markdown] - Source markdown of a `plugin` node.
+ * @property {string} [url] - Destination of a `link`.
+ * @property {InlineNode[]} [children] - Child nodes of container nodes.
+ */
+
+const DELIMITER_TYPES = { '~': 'delete', '=': 'mark' };
+
+/**
+ * Sticky copies of the rule patterns, so they can be matched at a given position.
+ * @type {WeakMap<RegExp, RegExp>}
+ */
+const stickyPatterns = new WeakMap();
+
+/**
+ * Tries the inline rules at a position of the text.
+ * @param {import('./inlineRules.js').InlineRule[]} rules
+ * @param {string} text
+ * @param {number} pos
+ * @returns {{node: InlineNode, length: number}|null}
+ */
+function matchRule(rules, text, pos) {
+    for (const rule of rules) {
+        if (rule.trigger && !rule.trigger.includes(text[pos])) continue;
+        try {
+            let sticky = stickyPatterns.get(rule.pattern);
+            if (!sticky) {
+                sticky = new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y');
+                stickyPatterns.set(rule.pattern, sticky);
+            }
+            sticky.lastIndex = pos;
+            const match = sticky.exec(text);
+            if (!match || match[0] === '') continue;
+            return {
+                node: { type: 'plugin', rule: rule.name, value: match[0], markdown: match[0], html: rule.render(match) },
+                length: match[0].length
+            };
+        } catch (error) {
+            getLogger().error('INLINE_RULE_FAILED', `Inline rule "${rule.name}" crashed.`, {
+                error, module: 'inlineParser', input: text
+            });
+        }
+    }
+    return null;
+}
+
+/**
+ * Counts how many times `char` repeats starting at `pos`.
+ * @param {string} text
+ * @param {number} pos
+ * @param {string} char
+ * @returns {number}
+ */
+function countRun(text, pos, char) {
+    let end = pos;
+    while (text[end] === char) end++;
+    return end - pos;
+}
+
+/**
+ * Finds a backtick run of exactly `length` characters, starting the search at `from`.
+ * @param {string} text
+ * @param {number} from
+ * @param {number} length
+ * @returns {number} Index of the closing run, or -1.
+ */
+function findBacktickRun(text, from, length) {
+    let pos = text.indexOf('`', from);
+    while (pos !== -1) {
+        const run = countRun(text, pos, '`');
+        if (run === length) return pos;
+        pos = text.indexOf('`', pos + run);
+    }
+    return -1;
+}
+
+/**
+ * Reads a link destination `(url)` with balanced parentheses.
+ * @param {string} text
+ * @param {number} start - Index that should hold the opening parenthesis.
+ * @returns {{url: string, end: number}|null}
+ */
+function parseDestination(text, start) {
+    if (text[start] !== '(') return null;
+    let depth = 1;
+    let pos = start + 1;
+    while (pos < text.length) {
+        if (text[pos] === '(') depth++;
+        else if (text[pos] === ')' && --depth === 0) break;
+        pos++;
+    }
+    if (depth !== 0) return null;
+    const url = text.slice(start + 1, pos).trim();
+    return url ? { url, end: pos + 1 } : null;
+}
+
+/**
+ * Converts a leftover delimiter into literal text.
+ * @param {object} item
+ * @returns {InlineNode}
+ */
+function toNode(item) {
+    return item.type === 'delimiter' ? { type: 'text', value: item.char.repeat(item.count) } : item;
+}
+
+/**
+ * Joins adjacent text nodes.
+ * @param {InlineNode[]} nodes
+ * @returns {InlineNode[]}
+ */
+function mergeText(nodes) {
+    const merged = [];
+    nodes.forEach(node => {
+        const last = merged[merged.length - 1];
+        if (node.type === 'text' && last && last.type === 'text') {
+            last.value += node.value;
+        } else if (node.type !== 'text' || node.value) {
+            merged.push(node.type === 'text' ? { ...node } : node);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Matches emphasis delimiters, following the CommonMark delimiter-stack approach.
+ * Closers are processed left to right, so nested runs like `**a *b* c**` resolve correctly.
+ * @param {Array<object>} items - Nodes and delimiter records.
+ * @returns {InlineNode[]}
+ */
+function processEmphasis(items) {
+    let i = 0;
+    while (i < items.length) {
+        const closer = items[i];
+        if (closer.type !== 'delimiter' || !closer.canClose) {
+            i++;
+            continue;
+        }
+
+        let openerIndex = -1;
+        for (let j = i - 1; j >= 0; j--) {
+            const candidate = items[j];
+            if (candidate.type !== 'delimiter' || candidate.char !== closer.char || !candidate.canOpen) continue;
+            if (closer.char === '*') {
+                // "Rule of three": a run that can both open and close may not pair up
+                // with another one when their combined length is a multiple of three.
+                const bothSided = candidate.canClose || closer.canOpen;
+                if (bothSided && (candidate.length + closer.length) % 3 === 0 &&
+                    !(candidate.length % 3 === 0 && closer.length % 3 === 0)) {
+                    continue;
+                }
+            }
+            openerIndex = j;
+            break;
+        }
+
+        if (openerIndex === -1) {
+            i++;
+            continue;
+        }
+
+        const opener = items[openerIndex];
+        let type;
+        let used;
+        if (closer.char === '*') {
+            used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+            type = used === 2 ? 'strong' : 'emphasis';
+        } else {
+            used = 2;
+            type = DELIMITER_TYPES[closer.char];
+        }
+
+        const children = mergeText(items.slice(openerIndex + 1, i).map(toNode));
+        items.splice(openerIndex + 1, i - openerIndex - 1, { type, children });
+        i = openerIndex + 2;
+
+        opener.count -= used;
+        closer.count -= used;
+        if (opener.count === 0) {
+            items.splice(openerIndex, 1);
+            i--;
+        }
+        if (closer.count === 0) {
+            items.splice(i, 1);
+        }
+    }
+    return mergeText(items.map(toNode));
+}
+
+/**
+ * Tokenizes inline markdown and builds its AST.
+ * Supported syntax: `code`, **strong**, *emphasis*, ~~delete~~, ==mark== and [links](url).
+ * Raw HTML in the text is kept as-is, so that inline tags keep rendering.
+ * Inline rules are tried first at every position; a match becomes a `plugin` node.
+ * @param {string} text
+ * @param {import('./inlineRules.js').InlineRule[]} [rules=[]] - Extra inline syntax (see `InlineRules`).
+ * @returns {InlineNode[]}
+ */
+export function parseInlineToAST(text, rules = []) {
+    if (!text) return [];
+
+    const items = [];
+    const brackets = [];
+    let buffer = '';
+    let pos = 0;
+
+    const flush = () => {
+        if (buffer) {
+            items.push({ type: 'text', value: buffer });
+            buffer = '';
+        }
+    };
+
+    while (pos < text.length) {
+        const char = text[pos];
+
+        if (rules.length > 0) {
+            const matched = matchRule(rules, text, pos);
+            if (matched) {
+                flush();
+                items.push(matched.node);
+                pos += matched.length;
+                continue;
+            }
+        }
+
+        if (char === '`') {
+            const run = countRun(text, pos, '`');
+            const close = findBacktickRun(text, pos + run, run);
+            if (close === -1) {
+                buffer += text.slice(pos, pos + run);
+            } else {
+                flush();
+                let value = text.slice(pos + run, close);
+                // CommonMark: one space of padding on both sides is stripped, so that code can start or end with a backtick.
+                if (value.startsWith(' ') && value.endsWith(' ') && value.trim() !== '') value = value.slice(1, -1);
+                items.push({ type: 'inlineCode', value });
+                pos = close;
+            }
+            pos += run;
+            continue;
+        }
+
+        if (char === '*' || char === '~' || char === '=') {
+            const run = countRun(text, pos, char);
+            if (char !== '*' && run !== 2) {
+                buffer += text.slice(pos, pos + run);
+            } else {
+                flush();
+                const before = text[pos - 1];
+                const after = text[pos + run];
+                items.push({
+                    type: 'delimiter',
+                    char,
+                    count: run,
+                    length: run,
+                    canOpen: after !== undefined && !/\s/.test(after),
+                    canClose: before !== undefined && !/\s/.test(before)
+                });
+            }
+            pos += run;
+            continue;
+        }
+
+        if (char === '[') {
+            flush();
+            items.push({ type: 'text', value: '[' });
+            brackets.push({ index: items.length - 1, active: true });
+            pos++;
+            continue;
+        }
+
+        if (char === ']') {
+            flush();
+            const opener = brackets.pop();
+            const destination = opener && opener.active ? parseDestination(text, pos + 1) : null;
+            if (destination && items.length - 1 > opener.index) {
+                const children = processEmphasis(items.splice(opener.index + 1));
+                items.pop();
+                items.push({ type: 'link', url: destination.url, children });
+                // Links may not contain other links.
+                brackets.forEach(bracket => { bracket.active = false; });
+                pos = destination.end;
+                continue;
+            }
+            buffer += ']';
+            pos++;
+            continue;
+        }
+
+        buffer += char;
+        pos++;
+    }
+
+    flush();
+    return processEmphasis(items);
+}
+
 /**
  * Parses inline markdown within a string.
  * @param {string} text The text to parse.
+ * @param {import('./inlineRules.js').InlineRule[]} [rules=[]] - Extra inline syntax (see `InlineRules`).
  * @returns {string} HTML string.
  */
-export function parseInline(text) {
+export function parseInline(text, rules = []) {
     if (!text) return '';
 
     try {
-        const codeBlocks = [];
-        // 1. Extract, escape, and replace code blocks with placeholders to prevent
-        //    parsing markdown inside them.
-        let processedText = text.replace(/`([^`]+?)`/g, (match, codeContent) => {
-            const placeholder = `__DABIR_CODE_PLACEHOLDER_${codeBlocks.length}__`;
-            
-            // Escape HTML special characters to display them as literals.
-            const escapedContent = codeContent
-                .replace(/&/g, '&amp;')
-                .replace(/</g, '&lt;')
-                .replace(/>/g, '&gt;');
-                
-            codeBlocks.push(escapedContent);
-            return placeholder;
-        });
-
-        // 2. Process other inline elements on the remaining text.
-        processedText = processedText
-            // Link
-            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>')
-            // Bold
-            .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-            // Italic
-            .replace(/(?<!\*)\*(.+?)\*(?!\*)/g, '<em>$1</em>')
-            // Strikethrough
-            .replace(/~~(.+?)~~/g, '<del>$1</del>')
-            // Highlight
-            .replace(/==(.+?)==/g, '<mark>$1</mark>');
-
-        // 3. Restore the code blocks.
-        processedText = processedText.replace(/__DABIR_CODE_PLACEHOLDER_(\d+)__/g, (match, index) => {
-            return `<code>${codeBlocks[parseInt(index, 10)]}</code>`;
-        });
-
-        return processedText;
+        return renderInline(parseInlineToAST(text, rules));
     } catch (error) {
-        console.error('Dabir.js Error: parseInline crashed.', `Input text: "${text.substring(0, 50)}..."`, error);
+        getLogger().error('PARSE_FAILED', 'parseInline crashed.', { error, module: 'inlineParser', input: text });
         // Fallback: Return original text to prevent content loss
         return text;
     }
-}
\ No newline at end of file
+}
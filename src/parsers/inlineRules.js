@@ -0,0 +1,117 @@
+import { getLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} InlineRule
+ * @property {string} name - Unique rule name (e.g. `'emoji'`).
+ * @property {RegExp} pattern - Matched at the current position of the text, e.g. `/:([a-z0-9_+-]+):/`.
+ *   A match must not be empty.
+ * @property {string} [trigger] - Characters a match can start with (e.g. `':'`); other positions are skipped
+ *   without running the pattern.
+ * @property {(match: RegExpExecArray) => string} render - Returns the HTML for a match.
+ * @property {string} selector - A simple selector (tag, classes, attributes) matching the rendered element,
+ *   e.g. `'span.emoji'`. Used for HTML→markdown conversion and raw mode.
+ * @property {(element: HTMLElement, childMarkdown: string) => string|null} toMarkdown - Converts a rendered
+ *   element back to markdown. Returning null leaves the element to the default conversion.
+ */
+
+/**
+ * Registry of inline syntax rules (e.g. `:emoji:`, `@mention`, `^superscript^`).
+ * Rules are registered directly with `register()` or returned by plugins as `inlineRules`,
+ * and are honoured by `parseInline`, the HTML→markdown conversion and live parsing.
+ */
+export class InlineRules {
+    /**
+     * @param {import('../core/editor.js').DabirEditor|{plugins: Map<string, object>}} editor
+     *   The editor, or any object exposing a `plugins` map (see `renderMarkdown`).
+     */
+    constructor(editor) {
+        this.editor = editor;
+        /**
+         * Rules registered with `register()`.
+         * @private
+         * @type {InlineRule[]}
+         */
+        this.registered = [];
+        /**
+         * Plugin list the cached rules were built from.
+         * @private
+         * @type {Array<[string, object]>}
+         */
+        this.snapshot = [];
+        /**
+         * @private
+         * @type {InlineRule[]|null}
+         */
+        this.cache = null;
+    }
+
+    /**
+     * Registers an inline rule. Registered rules run before the rules of plugins.
+     * @param {InlineRule} rule
+     * @returns {() => void} A function that removes the rule.
+     */
+    register(rule) {
+        if (!isValidRule(rule)) return () => {};
+        this.registered.push(rule);
+        this.cache = null;
+        return () => {
+            const index = this.registered.indexOf(rule);
+            if (index !== -1) this.registered.splice(index, 1);
+            this.cache = null;
+        };
+    }
+
+    /**
+     * All active rules: registered ones first, then those of the plugins in plugin order.
+     * @returns {InlineRule[]}
+     */
+    get rules() {
+        const plugins = Array.from(this.editor.plugins || []);
+        const changed = plugins.length !== this.snapshot.length ||
+            plugins.some(([name, api], index) => this.snapshot[index][0] !== name || this.snapshot[index][1] !== api);
+        if (changed || this.cache === null) {
+            this.snapshot = plugins;
+            const fromPlugins = plugins.flatMap(([, plugin]) =>
+                (plugin && Array.isArray(plugin.inlineRules) ? plugin.inlineRules : []).filter(isValidRule));
+            this.cache = [...this.registered, ...fromPlugins];
+        }
+        return this.cache;
+    }
+
+    /**
+     * Selector matching every element rendered by a rule, or an empty string if there are no rules.
+     * @returns {string}
+     */
+    get selector() {
+        return this.rules.map(rule => rule.selector).filter(Boolean).join(', ');
+    }
+
+    /**
+     * @param {Element} element
+     * @returns {InlineRule|null} The first rule whose `selector` matches the element.
+     */
+    forElement(element) {
+        return this.rules.find(rule => rule.selector && element.matches(rule.selector)) || null;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {boolean} Whether any rule matches somewhere in the text.
+     */
+    test(text) {
+        return this.rules.some(rule => new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '')).test(text));
+    }
+}
+
+/**
+ * @param {InlineRule} rule
+ * @returns {boolean}
+ */
+function isValidRule(rule) {
+    const valid = !!rule && typeof rule.name === 'string' && rule.pattern instanceof RegExp &&
+        typeof rule.render === 'function';
+    if (!valid) {
+        getLogger().warn(`Inline rule "${rule && rule.name}" must provide a name, a RegExp "pattern" and a "render" function.`);
+    }
+    return valid;
+}
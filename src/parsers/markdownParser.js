@@ -1,85 +1,162 @@
 import { parseBlock } from './blockParser.js';
-import { parseInline } from './inlineParser.js';
+import { parseInlineToAST, parseInline } from './inlineParser.js';
+import { parseLiveBlock } from './liveParser.js';
+import { renderNode } from '../renderers/htmlRenderer.js';
+import { getLogger, withLogger } from '../utils/logger.js';
 
 /**
  * Converts a Markdown string to an HTML string.
+ * Parsing happens in two steps: markdown → AST (`parseToAST`) → HTML (`renderNode`).
  */
 export class MarkdownParser {
     /**
-     * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {import('../core/editor.js').DabirEditor|{plugins: Map<string, object>}} editor
+     *   The editor, or any object exposing a `plugins` map (see `renderMarkdown`).
      */
     constructor(editor) {
         this.editor = editor;
     }
+
+    /**
+     * The inline rules of the editor (see `InlineRules`).
+     * @returns {import('./inlineRules.js').InlineRule[]}
+     */
+    get inlineRules() {
+        return this.editor.inlineRules ? this.editor.inlineRules.rules : [];
+    }
+
+    /**
+     * The logger of the editor, which also receives the errors of the stateless parsers.
+     * @returns {import('../utils/logger.js').Logger}
+     */
+    get logger() {
+        return this.editor.logger || getLogger();
+    }
+
+    /**
+     * Parses inline markdown with the editor's inline rules.
+     * @param {string} text
+     * @returns {string} HTML string.
+     */
+    parseInline(text) {
+        return withLogger(this.logger, () => parseInline(text, this.inlineRules));
+    }
+
+    /**
+     * Parses a single line as the user types it, with the editor's inline rules (see `parseLiveBlock`).
+     * @param {string} line
+     * @returns {string|null} HTML string, or null if the line is not a block syntax.
+     */
+    parseLiveBlock(line) {
+        return withLogger(this.logger, () => parseLiveBlock(line, this.inlineRules));
+    }
+
     /**
      * Parses a markdown string into HTML.
      * @param {string} markdown
      * @returns {string}
      */
     parse(markdown) {
-        if (!markdown) return '<div><br></div>';
-        
+        return renderNode(this.parseToAST(markdown));
+    }
+
+    /**
+     * Parses a markdown string into an AST.
+     * Blocks claimed by a plugin's `markdownBlockParser` become `plugin` nodes
+     * holding both the rendered HTML and the original markdown.
+     * @param {string} markdown
+     * @returns {{type: 'root', children: object[]}}
+     */
+    parseToAST(markdown) {
+        const root = { type: 'root', children: [] };
+        for (const { node } of this.blocks(markdown)) {
+            root.children.push(node);
+        }
+        return root;
+    }
+
+    /**
+     * Parses a markdown string block by block, so that large documents can be
+     * processed in chunks (see `Virtualizer`).
+     * @param {string} markdown
+     * @yields {{node: object, line: number}} Each top-level block node and the index of the last line it consumed.
+     */
+    *blocks(markdown) {
+        if (!markdown) return;
+
         const lines = markdown.split('\n');
-        let html = '';
+        const inlineRules = this.inlineRules;
+        const logger = this.logger;
         let paragraphLines = [];
 
         const flushParagraph = () => {
-            if (paragraphLines.length > 0) {
-                html += `<div>${parseInline(paragraphLines.join('\n'))}</div>`;
-                paragraphLines = [];
-            }
+            const node = paragraphLines.length > 0
+                ? { type: 'paragraph', children: parseInlineToAST(paragraphLines.join('\n'), inlineRules) }
+                : null;
+            paragraphLines = [];
+            return node;
         };
 
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
+            const pending = [];
 
-            let blockParsed = false;
-            // Allow plugins to parse blocks first
-            for (const pluginName of this.editor.plugins.keys()) {
-                try {
-                    const plugin = this.editor.plugins.get(pluginName);
-                    if (plugin && plugin.markdownBlockParser) {
-                        const result = plugin.markdownBlockParser(lines, i, this);
-                        if (result) {
-                            flushParagraph();
-                            html += result.html;
-                            i = result.lastIndex;
-                            blockParsed = true;
-                            break;
+            // Errors of the stateless parsers (block, inline) are reported to the editor's logger.
+            withLogger(logger, () => {
+                let blockParsed = false;
+                // Allow plugins to parse blocks first
+                for (const pluginName of this.editor.plugins.keys()) {
+                    try {
+                        const plugin = this.editor.plugins.get(pluginName);
+                        if (plugin && plugin.markdownBlockParser) {
+                            const result = plugin.markdownBlockParser(lines, i, this);
+                            if (result) {
+                                pending.push(flushParagraph(), {
+                                    type: 'plugin',
+                                    plugin: pluginName,
+                                    html: result.html,
+                                    markdown: lines.slice(i, result.lastIndex + 1).join('\n')
+                                });
+                                i = result.lastIndex;
+                                blockParsed = true;
+                                break;
+                            }
                         }
+                    } catch (error) {
+                        logger.error('PLUGIN_FAILED', 'Plugin crashed during markdown block parsing.', {
+                            error, module: 'markdownParser', plugin: pluginName, input: line
+                        });
+                        // Continue to next plugin or default parser
                     }
-                } catch (error) {
-                    console.error(`Dabir.js Error: Plugin "${pluginName}" crashed during markdown block parsing.`, 
-                        `Line content: "${line.substring(0, 50)}..."`, error);
-                    // Continue to next plugin or default parser
                 }
-            }
-            if (blockParsed) continue;
 
-            try {
-                const blockResult = parseBlock(lines, i);
-                if (blockResult) {
-                    flushParagraph();
-                    html += blockResult.html;
-                    i = blockResult.lastIndex;
-                } else if (line.trim() === '') {
-                    flushParagraph();
-                } else {
-                    paragraphLines.push(line);
+                if (!blockParsed) {
+                    try {
+                        const blockResult = parseBlock(lines, i, { inlineRules });
+                        if (blockResult) {
+                            pending.push(flushParagraph(), ...blockResult.nodes);
+                            i = blockResult.lastIndex;
+                        } else if (line.trim() === '') {
+                            pending.push(flushParagraph());
+                        } else {
+                            paragraphLines.push(line);
+                        }
+                    } catch (error) {
+                         logger.error('PARSE_FAILED', `Core block parser crashed on line ${i}.`, {
+                             error, module: 'markdownParser', input: line
+                         });
+                         // Fallback: treat as plain text
+                         paragraphLines.push(line);
+                    }
                 }
-            } catch (error) {
-                 console.error(`Dabir.js Error: Core block parser crashed on line ${i}.`, error);
-                 // Fallback: treat as plain text
-                 paragraphLines.push(line);
+            });
+
+            for (const node of pending) {
+                if (node) yield { node, line: i };
             }
         }
 
-        flushParagraph();
-        
-        if (!html) {
-            return '<div><br></div>';
-        }
-        
-        return html;
+        const last = withLogger(logger, flushParagraph);
+        if (last) yield { node: last, line: lines.length - 1 };
     }
-}
\ No newline at end of file
+}
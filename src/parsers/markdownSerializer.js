@@ -0,0 +1,133 @@
+/**
+ * Serializes the markdown AST back to a markdown string.
+ * This is the inverse of `MarkdownParser.parseToAST`.
+ */
+
+const INLINE_MARKERS = {
+    strong: '**',
+    emphasis: '*',
+    delete: '~~',
+    mark: '=='
+};
+
+/**
+ * Wraps inline code in a backtick run longer than any run inside it. As in CommonMark, the value is padded
+ * with a space when it starts or ends with a backtick (or is itself space-padded); the parser strips it again.
+ * @param {string} value
+ * @returns {string}
+ */
+function serializeInlineCode(value) {
+    const longestRun = Math.max(0, ...(value.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padded = /^`|`$/.test(value) || (/^ [^]* $/.test(value) && value.trim() !== '');
+    const pad = padded ? ' ' : '';
+    return `${fence}${pad}${value}${pad}${fence}`;
+}
+
+/**
+ * Serializes a list of inline nodes.
+ * @param {import('./inlineParser.js').InlineNode[]} nodes
+ * @returns {string}
+ */
+export function serializeInline(nodes) {
+    return (nodes || []).map(node => {
+        switch (node.type) {
+            case 'text': return node.value;
+            case 'inlineCode': return serializeInlineCode(node.value);
+            case 'break': return '\n';
+            case 'link': return `[${serializeInline(node.children)}](${node.url})`;
+            case 'plugin': return node.markdown || '';
+            default: {
+                const marker = INLINE_MARKERS[node.type];
+                const content = serializeInline(node.children);
+                return marker && content ? `${marker}${content}${marker}` : content;
+            }
+        }
+    }).join('');
+}
+
+/**
+ * @param {object} list - A `list` node.
+ * @param {number} depth - Nesting level, used for indentation.
+ * @returns {string[]}
+ */
+function serializeList(list, depth) {
+    const indent = '  '.repeat(depth);
+    const lines = [];
+
+    list.children.forEach((item, index) => {
+        let prefix = list.ordered ? `${index + 1}. ` : '- ';
+        if (typeof item.checked === 'boolean') {
+            prefix += item.checked ? '[x] ' : '[ ] ';
+        }
+        const paragraph = item.children.find(child => child.type === 'paragraph');
+        const content = paragraph ? serializeInline(paragraph.children).trim() : '';
+        lines.push(`${indent}${prefix}${content}`);
+
+        item.children
+            .filter(child => child.type === 'list')
+            .forEach(sublist => lines.push(...serializeList(sublist, depth + 1)));
+    });
+
+    return lines;
+}
+
+/**
+ * Serializes a single block node.
+ * @param {object} node
+ * @returns {string}
+ */
+export function serializeNode(node) {
+    switch (node.type) {
+        case 'root':
+            return node.children.map(serializeNode).join('\n\n');
+        case 'paragraph':
+            return serializeInline(node.children).replace(/\n+$/, '');
+        case 'heading':
+            return `${'#'.repeat(node.depth)} ${serializeInline(node.children).trim()}`;
+        case 'thematicBreak':
+            return '---';
+        case 'blockquote':
+            return node.children
+                .flatMap(child => serializeNode(child).trim().split('\n'))
+                .map(line => `> ${line}`)
+                .join('\n');
+        case 'image':
+            return `![${node.alt || ''}](${node.url || ''})`;
+        case 'list':
+            return serializeList(node, 0).join('\n');
+        case 'code':
+            return `\`\`\`${node.lang || ''}\n${node.value}\n\`\`\``;
+        case 'plugin':
+            return (node.markdown || '').trim();
+        default:
+            return '';
+    }
+}
+
+/**
+ * Serializes an AST to markdown.
+ * @param {object} ast - A `root` node (or any single block node).
+ * @returns {string}
+ */
+export function serializeMarkdown(ast) {
+    return normalizeMarkdown(serializeNode(ast));
+}
+
+/**
+ * Joins serialized blocks the same way `serializeMarkdown` joins the children of a root node.
+ * @param {string[]} blocks - Serialized blocks, in document order.
+ * @returns {string}
+ */
+export function joinBlocks(blocks) {
+    return normalizeMarkdown(blocks.join('\n\n'));
+}
+
+/**
+ * @param {string} markdown
+ * @returns {string}
+ */
+function normalizeMarkdown(markdown) {
+    // Collapse sequences of 3 or more newlines into exactly two.
+    return markdown.replace(/\n{3,}/g, '\n\n').trim();
+}
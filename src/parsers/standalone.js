@@ -0,0 +1,87 @@
+import { MarkdownParser } from './markdownParser.js';
+import { HtmlParser } from './htmlParser.js';
+import { sanitize } from '../utils/sanitizer.js';
+import { parseHTML } from '../utils/lightDom.js';
+import { InlineRules } from './inlineRules.js';
+import { normalizePluginEntry, sortByPriority } from '../plugins/plugin.js';
+import { Logger, withLogger } from '../utils/logger.js';
+
+/**
+ * @typedef {object} StandaloneOptions
+ * @property {Array<typeof import('../plugins/plugin.js').default|[typeof import('../plugins/plugin.js').default, object]>} [plugins=[]]
+ *   Plugin classes (optionally as `[Plugin, options]` tuples) whose parser hooks should be used.
+ *   Hooks run by plugin `priority`, then in the given order; pass the same plugins, in the same
+ *   order, as the editor to get identical output.
+ * @property {import('../utils/logger.js').LogLevel} [logLevel='warn'] - The most verbose level written to the console.
+ * @property {(error: Error, context: import('../utils/logger.js').ErrorContext) => void} [onError]
+ *   Called for every error caught while converting (see the editor's `onError` option).
+ */
+
+/**
+ * Builds the minimal context the parsers need: a `plugins` map of parser hooks and
+ * the inline rules they provide. Plugins are not installed, so nothing here touches the DOM.
+ * @param {StandaloneOptions['plugins']} plugins
+ * @param {Logger} logger
+ * @returns {{plugins: Map<string, object>, inlineRules: InlineRules, logger: Logger}}
+ */
+function createContext(plugins, logger) {
+    const hooks = new Map();
+    sortByPriority(plugins.map(normalizePluginEntry)).forEach(([Plugin, options]) => {
+        if (!Plugin || typeof Plugin.parserHooks !== 'function') {
+            logger.warn(`Plugin "${Plugin ? (Plugin.name || 'Unknown') : 'Unknown'}" does not provide parser hooks and was skipped.`);
+            return;
+        }
+        try {
+            hooks.set(Plugin.name, Plugin.parserHooks(options) || {});
+        } catch (error) {
+            logger.error('PLUGIN_FAILED', 'Failed to read parser hooks of plugin.', {
+                error, module: 'standalone', plugin: Plugin.name, input: options
+            });
+        }
+    });
+    const context = { plugins: hooks, logger };
+    context.inlineRules = new InlineRules(context);
+    return context;
+}
+
+/**
+ * Renders markdown to sanitized HTML, exactly as `editor.setContent(markdown)` would.
+ * Runs without a DOM (Node.js, Web Workers).
+ * @param {string} markdown
+ * @param {StandaloneOptions} [options={}]
+ * @returns {string}
+ */
+export function renderMarkdown(markdown, { plugins = [], logLevel, onError } = {}) {
+    if (typeof markdown !== 'string') return '';
+    const logger = new Logger({ level: logLevel, onError });
+    return withLogger(logger, () => {
+        try {
+            const parser = new MarkdownParser(createContext(plugins, logger));
+            return sanitize(parser.parse(markdown));
+        } catch (error) {
+            logger.error('RENDER_FAILED', 'renderMarkdown failed.', { error, module: 'standalone', input: markdown });
+            return '';
+        }
+    });
+}
+
+/**
+ * Converts editor HTML to markdown, exactly as `editor.getMarkdown()` would.
+ * Runs without a DOM (Node.js, Web Workers).
+ * @param {string} html
+ * @param {StandaloneOptions} [options={}]
+ * @returns {string}
+ */
+export function htmlToMarkdown(html, { plugins = [], logLevel, onError } = {}) {
+    if (typeof html !== 'string') return '';
+    const logger = new Logger({ level: logLevel, onError });
+    return withLogger(logger, () => {
+        try {
+            const parser = new HtmlParser(createContext(plugins, logger));
+            return parser.parse(parseHTML(html));
+        } catch (error) {
+            logger.error('HTML_CONVERSION_FAILED', 'htmlToMarkdown failed.', { error, module: 'standalone', input: html });
+            return '';
+        }
+    });
+}
@@ -11,12 +11,22 @@ const TYPES = {
 const PERSIAN_TYPES = Object.keys(TYPES);
 
 export class AdmonitionPlugin extends Plugin {
+    /** Tags handled by `html2md`; other elements are not passed to it. */
+    static html2mdTags = ['DIV'];
+
     static install(editor) {
         return {
             markdownBlockParser: this.parseMarkdownBlock.bind(this),
+            blockType: this.blockType.bind(this),
+            html2md: this.html2md.bind(this),
+            html2mdTags: this.html2mdTags
         };
     }
 
+    static blockType(element) {
+        return element.classList.contains('dabir-admonition') ? 'admonition' : null;
+    }
+
     static parseMarkdownBlock(lines, currentIndex, parser) {
         const line = lines[currentIndex].trim();
         const startRegex = new RegExp(`^\\.\\.\\.(${PERSIAN_TYPES.join('|')})$`);
@@ -43,4 +53,19 @@ export class AdmonitionPlugin extends Plugin {
 
         return { html, lastIndex: i };
     }
+
+    static html2md(node, childMarkdown, listState, recurse) {
+        if (!node.classList.contains('dabir-admonition')) return null;
+
+        const type = node.getAttribute('data-admonition-type');
+        if (!TYPES[type]) return null;
+
+        const content = Array.from(node.children)
+            .filter(child => !child.classList.contains('dabir-admonition-title'))
+            .map(child => recurse(child, listState).trim())
+            .filter(Boolean)
+            .join('\n\n');
+
+        return `...${type}\n${content}\n...\n\n`;
+    }
 }
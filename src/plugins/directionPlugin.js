@@ -7,21 +7,29 @@ import Plugin from './plugin.js';
 export class DirectionPlugin extends Plugin {
     /**
      * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {object} options
+     * @param {import('../core/pluginContext.js').default} context
      */
-    static install(editor) {
+    static install(editor, options, context) {
         const updateAll = () => this.updateAllDirections(editor.element);
         const updateActive = () => this.updateActiveBlock(editor);
 
         // Update everything only on major changes
-        editor.on('load', updateAll);
-        editor.on('contentSet', updateAll);
+        context.on('load', updateAll);
+        context.on('contentSet', updateAll);
         
         // On paste, multiple blocks might be introduced, so we check everything
         // We use requestAnimationFrame to let the DOM settle first
-        editor.on('paste', () => requestAnimationFrame(updateAll));
+        context.on('paste', () => requestAnimationFrame(updateAll));
+
+        // Blocks of a large document are rendered lazily; only the new ones need checking.
+        context.on('materialize', ({ elements }) => elements.forEach(element => {
+            this.setDirection(element);
+            this.updateAllDirections(element);
+        }));
 
         // CRITICAL OPTIMIZATION: Only update the specific block being edited on keypress/input
-        editor.on('input', updateActive);
+        context.on('input', updateActive);
     }
 
     /**
@@ -42,7 +50,7 @@ export class DirectionPlugin extends Plugin {
      * @param {import('../core/editor.js').DabirEditor} editor
      */
     static updateActiveBlock(editor) {
-        const sel = window.getSelection();
+        const sel = editor.selection.selection;
         if (!sel || !sel.rangeCount) return;
 
         const anchor = sel.anchorNode;
@@ -5,13 +5,14 @@ import { moveCursorToEnd } from '../utils/dom.js';
 export class ListPlugin extends Plugin {
     /**
      * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {object} options
+     * @param {import('../core/pluginContext.js').default} context
      */
-    static install(editor) {
-        editor.keyboardHandler.register('Tab', [], (e) => this.handleTab(e, editor));
-        editor.keyboardHandler.register('Tab', ['Shift'], (e) => this.handleShiftTab(e, editor));
+    static install(editor, options, context) {
+        context.registerShortcut('Tab', [], (e) => this.handleTab(e, editor));
+        context.registerShortcut('Tab', ['Shift'], (e) => this.handleShiftTab(e, editor));
         return {
-            name: 'ListPlugin',
-            html2md: this.html2md.bind(this)
+            name: 'ListPlugin'
         };
     }
 
@@ -73,68 +74,4 @@ export class ListPlugin extends Plugin {
         }
         return false;
     }
-
-    static html2md(node, childMarkdown, listState, recurse) {
-        if (node.tagName !== 'UL' && node.tagName !== 'OL') return null;
-
-        const isTopLevelCall = listState.indent === undefined;
-        if (isTopLevelCall) {
-            listState.indent = 0;
-        } else {
-            listState.indent++;
-        }
-
-        let markdown = '';
-        const listItems = Array.from(node.children).filter(child => child.tagName === 'LI');
-
-        listItems.forEach((li, index) => {
-            const indentStr = '  '.repeat(listState.indent);
-            const isChecklist = li.classList.contains('checklist-item');
-            
-            let prefix = (node.tagName === 'OL') ? `${index + 1}. ` : '- ';
-            if (isChecklist) {
-                const checkbox = li.querySelector('input[type="checkbox"]');
-                prefix += (checkbox && checkbox.checked) ? '[x] ' : '[ ] ';
-            }
-
-            let contentNodes = [];
-            let sublistNode = null;
-            for (const child of li.childNodes) {
-                if (child.tagName === 'UL' || child.tagName === 'OL') {
-                    sublistNode = child;
-                } else {
-                    if (isChecklist) {
-                        if (child.classList && child.classList.contains('checklist-content-wrapper')) {
-                            const span = child.querySelector('span');
-                            if (span) {
-                                contentNodes.push(...span.childNodes);
-                            }
-                        }
-                    } else {
-                        contentNodes.push(child);
-                    }
-                }
-            }
-            
-            const liContent = contentNodes.map(node => recurse(node, listState)).join('');
-            markdown += `${indentStr}${prefix}${liContent.trim()}`;
-            
-            if (sublistNode) {
-                markdown += '\n' + recurse(sublistNode, listState);
-            }
-            markdown += '\n';
-        });
-
-        if (isTopLevelCall) {
-            delete listState.indent;
-        } else {
-            listState.indent--;
-        }
-        
-        if (isTopLevelCall) {
-            return markdown;
-        }
-
-        return markdown.trimEnd();
-    }
 }
@@ -1,29 +1,145 @@
 
+/**
+ * @typedef {typeof Plugin | [typeof Plugin, object]} PluginEntry
+ * یک کلاس پلاگین، یا زوج `[Plugin, options]`.
+ */
+
+/**
+ * وضعیت هر پلاگین به تفکیک نمونه ویرایشگر. کلاس پلاگین و متدهای استاتیک آن بین تمام ویرایشگرهای صفحه
+ * مشترک‌اند، بنابراین وضعیت نباید روی خود کلاس نگه داشته شود.
+ * @type {WeakMap<import('../core/editor.js').DabirEditor, Map<Function, object>>}
+ */
+const instanceStates = new WeakMap();
+
 /**
  * کلاس پایه برای تمام پلاگین‌ها.
  * پلاگین‌ها باید این کلاس را extend کرده و متد استاتیک `install` را پیاده‌سازی کنند.
  * @class Plugin
  */
 export default class Plugin {
+    /**
+     * اولویت پلاگین. پارسرهای بلوک، هوک‌های `html2md` و میانبرهای پلاگین‌های با اولویت
+     * بالاتر زودتر اجرا می‌شوند. پلاگین‌های هم‌اولویت به ترتیب نصب اجرا می‌شوند.
+     * @static
+     * @type {number}
+     */
+    static priority = 0;
+
+    /**
+     * پلاگین‌هایی که باید پیش از این پلاگین نصب شوند (کلاس یا نام).
+     * @static
+     * @type {Array<typeof Plugin|string>}
+     */
+    static dependencies = [];
+
     /**
      * پلاگین را بر روی نمونه ویرایشگر نصب می‌کند.
      * این متد باید توسط کلاس‌های فرزند پیاده‌سازی شود.
      * @static
      * @param {import('../core/editor.js').DabirEditor} editor - نمونه ویرایشگر.
      * @param {object} [options] - گزینه‌های مخصوص پلاگین.
+     * @param {import('../core/pluginContext.js').default} [context] - محیط اختصاصی پلاگین؛
+     *   شنونده‌ها، میانبرها و دستوراتی که از طریق آن ثبت شوند هنگام حذف پلاگین پاک می‌شوند.
      * @returns {object|void} یک API اختیاری که توسط پلاگین ارائه می‌شود.
      */
-    static install(editor, options) {
+    static install(editor, options, context) {
         throw new Error('Plugin must implement the static install method.');
     }
 
+    /**
+     * هوک‌های پارسر پلاگین را بدون نصب روی ویرایشگر برمی‌گرداند.
+     * `renderMarkdown` و `htmlToMarkdown` (خارج از مرورگر) از این متد استفاده می‌کنند.
+     * پیاده‌سازی پیش‌فرض متدهای استاتیک `parseMarkdownBlock` و `html2md` (به همراه `html2mdTags`)
+     * و آرایه استاتیک `inlineRules` را برمی‌گرداند.
+     * @static
+     * @param {object} [options] - گزینه‌های مخصوص پلاگین.
+     * @returns {{markdownBlockParser?: Function, html2md?: Function, html2mdTags?: string[], inlineRules?: Array<import('../parsers/inlineRules.js').InlineRule>}}
+     */
+    static parserHooks(options) {
+        const hooks = {};
+        if (typeof this.parseMarkdownBlock === 'function') {
+            hooks.markdownBlockParser = this.parseMarkdownBlock.bind(this);
+        }
+        if (typeof this.html2md === 'function') {
+            hooks.html2md = this.html2md.bind(this);
+            if (Array.isArray(this.html2mdTags)) hooks.html2mdTags = this.html2mdTags;
+        }
+        if (Array.isArray(this.inlineRules)) {
+            hooks.inlineRules = this.inlineRules;
+        }
+        return hooks;
+    }
+
+    /**
+     * وضعیت اختصاصی این پلاگین روی یک ویرایشگر؛ معادل `context.state`. پس از `destroy` پلاگین پاک می‌شود.
+     * @static
+     * @param {import('../core/editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @returns {object}
+     */
+    static getState(editor) {
+        return getPluginState(editor, this);
+    }
+
     /**
      * عملیات پاکسازی پلاگین را انجام می‌دهد.
-     * این متد اختیاری است و در زمان تخریب ویرایشگر فراخوانی می‌شود.
+     * این متد اختیاری است و در زمان حذف پلاگین (`editor.unuse()`) یا تخریب ویرایشگر فراخوانی می‌شود.
+     * چون کلاس بین ویرایشگرها مشترک است، فقط منابع همین ویرایشگر (مثلاً از `getState(editor)`) را آزاد کنید.
      * @static
      * @param {import('../core/editor.js').DabirEditor} editor - نمونه ویرایشگر.
+     * @param {import('../core/pluginContext.js').default} [context] - محیط پلاگین روی همین ویرایشگر.
      */
-    static destroy(editor) {
+    static destroy(editor, context) {
         // Optional: Clean up any external listeners or resources
     }
 }
+
+/**
+ * وضعیت یک پلاگین روی یک ویرایشگر را برمی‌گرداند و در صورت نبود، آن را می‌سازد.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Function} PluginClass
+ * @returns {object}
+ */
+export function getPluginState(editor, PluginClass) {
+    let states = instanceStates.get(editor);
+    if (!states) {
+        states = new Map();
+        instanceStates.set(editor, states);
+    }
+    if (!states.has(PluginClass)) states.set(PluginClass, {});
+    return states.get(PluginClass);
+}
+
+/**
+ * وضعیت یک پلاگین روی یک ویرایشگر را پاک می‌کند.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Function} PluginClass
+ */
+export function clearPluginState(editor, PluginClass) {
+    const states = instanceStates.get(editor);
+    if (states) states.delete(PluginClass);
+}
+
+/**
+ * یک ورودی `plugins` را به شکل `[Plugin, options]` درمی‌آورد.
+ * @param {PluginEntry} entry
+ * @returns {[typeof Plugin, object]}
+ */
+export function normalizePluginEntry(entry) {
+    if (!Array.isArray(entry)) return [entry, {}];
+    const [PluginClass, options] = entry;
+    return [PluginClass, (typeof options === 'object' && options !== null) ? options : {}];
+}
+
+/**
+ * ورودی‌ها را بر اساس `priority` کلاس پلاگین (از زیاد به کم) مرتب می‌کند؛ ترتیب ورودی‌های هم‌اولویت حفظ می‌شود.
+ * @template {[typeof Plugin, ...any[]]} T
+ * @param {T[]} entries
+ * @returns {T[]} آرایه‌ای جدید.
+ */
+export function sortByPriority(entries) {
+    const priorityOf = ([PluginClass]) => (PluginClass && Number(PluginClass.priority)) || 0;
+    return entries
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => priorityOf(b.entry) - priorityOf(a.entry) || a.index - b.index)
+        .map(({ entry }) => entry);
+}
@@ -2,13 +2,22 @@ import Plugin from './plugin.js';
 import { parseInline } from '../parsers/inlineParser.js';
 
 export class PoemPlugin extends Plugin {
+    /** Tags handled by `html2md`; other elements are not passed to it. */
+    static html2mdTags = ['DIV'];
+
     static install(editor) {
         return {
             markdownBlockParser: this.parseMarkdownBlock.bind(this),
-            html2md: this.html2md.bind(this)
+            blockType: this.blockType.bind(this),
+            html2md: this.html2md.bind(this),
+            html2mdTags: this.html2mdTags
         };
     }
 
+    static blockType(element) {
+        return element.classList.contains('poem-block') ? 'poem' : null;
+    }
+
     static parseMarkdownBlock(lines, currentIndex, parser) {
         const line = lines[currentIndex].trim();
         if (line !== '...شعر') return null;
@@ -25,8 +34,8 @@ export class PoemPlugin extends Plugin {
 
         let contentHtml = '';
         for (let j = 0; j < nonEmptyLines.length; j += 2) {
-            const misra1 = parseInline(nonEmptyLines[j]?.trim() || '');
-            const misra2 = parseInline(nonEmptyLines[j + 1]?.trim() || '');
+            const misra1 = parseInline(nonEmptyLines[j]?.trim() || '', parser?.inlineRules);
+            const misra2 = parseInline(nonEmptyLines[j + 1]?.trim() || '', parser?.inlineRules);
             
             // Only create a couplet if the first part exists.
             if (misra1) {
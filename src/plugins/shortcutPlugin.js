@@ -1,12 +1,19 @@
 
 import Plugin from './plugin.js';
 import { moveCursorToEnd } from '../utils/dom.js';
+import { getSelectedBlocks, getListType, setBlockType, wrapList, unwrapList } from '../renderers/transforms.js';
+import { COPY_BUTTON_HTML } from '../renderers/htmlRenderer.js';
 
 export class ShortcutPlugin extends Plugin {
-    static install(editor) {
+    /**
+     * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {object} options
+     * @param {import('../core/pluginContext.js').default} context
+     */
+    static install(editor, options, context) {
         // --- HELPER: INLINE FORMATTING ---
         const applyInlineFormat = (prefix, suffix = prefix) => {
-            const sel = window.getSelection();
+            const sel = editor.selection.selection;
             if (!sel || !sel.rangeCount) return true;
 
             const range = sel.getRangeAt(0);
@@ -32,12 +39,12 @@ export class ShortcutPlugin extends Plugin {
             }
 
             editor.saveContent();
-            editor.events.emit('input');
+            editor.emitInput();
             return true;
         };
 
         const createLink = () => {
-            const sel = window.getSelection();
+            const sel = editor.selection.selection;
             if (!sel || !sel.rangeCount) return true;
 
             const range = sel.getRangeAt(0);
@@ -60,12 +67,12 @@ export class ShortcutPlugin extends Plugin {
             sel.addRange(newRange);
             
             editor.saveContent();
-            editor.events.emit('input');
+            editor.emitInput();
             return true;
         };
         
         const insertImagePlaceholder = () => {
-            const sel = window.getSelection();
+            const sel = editor.selection.selection;
             if (!sel || !sel.rangeCount) return true;
 
             const range = sel.getRangeAt(0);
@@ -84,123 +91,51 @@ export class ShortcutPlugin extends Plugin {
             sel.addRange(newRange);
             
             editor.saveContent();
-            editor.events.emit('input');
+            editor.emitInput();
             return true;
         };
 
         // --- HELPER: BLOCK FORMATTING ---
-        const getSelectedBlocks = () => {
-            const sel = window.getSelection();
-            if (!sel?.rangeCount) return [];
-
-            const getBlock = (node) => {
-                if (!node || !editor.element.contains(node)) return null;
-                let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
-                while (current && current.parentElement !== editor.element) {
-                    current = current.parentElement;
-                }
-                return current && current.parentElement === editor.element ? current : null;
-            };
-
-            const range = sel.getRangeAt(0);
-            const startBlock = getBlock(range.startContainer);
-            if (!startBlock) return [];
-            if (range.collapsed) return [startBlock];
-
-            const endBlock = getBlock(range.endContainer);
-            const blocks = [startBlock];
-            let current = startBlock;
-            while (current && current !== endBlock) {
-                current = current.nextElementSibling;
-                if (current) blocks.push(current);
-            }
-            return blocks;
-        };
-
         const toggleBlockFormat = (format) => {
-            const headingMatch = format.match(/^h([1-4])$/);
-            
-            if (headingMatch) {
-                const block = getSelectedBlocks()[0];
-                if (!block) return true;
+            const blocks = getSelectedBlocks(editor);
+            if (blocks.length === 0) return true;
 
-                if (block.tagName.toLowerCase() === format) {
-                    document.execCommand('formatBlock', false, 'div');
-                } else {
-                    document.execCommand('formatBlock', false, format);
-                }
+            if (/^h[1-4]$/.test(format)) {
+                const block = blocks[0];
+                setBlockType(editor, block, block.tagName.toLowerCase() === format ? 'paragraph' : format);
             } else if (['ol', 'ul', 'checklist'].includes(format)) {
-                document.execCommand(format === 'ol' ? 'insertOrderedList' : 'insertUnorderedList');
-                
-                if (format === 'checklist') {
-                    setTimeout(() => {
-                        const sel = window.getSelection();
-                        if (!sel.rangeCount) return;
-                        const list = sel.getRangeAt(0).startContainer.closest('ul, ol');
-
-                        if (!list) return;
-
-                        list.classList.add('checklist');
-                        list.querySelectorAll('li').forEach(li => {
-                            if (li.classList.contains('checklist-item')) return;
-                            
-                            li.classList.add('checklist-item');
-                            const content = li.innerHTML;
-                            li.innerHTML = '';
-                            
-                            const checkbox = document.createElement('input');
-                            checkbox.type = 'checkbox';
-                            const span = document.createElement('span');
-                            span.innerHTML = content || '&#8203;';
-                            
-                            const wrapper = document.createElement('div');
-                            wrapper.className = 'checklist-content-wrapper';
-                            wrapper.appendChild(checkbox);
-                            wrapper.appendChild(span);
-                            li.appendChild(wrapper);
-                        });
-
-                        const firstSpan = list.querySelector('li span');
-                        if (firstSpan) moveCursorToEnd(firstSpan);
-                        editor.saveContent();
-                    }, 0);
+                if (blocks.length === 1 && getListType(blocks[0]) === format) {
+                    unwrapList(editor, blocks[0]);
+                } else {
+                    wrapList(editor, blocks, format);
                 }
             }
-            
-            if (format !== 'checklist') {
-                editor.saveContent();
-            }
+
+            editor.saveContent();
+            editor.emitInput();
             return true;
         };
         
         const applyQuote = () => {
-            const block = getSelectedBlocks()[0];
-            if (!block) return true;
+            const blocks = getSelectedBlocks(editor);
+            if (blocks.length === 0) return true;
 
-            const range = document.createRange();
-            range.selectNodeContents(block);
-            range.collapse(true);
-            
-            const sel = window.getSelection();
-            sel.removeAllRanges();
-            sel.addRange(range);
-            
-            document.execCommand('insertText', false, '> ');
+            const isQuote = blocks.length === 1 && blocks[0].tagName === 'BLOCKQUOTE';
+            setBlockType(editor, blocks, isQuote ? 'paragraph' : 'blockquote');
 
             editor.saveContent();
-            editor.events.emit('input');
+            editor.emitInput();
             return true;
         };
         
         const insertCodeBlock = () => {
-             const block = getSelectedBlocks()[0];
+             const block = getSelectedBlocks(editor)[0];
              if (!block) return true;
 
-             const copyButtonHtml = `<button class="copy-code-btn" title="رونوشت کد"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M4 1.5H3a2 2 0 0 0-2 2V14a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3.5a2 2 0 0 0-2-2h-1v1h1a1 1 0 0 1 1 1V14a1 1 0 0 1-1 1H3a1 1 0 0 1-1-1V3.5a1 1 0 0 1 1-1h1v-1z"/><path d="M9.5 1a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-3a.5.5 0 0 1-.5-.5v-1a.5.5 0 0 1 .5-.5h3zm-3-1A1.5 1.5 0 0 0 5 1.5v1A1.5 1.5 0 0 0 6.5 4h3A1.5 1.5 0 0 0 11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3z"/></svg><span>رونوشت</span></button>`;
-             const codeBlockHtml = `<div class="code-block-wrapper">${copyButtonHtml}<pre><code>&#8203;</code></pre></div>`;
+             const codeBlockHtml = `<div class="code-block-wrapper">${COPY_BUTTON_HTML}<pre><code>&#8203;</code></pre></div>`;
              
-             const newElement = editor.renderer.createFromHTML(codeBlockHtml);
-             editor.renderer.replace(block, newElement);
+             const newElement = editor.renderer.replace(block, editor.renderer.createFromHTML(codeBlockHtml));
+             if (!newElement) return true;
              
              const codeElement = newElement.querySelector('code');
              if (codeElement) moveCursorToEnd(codeElement);
@@ -210,14 +145,14 @@ export class ShortcutPlugin extends Plugin {
         };
         
         const insertTable = () => {
-            const block = getSelectedBlocks()[0];
+            const block = getSelectedBlocks(editor)[0];
             if (!block) return true;
             
             const tableHtml = `<table><thead><tr><th style="text-align: right;">عنوان ۱</th><th style="text-align: right;">عنوان ۲</th></tr></thead><tbody><tr><td style="text-align: right;"><br></td><td style="text-align: right;"><br></td></tr></tbody></table>`;
-            const newElement = editor.renderer.createFromHTML(tableHtml);
+            let newElement = editor.renderer.createFromHTML(tableHtml);
             
             if (block.textContent.trim() === '') {
-                editor.renderer.replace(block, newElement);
+                newElement = editor.renderer.replace(block, newElement) || newElement;
             } else {
                 block.after(newElement);
             }
@@ -229,31 +164,111 @@ export class ShortcutPlugin extends Plugin {
             return true;
         };
 
+        // --- HELPER: COMMAND STATE ---
+        const hasSelection = () => {
+            const range = editor.selection.range;
+            return !!range && editor.element.contains(range.startContainer);
+        };
+
+        const isInside = (selector) => {
+            const parent = editor.selection.parentElement;
+            if (!parent || !editor.element.contains(parent)) return false;
+            const match = parent.closest(selector);
+            return !!match && editor.element.contains(match);
+        };
+
+        // Formatted elements under the caret are shown as raw markdown, so check that too.
+        const isRawWrapped = (prefix, suffix = prefix) => {
+            const rawNode = editor.mouseHandler && editor.mouseHandler.activeRawNode;
+            if (!rawNode || rawNode.nodeType !== Node.TEXT_NODE) return false;
+            const text = rawNode.textContent;
+            return text.length > prefix.length + suffix.length && text.startsWith(prefix) && text.endsWith(suffix);
+        };
+
+        const currentBlock = () => getSelectedBlocks(editor)[0] || null;
+
+        // --- REGISTER COMMANDS ---
+        const inlineCommand = (prefix, selector, isActive) => ({
+            execute: () => applyInlineFormat(prefix),
+            canExecute: hasSelection,
+            isActive: isActive || (() => isInside(selector) || isRawWrapped(prefix))
+        });
+
+        context.registerCommand('bold', inlineCommand('**', 'strong'));
+        context.registerCommand('italic', inlineCommand('*', 'em', () => isInside('em') || (isRawWrapped('*') && !isRawWrapped('**'))));
+        context.registerCommand('strikethrough', inlineCommand('~~', 'del'));
+        context.registerCommand('code', inlineCommand('`', 'code:not(pre *)'));
+        context.registerCommand('highlight', inlineCommand('==', 'mark'));
+        context.registerCommand('link', {
+            execute: createLink,
+            canExecute: hasSelection,
+            isActive: () => isInside('a') || (isRawWrapped('[', ')') && /\]\(/.test(editor.mouseHandler.activeRawNode.textContent))
+        });
+        context.registerCommand('image', { execute: insertImagePlaceholder, canExecute: hasSelection });
+
+        [1, 2, 3, 4].forEach(level => {
+            context.registerCommand(`heading${level}`, {
+                execute: () => toggleBlockFormat(`h${level}`),
+                canExecute: hasSelection,
+                isActive: () => currentBlock()?.tagName === `H${level}`
+            });
+        });
+
+        [['orderedList', 'ol'], ['bulletList', 'ul'], ['checklist', 'checklist']].forEach(([name, format]) => {
+            context.registerCommand(name, {
+                execute: () => toggleBlockFormat(format),
+                canExecute: hasSelection,
+                isActive: () => getListType(currentBlock()) === format
+            });
+        });
+
+        context.registerCommand('quote', {
+            execute: applyQuote,
+            canExecute: hasSelection,
+            isActive: () => currentBlock()?.tagName === 'BLOCKQUOTE'
+        });
+        context.registerCommand('codeBlock', {
+            execute: insertCodeBlock,
+            canExecute: hasSelection,
+            isActive: () => isInside('.code-block-wrapper')
+        });
+        context.registerCommand('table', {
+            execute: insertTable,
+            canExecute: hasSelection,
+            isActive: () => isInside('table')
+        });
+
         // --- REGISTER SHORTCUTS ---
+        const bind = (keys, modifiers, command) => {
+            keys.forEach(k => context.registerShortcut(k, modifiers, () => {
+                editor.commands.execute(command);
+                return true;
+            }));
+        };
         
         // INLINE: Ctrl + Key
-        ['b', 'ذ'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => applyInlineFormat('**')));
-        ['i', 'ه'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => applyInlineFormat('*')));
-        ['u', 'ع'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => applyInlineFormat('~~')));
-        ['k', 'ن'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], createLink));
-        ['`', 'پ'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => applyInlineFormat('`')));
+        bind(['b', 'ذ'], ['ctrl'], 'bold');
+        bind(['i', 'ه'], ['ctrl'], 'italic');
+        bind(['u', 'ع'], ['ctrl'], 'strikethrough');
+        bind(['k', 'ن'], ['ctrl'], 'link');
+        bind(['`', 'پ'], ['ctrl'], 'code');
         
         // INLINE: Ctrl + Alt + Key
-        ['h', 'ا'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], () => applyInlineFormat('==')));
-        ['i', 'ه'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], insertImagePlaceholder));
+        bind(['h', 'ا'], ['ctrl', 'alt'], 'highlight');
+        bind(['i', 'ه'], ['ctrl', 'alt'], 'image');
 
         // BLOCK: Ctrl + Number
-        ['1', '۱'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => toggleBlockFormat('h1')));
-        ['2', '۲'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => toggleBlockFormat('h2')));
-        ['3', '۳'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => toggleBlockFormat('h3')));
-        ['4', '۴'].forEach(k => editor.keyboardHandler.register(k, ['ctrl'], () => toggleBlockFormat('h4')));
+        bind(['1', '۱'], ['ctrl'], 'heading1');
+        bind(['2', '۲'], ['ctrl'], 'heading2');
+        bind(['3', '۳'], ['ctrl'], 'heading3');
+        bind(['4', '۴'], ['ctrl'], 'heading4');
         
         // BLOCK: Ctrl + Alt + Key
-        ['l', 'م'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], () => toggleBlockFormat('ol')));
-        ['u', 'ع'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], () => toggleBlockFormat('ul')));
-        ['b', 'ذ'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], () => toggleBlockFormat('checklist')));
-        ['q', 'ض'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], applyQuote));
-        ['c', 'ز'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], insertCodeBlock));
-        ['t', 'ف'].forEach(k => editor.keyboardHandler.register(k, ['ctrl', 'alt'], insertTable));
+        bind(['l', 'م'], ['ctrl', 'alt'], 'orderedList');
+        bind(['u', 'ع'], ['ctrl', 'alt'], 'bulletList');
+        bind(['b', 'ذ'], ['ctrl', 'alt'], 'checklist');
+        bind(['q', 'ض'], ['ctrl', 'alt'], 'quote');
+        bind(['c', 'ز'], ['ctrl', 'alt'], 'codeBlock');
+        bind(['t', 'ف'], ['ctrl', 'alt'], 'table');
     }
 }
@@ -3,22 +3,28 @@ import { moveCursorToEnd } from '../utils/dom.js';
 import { parseInline } from '../parsers/inlineParser.js';
 
 export class TablePlugin extends Plugin {
+    /** Tags handled by `html2md`; other elements are not passed to it. */
+    static html2mdTags = ['TABLE'];
+
     /**
      * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {object} options
+     * @param {import('../core/pluginContext.js').default} context
      */
-    static install(editor) {
-        editor.keyboardHandler.register('Enter', [], (e) => this.handleEnter(e, editor));
-        editor.keyboardHandler.register('ArrowUp', [], (e) => this.handleArrowKeys(e, editor));
-        editor.keyboardHandler.register('ArrowDown', [], (e) => this.handleArrowKeys(e, editor));
-        editor.keyboardHandler.register('ArrowLeft', [], (e) => this.handleArrowKeys(e, editor));
-        editor.keyboardHandler.register('ArrowRight', [], (e) => this.handleArrowKeys(e, editor));
-        editor.keyboardHandler.register('Tab', [], (e) => this.handleTab(e, editor));
-        editor.keyboardHandler.register('Tab', ['shift'], (e) => this.handleShiftTab(e, editor));
-        editor.keyboardHandler.register('Backspace', [], (e) => this.handleBackspace(e, editor));
+    static install(editor, options, context) {
+        context.registerShortcut('Enter', [], (e) => this.handleEnter(e, editor));
+        context.registerShortcut('ArrowUp', [], (e) => this.handleArrowKeys(e, editor));
+        context.registerShortcut('ArrowDown', [], (e) => this.handleArrowKeys(e, editor));
+        context.registerShortcut('ArrowLeft', [], (e) => this.handleArrowKeys(e, editor));
+        context.registerShortcut('ArrowRight', [], (e) => this.handleArrowKeys(e, editor));
+        context.registerShortcut('Tab', [], (e) => this.handleTab(e, editor));
+        context.registerShortcut('Tab', ['shift'], (e) => this.handleShiftTab(e, editor));
+        context.registerShortcut('Backspace', [], (e) => this.handleBackspace(e, editor));
 
         return {
             markdownBlockParser: this.parseMarkdownBlock.bind(this),
-            html2md: this.html2md.bind(this)
+            html2md: this.html2md.bind(this),
+            html2mdTags: this.html2mdTags
         };
     }
 
@@ -26,7 +32,7 @@ export class TablePlugin extends Plugin {
         const cell = editor.selection.parentElement.closest('td, th');
         if (!cell) return false;
     
-        const sel = window.getSelection();
+        const sel = editor.selection.selection;
         if (!sel.rangeCount || !sel.isCollapsed) return false;
         const range = sel.getRangeAt(0);
     
@@ -198,7 +204,7 @@ export class TablePlugin extends Plugin {
         return true;
     }
 
-    static parseMarkdownBlock(lines, currentIndex) {
+    static parseMarkdownBlock(lines, currentIndex, parser) {
         const headerLine = lines[currentIndex];
         const separatorLine = lines[currentIndex + 1];
     
@@ -220,7 +226,7 @@ export class TablePlugin extends Plugin {
     
         let html = '<table><thead><tr>';
         headers.forEach((h, i) => {
-            html += `<th style="text-align: ${alignments[i] || 'right'};">${parseInline(h)}</th>`;
+            html += `<th style="text-align: ${alignments[i] || 'right'};">${parseInline(h, parser?.inlineRules)}</th>`;
         });
         html += '</tr></thead><tbody>';
         
@@ -232,7 +238,7 @@ export class TablePlugin extends Plugin {
             html += '<tr>';
             for (let j = 0; j < headers.length; j++) {
                 const alignStyle = `style="text-align: ${alignments[j] || 'right'};"`;
-                html += `<td ${alignStyle}>${parseInline(cells[j] || '')}</td>`;
+                html += `<td ${alignStyle}>${parseInline(cells[j] || '', parser?.inlineRules)}</td>`;
             }
             html += '</tr>';
             i++;
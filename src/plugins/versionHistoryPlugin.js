@@ -0,0 +1,152 @@
+import Plugin from './plugin.js';
+import { renderDiff } from '../renderers/diffRenderer.js';
+
+/**
+ * @typedef {object} VersionHistoryOptions
+ * @property {HTMLElement|string} [container] - Element (or selector) the panel is appended to; by default the
+ *   panel is inserted right after the editor element.
+ * @property {number} [context=1] - Unchanged blocks shown around each change in the diff.
+ */
+
+/**
+ * An optional panel for `editor.versions`: lists the saved versions of the open document, shows the changes
+ * between a version and the current content, and restores the whole version or only the selected changes.
+ * The panel starts hidden; open it with the returned API or the `versionHistory` command.
+ */
+export class VersionHistoryPlugin extends Plugin {
+    /**
+     * @param {import('../core/editor.js').DabirEditor} editor
+     * @param {VersionHistoryOptions} options
+     * @param {import('../core/pluginContext.js').default} context
+     * @returns {{element: HTMLElement, open: () => Promise<void>, close: () => void, toggle: () => Promise<void>, readonly isOpen: boolean}}
+     */
+    static install(editor, options = {}, context) {
+        const panel = this.createPanel();
+        const container = typeof options.container === 'string' ? document.querySelector(options.container) : options.container;
+        if (container) container.appendChild(panel);
+        else editor.element.after(panel);
+        context.addCleanup(() => panel.remove());
+
+        const list = panel.querySelector('.dabir-versions-list');
+        const diff = panel.querySelector('.dabir-versions-diff');
+        const restoreButton = panel.querySelector('[data-action="restore"]');
+        const restoreSelectedButton = panel.querySelector('[data-action="restoreSelected"]');
+        let selectedId = null;
+
+        const updateButtons = () => {
+            restoreButton.disabled = selectedId === null || editor.isReadOnly;
+            restoreSelectedButton.disabled = restoreButton.disabled || !diff.querySelector('.dabir-diff-select:checked');
+        };
+
+        const showDiff = async () => {
+            const changes = selectedId === null ? null : await editor.versions.diff(selectedId);
+            if (panel.hidden) return;
+            diff.innerHTML = changes
+                ? renderDiff(changes, { context: options.context, selectable: !editor.isReadOnly })
+                : '<p class="dabir-versions-empty">نسخه‌ای برای مقایسه انتخاب کنید.</p>';
+            list.querySelectorAll('[data-version]').forEach(item => {
+                item.setAttribute('aria-current', String(item.dataset.version === selectedId));
+            });
+            updateButtons();
+        };
+
+        const refresh = async () => {
+            if (panel.hidden) return;
+            const versions = await editor.versions.list() || [];
+            if (panel.hidden) return;
+            if (!versions.some(version => version.id === selectedId)) selectedId = versions.length > 0 ? versions[0].id : null;
+            list.replaceChildren(...versions.map(version => this.createItem(version)));
+            if (versions.length === 0) list.innerHTML = '<li class="dabir-versions-empty">هنوز نسخه‌ای ذخیره نشده است.</li>';
+            await showDiff();
+        };
+
+        const api = {
+            element: panel,
+            get isOpen() {
+                return !panel.hidden;
+            },
+            open() {
+                panel.hidden = false;
+                return refresh();
+            },
+            close() {
+                panel.hidden = true;
+                diff.replaceChildren();
+            },
+            toggle() {
+                return panel.hidden ? api.open() : Promise.resolve(api.close());
+            }
+        };
+
+        panel.addEventListener('click', async (event) => {
+            const item = event.target.closest('[data-version]');
+            if (item) {
+                selectedId = item.dataset.version;
+                showDiff();
+                return;
+            }
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'close') api.close();
+            else if (action === 'snapshot') editor.versions.snapshot();
+            else if (action === 'restore') editor.versions.restore(selectedId);
+            else if (action === 'restoreSelected') {
+                const changes = Array.from(diff.querySelectorAll('.dabir-diff-select:checked'), input => Number(input.dataset.change));
+                editor.versions.restoreChanges(selectedId, changes);
+            }
+        });
+        panel.addEventListener('change', updateButtons);
+
+        context.on('versionCreate', refresh);
+        context.on('versionRestore', refresh);
+        context.on('documentChange', () => {
+            selectedId = null;
+            refresh();
+        });
+        context.on('readOnlyChange', showDiff);
+        context.registerCommand('versionHistory', {
+            execute: () => api.toggle(),
+            isActive: () => !panel.hidden
+        });
+
+        return api;
+    }
+
+    /**
+     * @returns {HTMLElement}
+     */
+    static createPanel() {
+        const panel = document.createElement('aside');
+        panel.className = 'dabir-versions';
+        panel.dir = 'rtl';
+        panel.hidden = true;
+        panel.setAttribute('aria-label', 'نسخه‌ها');
+        panel.innerHTML = '<div class="dabir-versions-header"><strong>نسخه‌ها</strong>'
+            + '<button type="button" data-action="snapshot">ذخیره نسخه</button>'
+            + '<button type="button" data-action="close" aria-label="بستن">×</button></div>'
+            + '<ol class="dabir-versions-list"></ol>'
+            + '<div class="dabir-versions-diff"></div>'
+            + '<div class="dabir-versions-actions">'
+            + '<button type="button" data-action="restore">بازگردانی کامل</button>'
+            + '<button type="button" data-action="restoreSelected">بازگردانی موارد انتخاب‌شده</button></div>';
+        return panel;
+    }
+
+    /**
+     * @param {import('../core/versions.js').VersionInfo} version
+     * @returns {HTMLElement}
+     */
+    static createItem(version) {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.version = version.id;
+        const time = document.createElement('time');
+        time.dateTime = new Date(version.created).toISOString();
+        time.textContent = new Date(version.created).toLocaleString('fa-IR');
+        const details = document.createElement('span');
+        details.textContent = [version.label, `${version.words.toLocaleString('fa-IR')} کلمه`].filter(Boolean).join(' · ');
+        button.append(time, details);
+        item.appendChild(button);
+        return item;
+    }
+}
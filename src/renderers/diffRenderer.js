@@ -0,0 +1,86 @@
+import { escapeHTML, escapeAttribute } from './htmlRenderer.js';
+
+/**
+ * Renders the differences between two versions (see `diffMarkdown`) to an HTML string.
+ * Blocks are shown as markdown source, each with `dir="auto"`, so Persian and English paragraphs keep
+ * their own direction; removed and added words are marked with `<del>` and `<ins>`.
+ */
+
+/**
+ * @typedef {object} DiffRenderOptions
+ * @property {number} [context=1] - Unchanged blocks shown around each change; the rest are collapsed.
+ *   `Infinity` shows the whole document.
+ * @property {boolean} [selectable=false] - Adds a checkbox (`data-change` holds the change index) to every
+ *   change, for restoring only the selected changes.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function renderBlock(text) {
+    return `<div class="dabir-diff-block" dir="auto">${escapeHTML(text)}</div>`;
+}
+
+/**
+ * @param {'insert'|'delete'} type
+ * @param {string[]} blocks
+ * @returns {string}
+ */
+function renderMarked(type, blocks) {
+    const tag = type === 'insert' ? 'ins' : 'del';
+    return blocks.map(block => `<div class="dabir-diff-block" dir="auto"><${tag}>${escapeHTML(block)}</${tag}></div>`).join('');
+}
+
+/**
+ * @param {import('../utils/textDiff.js').DiffPart[]} parts
+ * @returns {string}
+ */
+function renderWords(parts) {
+    const html = parts.map(({ type, text }) => {
+        const escaped = escapeHTML(text);
+        if (type === 'insert') return `<ins>${escaped}</ins>`;
+        if (type === 'delete') return `<del>${escaped}</del>`;
+        return escaped;
+    }).join('');
+    return `<div class="dabir-diff-block" dir="auto">${html}</div>`;
+}
+
+/**
+ * @param {number} count
+ * @returns {string}
+ */
+function renderCollapsed(count) {
+    return `<div class="dabir-diff-collapsed">${count.toLocaleString('fa-IR')} بلوک بدون تغییر</div>`;
+}
+
+/**
+ * @param {import('../utils/textDiff.js').BlockChange[]} changes
+ * @param {DiffRenderOptions} [options={}]
+ * @returns {string}
+ */
+export function renderDiff(changes, options = {}) {
+    const context = typeof options.context === 'number' && options.context >= 0 ? options.context : 1;
+    const html = changes.map((change, index) => {
+        if (change.type === 'equal') {
+            const blocks = change.after;
+            const leading = index > 0 ? Math.min(context, blocks.length) : 0;
+            const trailing = index < changes.length - 1 ? Math.min(context, blocks.length - leading) : 0;
+            const hidden = blocks.length - leading - trailing;
+            return [
+                ...blocks.slice(0, leading).map(renderBlock),
+                hidden > 0 ? renderCollapsed(hidden) : '',
+                ...blocks.slice(blocks.length - trailing).map(renderBlock)
+            ].join('');
+        }
+
+        const body = change.type === 'change'
+            ? renderWords(change.words)
+            : renderMarked(change.type, change.type === 'insert' ? change.after : change.before);
+        const checkbox = options.selectable
+            ? `<input type="checkbox" class="dabir-diff-select" data-change="${escapeAttribute(index)}" aria-label="انتخاب این تغییر">`
+            : '';
+        return `<div class="dabir-diff-hunk dabir-diff-${change.type}" data-change="${escapeAttribute(index)}">${checkbox}<div class="dabir-diff-body">${body}</div></div>`;
+    }).join('');
+    return `<div class="dabir-diff">${html}</div>`;
+}
@@ -0,0 +1,105 @@
+/**
+ * Renders the markdown AST (see `parseToAST`) to an HTML string.
+ * The output is the exact markup the editor works with, so that parsed
+ * content, live-parsed lines and toolbar transforms all share one structure.
+ */
+
+export const COPY_BUTTON_HTML = `<button type="button" class="copy-code-btn" title="رونوشت کد"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M4 1.5H3a2 2 0 0 0-2 2V14a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2V3.5a2 2 0 0 0-2-2h-1v1h1a1 1 0 0 1 1 1V14a1 1 0 0 1-1 1H3a1 1 0 0 1-1-1V3.5a1 1 0 0 1 1-1h1v-1z"/><path d="M9.5 1a.5.5 0 0 1 .5.5v1a.5.5 0 0 1-.5.5h-3a.5.5 0 0 1-.5-.5v-1a.5.5 0 0 1 .5-.5h3zm-3-1A1.5 1.5 0 0 0 5 1.5v1A1.5 1.5 0 0 0 6.5 4h3A1.5 1.5 0 0 0 11 2.5v-1A1.5 1.5 0 0 0 9.5 0h-3z"/></svg><span>رونوشت</span></button>`;
+
+const INLINE_TAGS = {
+    strong: 'strong',
+    emphasis: 'em',
+    delete: 'del',
+    mark: 'mark'
+};
+
+/**
+ * Escapes text that must never be interpreted as markup (code contents).
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders a list of inline nodes.
+ * @param {import('../parsers/inlineParser.js').InlineNode[]} nodes
+ * @returns {string}
+ */
+export function renderInline(nodes) {
+    return (nodes || []).map(node => {
+        switch (node.type) {
+            case 'text': return node.value;
+            case 'inlineCode': return `<code>${escapeHTML(node.value)}</code>`;
+            case 'break': return '<br>';
+            case 'link': return `<a href="${escapeAttribute(node.url)}" target="_blank">${renderInline(node.children)}</a>`;
+            case 'plugin': return node.html || '';
+            default: {
+                const tag = INLINE_TAGS[node.type];
+                return tag ? `<${tag}>${renderInline(node.children)}</${tag}>` : '';
+            }
+        }
+    }).join('');
+}
+
+/**
+ * @param {object} item - A `listItem` node.
+ * @returns {string}
+ */
+function renderListItem(item) {
+    const paragraph = item.children.find(child => child.type === 'paragraph');
+    const content = renderInline(paragraph ? paragraph.children : []);
+    const sublists = item.children.filter(child => child.type === 'list').map(renderNode).join('');
+
+    if (typeof item.checked === 'boolean') {
+        const checked = item.checked;
+        return `<li class="checklist-item${checked ? ' checked' : ''}"><div class="checklist-content-wrapper"><input type="checkbox"${checked ? ' checked' : ''}><span>${content}</span></div>${sublists}</li>`;
+    }
+    return `<li>${content}${sublists}</li>`;
+}
+
+/**
+ * Renders a single block node.
+ * @param {object} node
+ * @returns {string}
+ */
+export function renderNode(node) {
+    switch (node.type) {
+        case 'root':
+            return node.children.length > 0 ? node.children.map(renderNode).join('') : '<div><br></div>';
+        case 'paragraph':
+            return `<div>${renderInline(node.children) || '<br>'}</div>`;
+        case 'heading':
+            return `<h${node.depth}>${renderInline(node.children)}</h${node.depth}>`;
+        case 'thematicBreak':
+            return '<hr>';
+        case 'blockquote':
+            return `<blockquote>${node.children.map(renderNode).join('')}</blockquote>`;
+        case 'image': {
+            const figcaption = node.alt ? `<figcaption>${node.alt}</figcaption>` : '';
+            return `<figure><img src="${escapeAttribute(node.url)}" alt="${escapeAttribute(node.alt)}">${figcaption}</figure>`;
+        }
+        case 'list': {
+            const tag = node.ordered ? 'ol' : 'ul';
+            const classAttr = node.checklist ? ' class="checklist"' : '';
+            return `<${tag}${classAttr}>${node.children.map(renderListItem).join('')}</${tag}>`;
+        }
+        case 'code': {
+            const classAttr = node.lang ? ` class="language-${escapeAttribute(node.lang)}"` : '';
+            return `<div class="code-block-wrapper">${COPY_BUTTON_HTML}<pre><code${classAttr}>${escapeHTML(node.value)}</code></pre></div>`;
+        }
+        case 'plugin':
+            return node.html || '';
+        default:
+            return '';
+    }
+}
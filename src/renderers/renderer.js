@@ -1,3 +1,5 @@
+import { diff, morphHTML } from '../utils/diff.js';
+
 
 /**
  * Handles rendering and DOM updates.
@@ -13,17 +15,49 @@ export class Renderer {
 
     /**
      * Replaces an element with a new node.
+     * When both are elements with the same tag, the old element is morphed in place
+     * instead, so its identity, block ID and any state attached to it survive.
      * @param {Node} oldNode The node to be replaced.
      * @param {Node} newNode The new node.
+     * @returns {Node|null} The node that is now in the document.
      */
     replace(oldNode, newNode) {
         try {
             if (oldNode && oldNode.parentNode) {
-                oldNode.parentNode.replaceChild(newNode, oldNode);
-                this.editor.events.emit('render:replace', { oldNode, newNode });
+                let liveNode = newNode;
+                if (oldNode.nodeType === Node.ELEMENT_NODE && newNode.nodeType === Node.ELEMENT_NODE &&
+                    oldNode.tagName === newNode.tagName) {
+                    diff(oldNode, newNode, { childrenOnly: false });
+                    liveNode = oldNode;
+                } else {
+                    // The new node takes over the block ID so references survive the re-render.
+                    const blockId = oldNode.nodeType === Node.ELEMENT_NODE ? oldNode.getAttribute('data-block-id') : null;
+                    if (blockId && newNode.nodeType === Node.ELEMENT_NODE && !newNode.hasAttribute('data-block-id')) {
+                        newNode.setAttribute('data-block-id', blockId);
+                    }
+                    oldNode.parentNode.replaceChild(newNode, oldNode);
+                }
+                this.editor.events.emit('render:replace', { oldNode, newNode: liveNode });
+                return liveNode;
             }
         } catch (error) {
-            console.error('Dabir.js Error: Renderer.replace crashed.', error);
+            this.editor.logger.error('RENDER_FAILED', 'Renderer.replace crashed.', { error, module: 'renderer', input: newNode });
+        }
+        return null;
+    }
+
+    /**
+     * Morphs the content of an element to the given HTML, patching only what changed.
+     * Plugins should prefer this over assigning `innerHTML` when re-rendering a block.
+     * @param {HTMLElement} element
+     * @param {string} html
+     */
+    morph(element, html) {
+        try {
+            morphHTML(element, html);
+            this.editor.events.emit('render:morph', { element });
+        } catch (error) {
+            this.editor.logger.error('RENDER_FAILED', 'Renderer.morph crashed.', { error, module: 'renderer', input: html });
         }
     }
 
@@ -38,7 +72,7 @@ export class Renderer {
             template.innerHTML = htmlString.trim();
             return template.content.firstChild;
         } catch (error) {
-            console.error('Dabir.js Error: Renderer.createFromHTML crashed.', error);
+            this.editor.logger.error('RENDER_FAILED', 'Renderer.createFromHTML crashed.', { error, module: 'renderer', input: htmlString });
             return null;
         }
     }
@@ -0,0 +1,410 @@
+import { moveCursorToEnd } from '../utils/dom.js';
+
+/**
+ * Block-level DOM transforms owned by Dabir.
+ * These replace `document.execCommand` so that the resulting markup is identical in
+ * every browser and matches exactly what `blockParser.js` emits.
+ */
+
+const TEXT_BLOCK_TAGS = ['DIV', 'P', 'H1', 'H2', 'H3', 'H4'];
+const SPECIAL_BLOCK_CLASSES = ['code-block-wrapper', 'dabir-admonition', 'poem-block'];
+
+/**
+ * Finds the top-level block (a direct child of the editor element) containing a node.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Node} node
+ * @returns {HTMLElement|null}
+ */
+export function getBlock(editor, node) {
+    if (!node || !editor.element.contains(node) || node === editor.element) return null;
+    let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    while (current && current.parentElement !== editor.element) {
+        current = current.parentElement;
+    }
+    return current && current.parentElement === editor.element ? current : null;
+}
+
+/**
+ * Returns the top-level blocks touched by the current selection.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @returns {HTMLElement[]}
+ */
+export function getSelectedBlocks(editor) {
+    const range = editor.selection.range;
+    if (!range) return [];
+
+    const startBlock = getBlock(editor, range.startContainer);
+    if (!startBlock) return [];
+    if (range.collapsed) return [startBlock];
+
+    const endBlock = getBlock(editor, range.endContainer);
+    const blocks = [startBlock];
+    let current = startBlock;
+    while (current && current !== endBlock) {
+        current = current.nextElementSibling;
+        if (current) blocks.push(current);
+    }
+    return blocks;
+}
+
+/**
+ * Returns the list flavour of an element as used by the transforms.
+ * @param {Element} element
+ * @returns {'ul'|'ol'|'checklist'|null}
+ */
+export function getListType(element) {
+    if (!element) return null;
+    if (element.tagName === 'OL') return 'ol';
+    if (element.tagName === 'UL') return element.classList.contains('checklist') ? 'checklist' : 'ul';
+    return null;
+}
+
+/**
+ * Whether a block can be treated as a single line of inline content.
+ * @param {Element} block
+ * @returns {boolean}
+ */
+function isTextBlock(block) {
+    return TEXT_BLOCK_TAGS.includes(block.tagName) &&
+        !SPECIAL_BLOCK_CLASSES.some(cls => block.classList.contains(cls));
+}
+
+/**
+ * Collects the inline content of a block as a list of lines.
+ * Nested list items are flattened in document order.
+ * @param {Element} block
+ * @returns {Node[][]|null} Null when the block cannot be converted.
+ */
+function getLines(block) {
+    if (isTextBlock(block)) {
+        return [Array.from(block.childNodes)];
+    }
+    if (block.tagName === 'BLOCKQUOTE') {
+        return Array.from(block.children).map(line => Array.from(line.childNodes));
+    }
+    if (block.tagName === 'UL' || block.tagName === 'OL') {
+        const lines = [];
+        const walkList = (list) => {
+            Array.from(list.children).forEach(li => {
+                if (li.tagName !== 'LI') return;
+                const content = [];
+                const sublists = [];
+                li.childNodes.forEach(child => {
+                    if (child.tagName === 'UL' || child.tagName === 'OL') {
+                        sublists.push(child);
+                    } else if (child.classList && child.classList.contains('checklist-content-wrapper')) {
+                        const span = child.querySelector('span');
+                        if (span) content.push(...span.childNodes);
+                    } else {
+                        content.push(child);
+                    }
+                });
+                lines.push(content);
+                sublists.forEach(walkList);
+            });
+        };
+        walkList(block);
+        return lines;
+    }
+    return null;
+}
+
+/**
+ * Moves nodes into a container, making sure it stays focusable when empty.
+ * @param {HTMLElement} container
+ * @param {Node[]} nodes
+ * @returns {HTMLElement}
+ */
+function fill(container, nodes) {
+    nodes.forEach(node => container.appendChild(node));
+    if (!container.firstChild) {
+        container.appendChild(document.createElement('br'));
+    }
+    return container;
+}
+
+/**
+ * Creates a list item with the markup used by the parsers.
+ * @param {'ul'|'ol'|'checklist'} type
+ * @param {Node[]} nodes
+ * @returns {{item: HTMLLIElement, content: HTMLElement}}
+ */
+function createListItem(type, nodes) {
+    const item = document.createElement('li');
+    if (type !== 'checklist') {
+        return { item: fill(item, nodes), content: item };
+    }
+
+    item.className = 'checklist-item';
+    const wrapper = document.createElement('div');
+    wrapper.className = 'checklist-content-wrapper';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    const span = fill(document.createElement('span'), nodes);
+    wrapper.appendChild(checkbox);
+    wrapper.appendChild(span);
+    item.appendChild(wrapper);
+    return { item, content: span };
+}
+
+/**
+ * Replaces a run of blocks with new nodes and restores the caret.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Element[]} blocks
+ * @param {Node[]} newNodes
+ * @param {HTMLElement[]} lineTargets - The element that received each line, in order.
+ * @param {{node: Node, offset: number}|null} caret
+ */
+function replaceBlocks(editor, blocks, newNodes, lineTargets, caret) {
+    const anchor = blocks[0];
+    const blockId = anchor.getAttribute('data-block-id');
+    if (blockId && newNodes[0]) newNodes[0].setAttribute('data-block-id', blockId);
+    newNodes.forEach(node => anchor.before(node));
+    blocks.forEach(block => block.remove());
+
+    if (caret && caret.node.isConnected && editor.element.contains(caret.node)) {
+        const range = document.createRange();
+        const max = caret.node.nodeType === Node.TEXT_NODE ? caret.node.length : caret.node.childNodes.length;
+        range.setStart(caret.node, Math.min(caret.offset, max));
+        range.collapse(true);
+        editor.selection.setRange(range);
+    } else if (lineTargets.length > 0) {
+        moveCursorToEnd(lineTargets[lineTargets.length - 1]);
+    }
+}
+
+/**
+ * Records the caret before nodes are moved around.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @returns {{node: Node, offset: number}|null}
+ */
+function saveCaret(editor) {
+    const range = editor.selection.range;
+    if (!range || !editor.element.contains(range.startContainer)) return null;
+    return { node: range.startContainer, offset: range.startOffset };
+}
+
+/**
+ * Collects lines from several blocks, skipping the ones that cannot be converted.
+ * @param {Element[]} blocks
+ * @returns {{convertible: Element[], lines: Node[][]}}
+ */
+function collectLines(blocks) {
+    const convertible = [];
+    const lines = [];
+    blocks.forEach(block => {
+        const blockLines = getLines(block);
+        if (blockLines) {
+            convertible.push(block);
+            lines.push(...blockLines);
+        }
+    });
+    return { convertible, lines };
+}
+
+/**
+ * Changes the type of one or more blocks while keeping their inline content.
+ * Lists and quotes are split into one line per item.
+ * `beforeBlockTransform` listeners can cancel the transform or pick another block `type`.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Element|Element[]} blocks
+ * @param {'paragraph'|'h1'|'h2'|'h3'|'h4'|'blockquote'} type
+ * @returns {HTMLElement[]} The newly created top-level blocks.
+ */
+export function setBlockType(editor, blocks, type) {
+    const { convertible, lines } = collectLines([].concat(blocks));
+    if (convertible.length === 0) return [];
+
+    const event = editor.events.emitCancelable('beforeBlockTransform', { blocks: convertible, type });
+    if (event.defaultPrevented) return [];
+    type = event.type;
+
+    const caret = saveCaret(editor);
+    const dir = convertible[0].getAttribute('dir');
+    let newBlocks;
+    let lineTargets;
+
+    if (type === 'blockquote') {
+        const quote = document.createElement('blockquote');
+        lineTargets = lines.map(nodes => quote.appendChild(fill(document.createElement('div'), nodes)));
+        newBlocks = [quote];
+    } else {
+        const tagName = /^h[1-4]$/.test(type) ? type : 'div';
+        newBlocks = lines.map(nodes => fill(document.createElement(tagName), nodes));
+        lineTargets = newBlocks;
+    }
+
+    if (dir) newBlocks.forEach(block => block.setAttribute('dir', dir));
+    replaceBlocks(editor, convertible, newBlocks, lineTargets, caret);
+    return newBlocks;
+}
+
+/**
+ * Wraps blocks into a single list. Existing lists are converted to the requested type.
+ * `beforeBlockTransform` listeners can cancel the transform or pick another list `type`.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Element|Element[]} blocks
+ * @param {'ul'|'ol'|'checklist'} type
+ * @returns {HTMLElement|null} The new list element.
+ */
+export function wrapList(editor, blocks, type) {
+    const { convertible, lines } = collectLines([].concat(blocks));
+    if (convertible.length === 0) return null;
+
+    const event = editor.events.emitCancelable('beforeBlockTransform', { blocks: convertible, type });
+    if (event.defaultPrevented) return null;
+    type = event.type;
+
+    const caret = saveCaret(editor);
+    const list = document.createElement(type === 'ol' ? 'ol' : 'ul');
+    if (type === 'checklist') list.className = 'checklist';
+
+    const lineTargets = lines.map(nodes => {
+        const { item, content } = createListItem(type, nodes);
+        list.appendChild(item);
+        return content;
+    });
+
+    replaceBlocks(editor, convertible, [list], lineTargets, caret);
+    return list;
+}
+
+/**
+ * Turns every item of a list (including nested items) back into paragraphs.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {HTMLElement} list
+ * @returns {HTMLElement[]} The new paragraphs.
+ */
+export function unwrapList(editor, list) {
+    if (!getListType(list)) return [];
+    return setBlockType(editor, list, 'paragraph');
+}
+
+/**
+ * Splits the text block containing the range into two blocks at the range start.
+ * Splitting a heading produces a paragraph, as the browsers do on Enter.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Range} range
+ * @returns {[HTMLElement, HTMLElement]|null} The two halves, or null if the block cannot be split.
+ */
+export function splitBlock(editor, range) {
+    const block = getBlock(editor, range.startContainer);
+    if (!block || !isTextBlock(block)) return null;
+
+    if (!range.collapsed) range.deleteContents();
+
+    const tail = document.createRange();
+    tail.setStart(range.startContainer, range.startOffset);
+    tail.setEnd(block, block.childNodes.length);
+    const fragment = tail.extractContents();
+
+    const tagName = /^H[1-4]$/.test(block.tagName) ? 'div' : block.tagName.toLowerCase();
+    const newBlock = document.createElement(tagName);
+    newBlock.appendChild(fragment);
+    block.after(newBlock);
+
+    [block, newBlock].forEach(part => {
+        if (isEmpty(part)) part.innerHTML = '<br>';
+    });
+
+    const caretRange = document.createRange();
+    caretRange.selectNodeContents(newBlock);
+    caretRange.collapse(true);
+    editor.selection.setRange(caretRange);
+
+    return [block, newBlock];
+}
+
+/**
+ * Inserts parsed HTML at a range. A single paragraph is inserted inline;
+ * anything else splits the current block and is placed between the halves.
+ * @param {import('../core/editor.js').DabirEditor} editor
+ * @param {Range} range
+ * @param {string} html - Markup as produced by `MarkdownParser`.
+ * @returns {Node[]} The inserted nodes.
+ */
+export function insertFragment(editor, range, html) {
+    if (!range || !editor.element.contains(range.startContainer)) return [];
+    if (!range.collapsed) range.deleteContents();
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const nodes = Array.from(template.content.childNodes);
+    if (nodes.length === 0) return [];
+
+    const block = getBlock(editor, range.startContainer);
+    const isInlineOnly = !!block && nodes.length === 1 && nodes[0].tagName === 'DIV' && !nodes[0].className;
+
+    // A lone paragraph, or any content inside a nested structure, goes in inline.
+    if (isInlineOnly || (block && !isTextBlock(block) && block !== range.startContainer)) {
+        // The placeholder <br> of an empty line is replaced by the inserted content.
+        if (isInlineOnly && isTextBlock(block) && isEmpty(block)) {
+            block.innerHTML = '';
+            range.selectNodeContents(block);
+        }
+        const inlineNodes = isInlineOnly ? Array.from(nodes[0].childNodes) : inlineContentOf(nodes);
+        const fragment = document.createDocumentFragment();
+        inlineNodes.forEach(node => fragment.appendChild(node));
+        const last = fragment.lastChild;
+        range.insertNode(fragment);
+        if (last) {
+            const caretRange = document.createRange();
+            caretRange.setStartAfter(last);
+            caretRange.collapse(true);
+            editor.selection.setRange(caretRange);
+        }
+        return inlineNodes;
+    }
+
+    let reference = null;
+    let halves = null;
+    if (block) {
+        halves = splitBlock(editor, range);
+        reference = halves ? halves[1] : block.nextSibling;
+    } else if (range.startContainer === editor.element) {
+        reference = editor.element.childNodes[range.startOffset] || null;
+    }
+
+    nodes.forEach(node => editor.element.insertBefore(node, reference));
+
+    if (halves) {
+        halves.forEach(part => {
+            if (isEmpty(part)) part.remove();
+        });
+    }
+
+    const last = nodes[nodes.length - 1];
+    const focusTarget = last.nodeType === Node.ELEMENT_NODE
+        ? (last.querySelector('code') || last.querySelector('td:last-child') || last)
+        : last.parentElement;
+    moveCursorToEnd(focusTarget);
+    return nodes;
+}
+
+/**
+ * Flattens parsed block nodes to inline content separated by line breaks.
+ * @param {Node[]} nodes
+ * @returns {Node[]}
+ */
+function inlineContentOf(nodes) {
+    const result = [];
+    nodes.forEach((node, index) => {
+        if (index > 0) result.push(document.createElement('br'));
+        if (node.nodeType === Node.ELEMENT_NODE && isTextBlock(node)) {
+            result.push(...node.childNodes);
+        } else {
+            result.push(document.createTextNode(node.textContent));
+        }
+    });
+    return result;
+}
+
+/**
+ * Whether a block has no visible content.
+ * @param {Element} block
+ * @returns {boolean}
+ */
+function isEmpty(block) {
+    return block.textContent.replace(/\u200B/g, '').trim() === '' &&
+        !block.querySelector('img, input, hr, table');
+}
@@ -1,15 +1,260 @@
+import { getNodePath, resolveNodePath, getSelectionFor } from './dom.js';
 
 /**
- * Placeholder for a DOM diffing algorithm.
- * A full implementation (like morphdom or similar) would be used here
- * to apply changes to the DOM efficiently without full re-renders.
- * This is a complex feature reserved for future performance optimization.
+ * @typedef {object} DiffOptions
+ * @property {(node: Node) => string|null} [getKey] - Returns the identity key of a node.
+ *   Defaults to the `data-block-id` attribute.
+ * @property {string[]} [preserveAttributes=['data-block-id']] - Attributes that are kept on
+ *   existing elements when the new markup does not specify them.
+ * @property {boolean} [childrenOnly=true] - When false, the attributes of `fromNode` itself are patched too.
+ * @property {boolean} [preserveSelection=true] - Keep the caret/selection where it was.
+ */
+
+const DEFAULT_OPTIONS = {
+    getKey: (node) => node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-block-id') : null,
+    preserveAttributes: ['data-block-id'],
+    childrenOnly: true,
+    preserveSelection: true
+};
+
+/**
+ * A content signature used to pair unkeyed nodes that did not change.
+ * Attributes are left out on purpose: plugins add their own (e.g. `dir`), and
+ * the patch step fixes any markup difference once the nodes are paired.
+ * @param {Node} node
+ * @returns {string}
+ */
+function signature(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return `#${node.nodeType}:${node.nodeValue}`;
+    return `${node.tagName}>${node.textContent}`;
+}
+
+/**
+ * @param {Node} a
+ * @param {Node} b
+ * @returns {boolean} Whether `a` can be patched into `b` in place.
+ */
+function isCompatible(a, b) {
+    if (a.nodeType !== b.nodeType) return false;
+    return a.nodeType !== Node.ELEMENT_NODE || a.tagName === b.tagName;
+}
+
+/**
+ * Patches the text of a node with a single `replaceData` call, so that
+ * live ranges before the edited span keep their offsets.
+ * @param {CharacterData} from
+ * @param {string} value
+ * @param {object} context
+ */
+function patchText(from, value, context) {
+    const old = from.nodeValue;
+    if (old === value) return;
+
+    let start = 0;
+    while (start < old.length && start < value.length && old[start] === value[start]) start++;
+    let end = 0;
+    while (end < old.length - start && end < value.length - start &&
+        old[old.length - 1 - end] === value[value.length - 1 - end]) end++;
+
+    const removed = old.length - start - end;
+    const inserted = value.length - start - end;
+    from.replaceData(start, removed, value.slice(start, start + inserted));
+
+    // Shift the saved selection the same way the browser shifts live ranges.
+    (context.bookmark || []).forEach(point => {
+        if (point.node !== from || point.offset <= start) return;
+        point.offset = point.offset >= start + removed
+            ? point.offset + inserted - removed
+            : start + Math.min(point.offset - start, inserted);
+    });
+}
+
+/**
+ * @param {Element} from
+ * @param {Element} to
+ * @param {object} context
+ */
+function patchAttributes(from, to, context) {
+    Array.from(from.attributes).forEach(attr => {
+        if (!to.hasAttribute(attr.name) && !context.preserveAttributes.includes(attr.name)) {
+            from.removeAttribute(attr.name);
+        }
+    });
+    Array.from(to.attributes).forEach(attr => {
+        if (from.getAttribute(attr.name) !== attr.value) {
+            from.setAttribute(attr.name, attr.value);
+        }
+    });
+    // Form state lives in properties, not attributes.
+    if (from.tagName === 'INPUT' && from.checked !== to.checked) {
+        from.checked = to.checked;
+    }
+}
+
+/**
+ * @param {Node} from
+ * @param {Node} to
+ * @param {object} context
+ */
+function morphNode(from, to, context) {
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+        patchText(from, to.nodeValue, context);
+        return;
+    }
+    patchAttributes(from, to, context);
+    morphChildren(from, to, context);
+}
+
+/**
+ * Reorders, patches, inserts and removes the children of `from` to match `to`.
+ * Nodes are paired by key first, then by identical content, then by position.
+ * @param {Node} from
+ * @param {Node} to
+ * @param {object} context
+ */
+function morphChildren(from, to, context) {
+    const oldNodes = Array.from(from.childNodes);
+    const newNodes = Array.from(to.childNodes);
+    const matches = new Map(); // new node -> old node
+    const used = new Set();
+
+    // 1. Keys
+    const keyed = new Map();
+    oldNodes.forEach(node => {
+        const key = context.getKey(node);
+        if (key && !keyed.has(key)) keyed.set(key, node);
+    });
+    newNodes.forEach(node => {
+        const key = context.getKey(node);
+        const match = key ? keyed.get(key) : null;
+        if (match && !used.has(match) && isCompatible(match, node)) {
+            matches.set(node, match);
+            used.add(match);
+        }
+    });
+
+    // 2. Identical content (e.g. unchanged blocks after a block was inserted above them)
+    if (newNodes.length > matches.size && oldNodes.length > used.size) {
+        const bySignature = new Map();
+        oldNodes.forEach(node => {
+            if (used.has(node) || context.getKey(node) && keyed.get(context.getKey(node)) !== node) return;
+            const sig = signature(node);
+            if (!bySignature.has(sig)) bySignature.set(sig, []);
+            bySignature.get(sig).push(node);
+        });
+        newNodes.forEach(node => {
+            if (matches.has(node)) return;
+            const candidates = bySignature.get(signature(node));
+            const match = candidates && candidates.find(candidate => !used.has(candidate));
+            if (match) {
+                matches.set(node, match);
+                used.add(match);
+            }
+        });
+    }
+
+    // 3. Position, only within the gap between two already-paired nodes
+    let cursor = 0;
+    newNodes.forEach(node => {
+        const match = matches.get(node);
+        if (match) {
+            cursor = oldNodes.indexOf(match) + 1;
+            return;
+        }
+        while (cursor < oldNodes.length && !used.has(oldNodes[cursor])) {
+            const candidate = oldNodes[cursor++];
+            if (isCompatible(candidate, node)) {
+                matches.set(node, candidate);
+                used.add(candidate);
+                return;
+            }
+        }
+    });
+
+    // Apply
+    let reference = from.firstChild;
+    newNodes.forEach(node => {
+        const match = matches.get(node);
+        const live = match || node;
+        if (match) morphNode(match, node, context);
+        if (live === reference) {
+            reference = reference.nextSibling;
+        } else {
+            from.insertBefore(live, reference);
+        }
+    });
+    oldNodes.forEach(node => {
+        if (!used.has(node) && node.parentNode === from) from.removeChild(node);
+    });
+}
+
+/**
+ * @param {Node} root
+ * @returns {Array<{node: Node, offset: number, path: number[]|null}>|null}
+ */
+function saveSelection(root) {
+    const selection = getSelectionFor(root);
+    if (!selection || selection.rangeCount === 0) return null;
+    const range = selection.getRangeAt(0);
+    if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+    return [
+        { node: range.startContainer, offset: range.startOffset, path: getNodePath(root, range.startContainer) },
+        { node: range.endContainer, offset: range.endOffset, path: getNodePath(root, range.endContainer) }
+    ];
+}
+
+/**
+ * @param {Node} root
+ * @param {Array<{node: Node, offset: number, path: number[]|null}>} bookmark
+ */
+function restoreSelection(root, bookmark) {
+    const points = bookmark.map(point => {
+        const node = root.contains(point.node) ? point.node : (point.path ? resolveNodePath(root, point.path) : null);
+        if (!node) return null;
+        const length = node.nodeType === Node.TEXT_NODE ? node.length : node.childNodes.length;
+        return { node, offset: Math.min(point.offset, length) };
+    });
+    if (!points[0] || !points[1]) return;
+
+    const range = document.createRange();
+    range.setStart(points[0].node, points[0].offset);
+    range.setEnd(points[1].node, points[1].offset);
+    const selection = getSelectionFor(root);
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+/**
+ * Morphs `fromNode` so that its content matches `toNode`, touching only what changed.
+ * Unchanged nodes (and any state plugins attached to them) are kept, blocks are paired
+ * by their `data-block-id`, text edits are applied in place and the selection is preserved.
  *
- * @param {Node} fromNode The original node.
- * @param {Node} toNode The new node.
+ * @param {Node} fromNode The live node to patch.
+ * @param {Node} toNode The desired state (e.g. a parsed template). Its children may be moved into `fromNode`.
+ * @param {DiffOptions} [options={}]
+ */
+export function diff(fromNode, toNode, options = {}) {
+    const context = { ...DEFAULT_OPTIONS, ...options };
+    context.bookmark = context.preserveSelection ? saveSelection(fromNode) : null;
+
+    if (!context.childrenOnly) {
+        patchAttributes(fromNode, toNode, context);
+    }
+    morphChildren(fromNode, toNode, context);
+
+    if (context.bookmark) {
+        restoreSelection(fromNode, context.bookmark);
+    }
+}
+
+/**
+ * Morphs the content of an element to the given HTML.
+ * @param {HTMLElement} element
+ * @param {string} html
+ * @param {DiffOptions} [options={}]
  */
-export function diff(fromNode, toNode) {
-    // This is a naive implementation for demonstration.
-    if (fromNode.isEqualNode(toNode)) return;
-    fromNode.innerHTML = toNode.innerHTML;
+export function morphHTML(element, html, options = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    diff(element, template.content, options);
 }
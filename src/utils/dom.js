@@ -1,10 +1,22 @@
 
+/**
+ * Returns the selection that can see `node`. Inside a shadow root Chromium only exposes it through
+ * `shadowRoot.getSelection()`; everywhere else this is the window selection.
+ * @param {Node} [node]
+ * @returns {Selection|null}
+ */
+export function getSelectionFor(node) {
+    const root = node && typeof node.getRootNode === 'function' ? node.getRootNode() : null;
+    if (root && root !== document && typeof root.getSelection === 'function') return root.getSelection();
+    return window.getSelection();
+}
+
 /**
  * Moves the cursor to the end of a given element.
  * @param {HTMLElement} element
  */
 export function moveCursorToEnd(element) {
-    const selection = window.getSelection();
+    const selection = getSelectionFor(element);
     if (!selection) return;
 
     const range = document.createRange();
@@ -27,3 +39,38 @@ export function getClosest(node, selector) {
     const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
     return element ? element.closest(selector) : null;
 }
+
+/**
+ * Returns the path of child indices leading from `root` down to `node`.
+ * @param {Node} root
+ * @param {Node} node
+ * @returns {number[]|null} The path, or null if `node` is not inside `root`.
+ */
+export function getNodePath(root, node) {
+    if (!root || !node || !root.contains(node)) return null;
+    const path = [];
+    let current = node;
+    while (current && current !== root) {
+        const parent = current.parentNode;
+        if (!parent) return null;
+        path.unshift(Array.prototype.indexOf.call(parent.childNodes, current));
+        current = parent;
+    }
+    return path;
+}
+
+/**
+ * Resolves a path produced by `getNodePath` back to a node.
+ * @param {Node} root
+ * @param {number[]} path
+ * @returns {Node|null}
+ */
+export function resolveNodePath(root, path) {
+    if (!root || !Array.isArray(path)) return null;
+    let current = root;
+    for (const index of path) {
+        if (!current.childNodes || !current.childNodes[index]) return null;
+        current = current.childNodes[index];
+    }
+    return current;
+}
@@ -0,0 +1,441 @@
+/**
+ * A minimal, read-mostly DOM implementation for environments without `document`
+ * (Node.js, Web Workers). It supports the subset of the DOM API used by
+ * `HtmlParser`, `sanitize` and the plugins' `html2md` hooks:
+ * traversal, attributes, `classList`, `style`, `textContent`, `innerHTML`/`outerHTML`,
+ * and `querySelector`/`closest` with compound selectors (e.g. `td`, `.couplet`,
+ * `input[type="checkbox"]`, `th, td`). Combinators are not supported.
+ */
+
+export const ELEMENT_NODE = 1;
+export const TEXT_NODE = 3;
+
+const VOID_TAGS = new Set(['AREA', 'BASE', 'BR', 'COL', 'EMBED', 'HR', 'IMG', 'INPUT', 'LINK', 'META', 'PARAM', 'SOURCE', 'TRACK', 'WBR']);
+const RAW_TEXT_TAGS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA', 'TITLE']);
+// Opening one of these implicitly closes an open element of the same kind.
+const SELF_CLOSING_SIBLINGS = new Set(['LI', 'P', 'TR', 'TD', 'TH', 'OPTION']);
+// Elements that start foreign content, where `/>` closes an element and names keep their case.
+const FOREIGN_ROOTS = new Set(['SVG', 'MATH']);
+
+/**
+ * @param {string[]} names
+ * @returns {Map<string, string>} Each name keyed by its lowercased form.
+ */
+const byLowerCase = names => new Map(names.map(name => [name.toLowerCase(), name]));
+// The camelCase SVG names, restored from their lowercased form the way the browser's HTML parser does.
+const SVG_TAG_NAMES = byLowerCase([
+    'altGlyph', 'altGlyphDef', 'altGlyphItem', 'animateColor', 'animateMotion', 'animateTransform', 'clipPath',
+    'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feConvolveMatrix', 'feDiffuseLighting',
+    'feDisplacementMap', 'feDistantLight', 'feDropShadow', 'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR',
+    'feGaussianBlur', 'feImage', 'feMerge', 'feMergeNode', 'feMorphology', 'feOffset', 'fePointLight',
+    'feSpecularLighting', 'feSpotLight', 'feTile', 'feTurbulence', 'foreignObject', 'glyphRef', 'linearGradient',
+    'radialGradient', 'textPath'
+]);
+const SVG_ATTRIBUTE_NAMES = byLowerCase([
+    'attributeName', 'attributeType', 'baseFrequency', 'baseProfile', 'calcMode', 'clipPathUnits', 'diffuseConstant',
+    'edgeMode', 'filterUnits', 'glyphRef', 'gradientTransform', 'gradientUnits', 'kernelMatrix', 'kernelUnitLength',
+    'keyPoints', 'keySplines', 'keyTimes', 'lengthAdjust', 'limitingConeAngle', 'markerHeight', 'markerUnits',
+    'markerWidth', 'maskContentUnits', 'maskUnits', 'numOctaves', 'pathLength', 'patternContentUnits',
+    'patternTransform', 'patternUnits', 'pointsAtX', 'pointsAtY', 'pointsAtZ', 'preserveAlpha', 'preserveAspectRatio',
+    'primitiveUnits', 'refX', 'refY', 'repeatCount', 'repeatDur', 'requiredExtensions', 'requiredFeatures',
+    'specularConstant', 'specularExponent', 'spreadMethod', 'startOffset', 'stdDeviation', 'stitchTiles',
+    'surfaceScale', 'systemLanguage', 'tableValues', 'targetX', 'targetY', 'textLength', 'viewBox', 'viewTarget',
+    'xChannelSelector', 'yChannelSelector', 'zoomAndPan'
+]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0' };
+
+/**
+ * Decodes the character references that can appear in HTML text and attributes.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isNaN(code) ? match : String.fromCodePoint(code);
+        }
+        const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00A0/g, '&nbsp;');
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00A0/g, '&nbsp;');
+}
+
+/**
+ * Parses a compound selector list such as `th, td.active, input[type="checkbox"]`.
+ * @param {string} selector
+ * @returns {Array<{tag: string|null, classes: string[], attributes: Array<{name: string, value: string|null}>}>}
+ */
+function parseSelector(selector) {
+    return selector.split(',').map(part => {
+        const compound = { tag: null, classes: [], attributes: [] };
+        const pattern = /([a-z][a-z0-9-]*|\*)|\.([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/gi;
+        let match;
+        while ((match = pattern.exec(part.trim())) !== null) {
+            if (match[1]) {
+                compound.tag = match[1] === '*' ? null : match[1].toUpperCase();
+            } else if (match[2]) {
+                compound.classes.push(match[2]);
+            } else if (match[3]) {
+                const value = match[4] ?? match[5] ?? match[6];
+                compound.attributes.push({ name: match[3].toLowerCase(), value: value === undefined ? null : value });
+            }
+        }
+        return compound;
+    });
+}
+
+/**
+ * Base class for light DOM nodes.
+ */
+class LightNode {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        /** @type {LightElement|null} */
+        this.parentNode = null;
+        /** @type {LightNode[]} */
+        this.childNodes = [];
+    }
+
+    get parentElement() {
+        return this.parentNode;
+    }
+
+    /**
+     * Detaches the node from its parent.
+     */
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+}
+
+/**
+ * A text node.
+ */
+export class LightText extends LightNode {
+    /**
+     * @param {string} text - Decoded text.
+     */
+    constructor(text) {
+        super(TEXT_NODE);
+        this.textContent = text;
+    }
+
+    get nodeName() {
+        return '#text';
+    }
+
+    get outerHTML() {
+        const rawParent = this.parentNode && RAW_TEXT_TAGS.has(this.parentNode.tagName);
+        return rawParent ? this.textContent : escapeText(this.textContent);
+    }
+}
+
+/**
+ * An element node.
+ */
+export class LightElement extends LightNode {
+    /**
+     * @param {string} tagName
+     * @param {boolean} [foreign=false] - Whether the element is SVG or MathML content, whose tag and attribute
+     *   names are case-sensitive.
+     */
+    constructor(tagName, foreign = false) {
+        super(ELEMENT_NODE);
+        this.tagName = tagName.toUpperCase();
+        /** @type {string} The tag name as serialized, e.g. `linearGradient` inside SVG. */
+        this.localName = foreign ? tagName : tagName.toLowerCase();
+        this.foreign = foreign;
+        /** @type {Array<{name: string, value: string}>} */
+        this.attributes = [];
+    }
+
+    /**
+     * Attribute names are case-insensitive on HTML elements only, as in the browser.
+     * @param {string} name
+     * @returns {string}
+     * @private
+     */
+    _attributeName(name) {
+        return this.foreign ? name : name.toLowerCase();
+    }
+
+    get nodeName() {
+        return this.tagName;
+    }
+
+    /** @returns {LightElement[]} */
+    get children() {
+        return this.childNodes.filter(node => node.nodeType === ELEMENT_NODE);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    getAttribute(name) {
+        const attribute = this.attributes.find(attr => attr.name === this._attributeName(name));
+        return attribute ? attribute.value : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    setAttribute(name, value) {
+        const attribute = this.attributes.find(attr => attr.name === this._attributeName(name));
+        if (attribute) attribute.value = String(value);
+        else this.attributes.push({ name: this._attributeName(name), value: String(value) });
+    }
+
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(attr => attr.name !== this._attributeName(name));
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    get classList() {
+        const classes = this.className.split(/\s+/).filter(Boolean);
+        return {
+            length: classes.length,
+            contains: (name) => classes.includes(name),
+            [Symbol.iterator]: () => classes[Symbol.iterator]()
+        };
+    }
+
+    /**
+     * Inline styles as a camelCased map, e.g. `style.textAlign`.
+     * @returns {Object<string, string>}
+     */
+    get style() {
+        const style = {};
+        (this.getAttribute('style') || '').split(';').forEach(declaration => {
+            const index = declaration.indexOf(':');
+            if (index === -1) return;
+            const property = declaration.slice(0, index).trim().replace(/-([a-z])/g, (m, letter) => letter.toUpperCase());
+            style[property] = declaration.slice(index + 1).trim();
+        });
+        return style;
+    }
+
+    /** @returns {boolean} The `checked` attribute, for checkbox inputs. */
+    get checked() {
+        return this.hasAttribute('checked');
+    }
+
+    /**
+     * @param {string} selector
+     * @returns {boolean}
+     */
+    matches(selector) {
+        return parseSelector(selector).some(compound =>
+            (!compound.tag || compound.tag === this.tagName) &&
+            compound.classes.every(name => this.classList.contains(name)) &&
+            compound.attributes.every(({ name, value }) => {
+                const actual = this.getAttribute(name);
+                return value === null ? actual !== null : actual === value;
+            })
+        );
+    }
+
+    /**
+     * @param {string} selector
+     * @returns {LightElement|null}
+     */
+    closest(selector) {
+        let current = this;
+        while (current && current.nodeType === ELEMENT_NODE) {
+            if (current.matches(selector)) return current;
+            current = current.parentNode;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} selector
+     * @returns {LightElement[]} Matching descendants in document order.
+     */
+    querySelectorAll(selector) {
+        const results = [];
+        const walk = (element) => {
+            element.children.forEach(child => {
+                if (child.matches(selector)) results.push(child);
+                walk(child);
+            });
+        };
+        walk(this);
+        return results;
+    }
+
+    /**
+     * @param {string} selector
+     * @returns {LightElement|null}
+     */
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    /**
+     * @param {LightNode} node
+     * @returns {LightNode}
+     */
+    appendChild(node) {
+        node.remove();
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(node => node.outerHTML).join('');
+    }
+
+    get outerHTML() {
+        const tag = this.localName;
+        const attributes = this.attributes
+            .map(({ name, value }) => ` ${name}="${escapeAttribute(value)}"`)
+            .join('');
+        if (VOID_TAGS.has(this.tagName)) return `<${tag}${attributes}>`;
+        return `<${tag}${attributes}>${this.innerHTML}</${tag}>`;
+    }
+}
+
+/**
+ * @param {LightElement} element
+ * @returns {boolean} Whether the element is MathML content rather than SVG.
+ */
+function isInMath(element) {
+    for (let current = element; current && current.foreign; current = current.parentNode) {
+        if (current.tagName === 'MATH') return true;
+        if (current.tagName === 'SVG') return false;
+    }
+    return false;
+}
+
+/**
+ * Parses an HTML fragment into a light DOM tree.
+ * The parser is forgiving in the same places the editor's own markup needs it to be:
+ * void elements, unquoted/boolean attributes, comments, raw-text elements,
+ * unclosed list items or paragraphs, and self-closing (`/>`) SVG and MathML elements.
+ * @param {string} html
+ * @returns {LightElement} A `BODY` element containing the parsed nodes.
+ */
+export function parseHTML(html) {
+    const root = new LightElement('body');
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    const tagPattern = /<\/?([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+    const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let pos = 0;
+    let text = '';
+
+    const flushText = () => {
+        if (text) {
+            current().appendChild(new LightText(decodeEntities(text)));
+            text = '';
+        }
+    };
+
+    while (pos < html.length) {
+        if (html[pos] !== '<') {
+            const next = html.indexOf('<', pos + 1);
+            const end = next === -1 ? html.length : next;
+            text += html.slice(pos, end);
+            pos = end;
+            continue;
+        }
+
+        if (html.startsWith('<!--', pos)) {
+            flushText();
+            const end = html.indexOf('-->', pos + 4);
+            pos = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (html.startsWith('<!', pos) || html.startsWith('<?', pos)) {
+            flushText();
+            const end = html.indexOf('>', pos);
+            pos = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        tagPattern.lastIndex = pos;
+        const match = tagPattern.exec(html);
+        if (!match) {
+            text += '<';
+            pos++;
+            continue;
+        }
+
+        flushText();
+        pos = tagPattern.lastIndex;
+        const tagName = match[1].toUpperCase();
+
+        if (match[0][1] === '/') {
+            const index = stack.map(el => el.tagName).lastIndexOf(tagName);
+            if (index > 0) stack.length = index;
+            continue;
+        }
+
+        if (SELF_CLOSING_SIBLINGS.has(tagName) && current().tagName === tagName) {
+            stack.pop();
+        }
+
+        const parent = current();
+        const foreign = FOREIGN_ROOTS.has(tagName) || (parent.foreign && parent.tagName !== 'FOREIGNOBJECT');
+        const lowerName = match[1].toLowerCase();
+        const svg = foreign && (tagName === 'SVG' || (tagName !== 'MATH' && !isInMath(parent)));
+        const element = new LightElement(svg ? SVG_TAG_NAMES.get(lowerName) || lowerName : lowerName, foreign);
+        let attribute;
+        attributePattern.lastIndex = 0;
+        while ((attribute = attributePattern.exec(match[2])) !== null) {
+            const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+            // Like the browser's parser: names are lowercased, then SVG's camelCase names are restored.
+            const lowerAttribute = attribute[1].toLowerCase();
+            const name = svg ? SVG_ATTRIBUTE_NAMES.get(lowerAttribute) || lowerAttribute : lowerAttribute;
+            if (!element.hasAttribute(name)) {
+                element.setAttribute(name, decodeEntities(value));
+            }
+        }
+        parent.appendChild(element);
+
+        if (VOID_TAGS.has(tagName) || (foreign && match[0].endsWith('/>'))) continue;
+
+        if (RAW_TEXT_TAGS.has(tagName)) {
+            const close = html.toLowerCase().indexOf(`</${tagName.toLowerCase()}`, pos);
+            const end = close === -1 ? html.length : close;
+            if (end > pos) {
+                const content = html.slice(pos, end);
+                element.appendChild(new LightText(tagName === 'TEXTAREA' || tagName === 'TITLE' ? decodeEntities(content) : content));
+            }
+            const closeEnd = close === -1 ? html.length : html.indexOf('>', close);
+            pos = closeEnd === -1 ? html.length : closeEnd + 1;
+            continue;
+        }
+
+        stack.push(element);
+    }
+
+    flushText();
+    return root;
+}
@@ -0,0 +1,140 @@
+/**
+ * @typedef {'silent'|'error'|'warn'|'debug'} LogLevel
+ */
+
+/**
+ * @typedef {object} ErrorContext
+ * @property {string} code - Stable error code, e.g. `'PARSE_FAILED'` or `'PLUGIN_FAILED'`.
+ * @property {string|null} module - The module that caught the error, e.g. `'blockParser'`.
+ * @property {string|null} plugin - Name of the plugin the failure belongs to, or null for core code.
+ * @property {*} input - The input that failed (a markdown line, an event name, a command...), if known.
+ * @property {string} message - A human-readable description of the failure.
+ */
+
+/**
+ * @typedef {object} ErrorDetails
+ * @property {*} [error] - The caught error.
+ * @property {string} [module]
+ * @property {string} [plugin]
+ * @property {*} [input]
+ */
+
+/**
+ * Log levels from the quietest to the most verbose.
+ * @type {LogLevel[]}
+ */
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'debug'];
+
+/**
+ * Shared logger for all modules. Errors are always passed to the `onError` handler;
+ * the level only controls what is written to the console.
+ */
+export class Logger {
+    /**
+     * @param {object} [options={}]
+     * @param {LogLevel} [options.level='warn'] - The most verbose level written to the console.
+     * @param {(error: Error, context: ErrorContext) => void} [options.onError] - Called for every reported error.
+     */
+    constructor({ level = 'warn', onError = null } = {}) {
+        /**
+         * @type {LogLevel}
+         */
+        this.level = LOG_LEVELS.includes(level) ? level : 'warn';
+        /**
+         * @private
+         * @type {((error: Error, context: ErrorContext) => void)|null}
+         */
+        this.onError = typeof onError === 'function' ? onError : null;
+        /**
+         * Guards against errors thrown while an error is being reported.
+         * @private
+         * @type {boolean}
+         */
+        this.reporting = false;
+    }
+
+    /**
+     * @param {LogLevel} level
+     * @returns {boolean} Whether messages of this level are written to the console.
+     */
+    enabled(level) {
+        return level !== 'silent' && LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Reports an error to the console and the `onError` handler.
+     * @param {string} code - Stable error code (see `ErrorContext`).
+     * @param {string} message - A human-readable description.
+     * @param {ErrorDetails} [details={}]
+     */
+    error(code, message, { error, module = null, plugin = null, input } = {}) {
+        if (this.enabled('error')) {
+            const prefix = plugin ? `[${plugin}] ` : '';
+            console.error(`Dabir.js Error: ${prefix}${message}`, ...(error === undefined ? [] : [error]));
+        }
+        if (!this.onError || this.reporting) return;
+
+        const reported = error instanceof Error ? error : new Error(message);
+        this.reporting = true;
+        try {
+            this.onError(reported, { code, module, plugin, input, message });
+        } catch (handlerError) {
+            if (this.enabled('error')) console.error('Dabir.js Error: The error handler crashed.', handlerError);
+        } finally {
+            this.reporting = false;
+        }
+    }
+
+    /**
+     * @param {string} message
+     * @param {...any} details
+     */
+    warn(message, ...details) {
+        if (this.enabled('warn')) console.warn(`Dabir.js Warning: ${message}`, ...details);
+    }
+
+    /**
+     * @param {string} message
+     * @param {...any} details
+     */
+    debug(message, ...details) {
+        if (this.enabled('debug')) console.debug(`Dabir.js: ${message}`, ...details);
+    }
+}
+
+/**
+ * Logger used outside of `withLogger`, e.g. by `renderMarkdown` without options.
+ * @type {Logger}
+ */
+const defaultLogger = new Logger();
+
+/**
+ * @type {Logger}
+ */
+let activeLogger = defaultLogger;
+
+/**
+ * Returns the logger of the current call. Stateless modules (parsers, the sanitizer) use this so that
+ * errors reach the editor that called them.
+ * @returns {Logger}
+ */
+export function getLogger() {
+    return activeLogger;
+}
+
+/**
+ * Runs `fn` synchronously with `logger` as the current logger.
+ * @template T
+ * @param {Logger|null|undefined} logger - Falls back to the current logger when missing.
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function withLogger(logger, fn) {
+    const previous = activeLogger;
+    activeLogger = logger || previous;
+    try {
+        return fn();
+    } finally {
+        activeLogger = previous;
+    }
+}
@@ -1,6 +1,10 @@
+import { parseHTML } from './lightDom.js';
+import { getLogger } from './logger.js';
+
 /**
  * Sanitizes HTML string to prevent XSS attacks.
  * Removes dangerous tags, event handlers, and malicious URLs.
+ * Outside the browser (Node.js, Web Workers) the light DOM is used instead of `DOMParser`.
  * 
  * @param {string} html - The dirty HTML string.
  * @returns {string} - The sanitized HTML string.
@@ -10,9 +14,9 @@ export function sanitize(html) {
     if (typeof html !== 'string') return '';
 
     try {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        const body = doc.body;
+        const body = typeof DOMParser !== 'undefined'
+            ? new DOMParser().parseFromString(html, 'text/html').body
+            : parseHTML(html);
 
         // List of tags that are unsafe and should be removed entirely
         const bannedTags = [
@@ -20,15 +24,29 @@ export function sanitize(html) {
             'LINK', 'STYLE', 'META', 'FORM', 'BASE', 'INPUT', 'BUTTON'
         ];
 
+        // Controls that belong to the editor's own markup: checklist checkboxes and code copy buttons
+        const allowedControls = 'input[type="checkbox"], button.copy-code-btn';
+        // The only attributes kept on those controls; `form`, `formaction`, `name`, ... could target a host form
+        const controlAttributes = ['type', 'checked', 'class', 'disabled', 'title'];
+
         // Convert to array to avoid live collection issues during removal
         const nodes = Array.from(body.querySelectorAll('*'));
 
         for (const node of nodes) {
             // 1. Remove banned tags
-            if (bannedTags.includes(node.tagName)) {
+            if (bannedTags.includes(node.tagName) && !node.matches(allowedControls)) {
                 node.remove();
                 continue;
             }
+            if (bannedTags.includes(node.tagName)) {
+                for (const attr of Array.from(node.attributes)) {
+                    const name = attr.name.toLowerCase();
+                    if (!controlAttributes.includes(name) && !name.startsWith('aria-')) node.removeAttribute(attr.name);
+                }
+                // A copy button must never submit the form around the editor
+                if (node.tagName === 'BUTTON') node.setAttribute('type', 'button');
+                continue;
+            }
 
             // 2. Sanitize Attributes
             const attrs = Array.from(node.attributes);
@@ -69,7 +87,7 @@ export function sanitize(html) {
 
         return body.innerHTML;
     } catch (error) {
-        console.error('Dabir.js Error: Sanitization failed.', error);
+        getLogger().error('SANITIZE_FAILED', 'Sanitization failed.', { error, module: 'sanitizer', input: html });
         // Fail safe: return empty string or encoded text if parsing fails
         return ''; 
     }
@@ -0,0 +1,176 @@
+/**
+ * Block- and word-level diffing of markdown documents, used by the version history (`editor.versions`).
+ */
+
+/**
+ * @typedef {object} DiffPart
+ * @property {'equal'|'insert'|'delete'} type
+ * @property {string} text
+ */
+
+/**
+ * A run of blocks that are unchanged, added, removed or replaced between two versions.
+ * @typedef {object} BlockChange
+ * @property {'equal'|'insert'|'delete'|'change'} type
+ * @property {string[]} before - The blocks of the older version.
+ * @property {string[]} after - The blocks of the newer version.
+ * @property {DiffPart[]|null} words - Word-level differences of a `change`; null for the other types.
+ */
+
+/**
+ * Words (letters, digits, marks and the zero-width non-joiner of Persian words), runs of whitespace and
+ * single punctuation characters.
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{M}\u200c_]+|\s+|[^\s\p{L}\p{N}\p{M}\u200c_]/gu;
+
+/**
+ * Largest table the alignment builds; longer differences are reported as a single replacement.
+ * @type {number}
+ */
+const MAX_CELLS = 4000000;
+
+/**
+ * Splits markdown into top-level blocks at blank lines. Fenced code blocks stay whole, since blank lines
+ * inside them are part of the code.
+ * @param {string} markdown
+ * @returns {string[]}
+ */
+export function splitBlocks(markdown) {
+    const blocks = [];
+    let current = [];
+    let fence = null;
+    for (const line of String(markdown || '').split('\n')) {
+        const marker = /^\s*(`{3,}|~{3,})/.exec(line);
+        if (fence) {
+            current.push(line);
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+            continue;
+        }
+        if (line.trim() === '') {
+            if (current.length > 0) blocks.push(current.join('\n'));
+            current = [];
+            continue;
+        }
+        if (marker) fence = marker[1];
+        current.push(line);
+    }
+    if (current.length > 0) blocks.push(current.join('\n'));
+    return blocks;
+}
+
+/**
+ * Joins blocks produced by `splitBlocks` back into a document.
+ * @param {string[]} blocks
+ * @returns {string}
+ */
+export function joinBlocks(blocks) {
+    return blocks.join('\n\n');
+}
+
+/**
+ * Aligns two sequences by their longest common subsequence.
+ * @template T
+ * @param {T[]} before
+ * @param {T[]} after
+ * @returns {Array<{type: 'equal'|'insert'|'delete', value: T}>}
+ */
+export function diffSequences(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const ops = before.slice(0, start).map(value => ({ type: 'equal', value }));
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    if (a.length * b.length > MAX_CELLS) {
+        a.forEach(value => ops.push({ type: 'delete', value }));
+        b.forEach(value => ops.push({ type: 'insert', value }));
+    } else {
+        // lengths[i * width + j] is the length of the common subsequence of a[i..] and b[j..].
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                ops.push({ type: 'equal', value: a[i++] });
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                ops.push({ type: 'delete', value: a[i++] });
+            } else {
+                ops.push({ type: 'insert', value: b[j++] });
+            }
+        }
+        while (i < a.length) ops.push({ type: 'delete', value: a[i++] });
+        while (j < b.length) ops.push({ type: 'insert', value: b[j++] });
+    }
+    after.slice(endAfter).forEach(value => ops.push({ type: 'equal', value }));
+    return ops;
+}
+
+/**
+ * Word-level differences between two texts. Adjacent tokens of the same type are merged.
+ * @param {string} before
+ * @param {string} after
+ * @returns {DiffPart[]}
+ */
+export function diffWords(before, after) {
+    const parts = [];
+    const ops = diffSequences(String(before).match(TOKEN_PATTERN) || [], String(after).match(TOKEN_PATTERN) || []);
+    for (const { type, value } of ops) {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += value;
+        else parts.push({ type, text: value });
+    }
+    return parts;
+}
+
+/**
+ * Block-level differences between two lists of blocks. Unchanged blocks are grouped into runs; removed and
+ * added blocks between two runs form one change, with word-level differences when both sides exist.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {BlockChange[]}
+ */
+export function diffBlocks(before, after) {
+    const changes = [];
+    let current = null;
+    for (const { type, value } of diffSequences(before, after)) {
+        const kind = type === 'equal' ? 'equal' : 'edit';
+        if (!current || current.kind !== kind) {
+            current = { kind, before: [], after: [] };
+            changes.push(current);
+        }
+        if (type !== 'insert') current.before.push(value);
+        if (type !== 'delete') current.after.push(value);
+    }
+    return changes.map(({ kind, before: removed, after: added }) => {
+        if (kind === 'equal') return { type: 'equal', before: removed, after: added, words: null };
+        if (removed.length === 0) return { type: 'insert', before: removed, after: added, words: null };
+        if (added.length === 0) return { type: 'delete', before: removed, after: added, words: null };
+        return { type: 'change', before: removed, after: added, words: diffWords(joinBlocks(removed), joinBlocks(added)) };
+    });
+}
+
+/**
+ * Differences between two markdown documents.
+ * @param {string} before
+ * @param {string} after
+ * @returns {BlockChange[]}
+ */
+export function diffMarkdown(before, after) {
+    return diffBlocks(splitBlocks(before), splitBlocks(after));
+}